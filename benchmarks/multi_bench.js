@@ -47,13 +47,13 @@ metrics.Histogram.prototype.print_line = function () {
 
 function Test (args) {
     this.args = args;
-    this.args.pipeline = +pipeline;
+    this.args.pipeline = +(args.pipeline || pipeline);
     this.callback = null;
     this.clients = [];
     this.clients_ready = 0;
     this.commands_sent = 0;
     this.commands_completed = 0;
-    this.max_pipeline = +pipeline;
+    this.max_pipeline = this.args.pipeline;
     this.batch_pipeline = this.args.batch || 0;
     this.client_options = args.client_options || {};
     this.client_options.parser = client_options.parser;
@@ -222,6 +222,10 @@ very_large_buf = new Buffer(very_large_str);
 tests.push(new Test({descr: 'PING', command: 'ping', args: []}));
 tests.push(new Test({descr: 'PING', command: 'ping', args: [], batch: 50}));
 
+// Concurrent single commands, e.g. of independent request handlers. The auto pipeline writes the commands of each tick at once
+tests.push(new Test({descr: 'PING', command: 'ping', args: [], pipeline: 50}));
+tests.push(new Test({descr: 'PING auto', command: 'ping', args: [], pipeline: 50, client_options: { auto_pipeline: true }}));
+
 tests.push(new Test({descr: 'SET 4B str', command: 'set', args: ['foo_rand000000000000', small_str]}));
 tests.push(new Test({descr: 'SET 4B str', command: 'set', args: ['foo_rand000000000000', small_str], batch: 50}));
 
@@ -231,6 +235,12 @@ tests.push(new Test({descr: 'SET 4B buf', command: 'set', args: ['foo_rand000000
 tests.push(new Test({descr: 'GET 4B str', command: 'get', args: ['foo_rand000000000000']}));
 tests.push(new Test({descr: 'GET 4B str', command: 'get', args: ['foo_rand000000000000'], batch: 50}));
 
+tests.push(new Test({descr: 'SET 4B str', command: 'set', args: ['foo_rand000000000000', small_str], pipeline: 50}));
+tests.push(new Test({descr: 'SET 4B auto', command: 'set', args: ['foo_rand000000000000', small_str], pipeline: 50, client_options: { auto_pipeline: true }}));
+
+tests.push(new Test({descr: 'GET 4B str', command: 'get', args: ['foo_rand000000000000'], pipeline: 50}));
+tests.push(new Test({descr: 'GET 4B auto', command: 'get', args: ['foo_rand000000000000'], pipeline: 50, client_options: { auto_pipeline: true }}));
+
 tests.push(new Test({descr: 'GET 4B buf', command: 'get', args: ['foo_rand000000000000'], client_options: { return_buffers: true} }));
 tests.push(new Test({descr: 'GET 4B buf', command: 'get', args: ['foo_rand000000000000'], batch: 50, client_options: { return_buffers: true} }));
 
@@ -3,49 +3,30 @@
 var redis = require('redis');
 var client = redis.createClient();
 
-var cursor = '0';
+// The scan iterator takes care of the cursor. It fetches the next batch of keys
+// as soon as all keys of the current batch were returned and it ends as soon as
+// Redis returns a cursor of zero. SCAN may return the same key multiple times.
+// The dedupe option skips those duplicates.
+// See http://redis.io/commands/scan#scan-guarantees
+var keys = client.scanIterator({ match: 'q:job:*', count: 10, dedupe: true });
 
 function scan () {
-    client.scan(
-        cursor,
-        'MATCH', 'q:job:*',
-        'COUNT', '10',
-        function (err, res) {
-            if (err) throw err;
-
-            // Update the cursor position for the next scan
-            cursor = res[0];
-            // get the SCAN result for this iteration
-            var keys = res[1];
-
-            // Remember: more or less than COUNT or no keys may be returned
-            // See http://redis.io/commands/scan#the-count-option
-            // Also, SCAN may return the same key multiple times
-            // See http://redis.io/commands/scan#scan-guarantees
-            // Additionally, you should always have the code that uses the keys
-            // before the code checking the cursor.
-            if (keys.length > 0) {
-                console.log('Array of matching keys', keys);
-            }
-
-            // It's important to note that the cursor and returned keys
-            // vary independently. The scan is never complete until redis
-            // returns a non-zero cursor. However, with MATCH and large
-            // collections, most iterations will return an empty keys array.
-
-            // Still, a cursor of zero DOES NOT mean that there are no keys.
-            // A zero cursor just means that the SCAN is complete, but there
-            // might be one last batch of results to process.
-
-            // From <http://redis.io/commands/scan>:
-            // 'An iteration starts when the cursor is set to 0,
-            // and terminates when the cursor returned by the server is 0.'
-            if (cursor === '0') {
-                return console.log('Iteration complete');
-            }
-
-            return scan();
+    keys.next().then(function (result) {
+        if (result.done) {
+            console.log('Iteration complete');
+            return client.quit();
         }
-    );
+        console.log('Matching key', result.value);
+        return scan();
+    }).catch(function (err) {
+        console.error(err);
+        client.quit();
+    });
 }
 scan();
+
+// With async functions the same reads:
+//
+// for await (const key of client.scanIterator({ match: 'q:job:*', count: 10, dedupe: true })) {
+//     console.log('Matching key', key);
+// }
@@ -4,7 +4,6 @@ const tls = require('tls');
 const net = require('net');
 
 const Parser = require('redis-parser');
-const commands = require('redis-commands');
 
 const EventEmitter = require('events');
 const Queue = require('denque');
@@ -13,6 +12,15 @@ const utils = require('./lib/utils');
 const Command = require('./lib/command');
 const errorClasses = require('./lib/customErrors');
 const unifyOptions = require('./lib/createClient');
+const Sentinel = require('./lib/sentinel');
+const Resp3Parser = require('./lib/resp3');
+const ClientCache = require('./lib/clientCache');
+const CircuitBreaker = require('./lib/circuitBreaker');
+const Instrumentation = require('./lib/instrumentation');
+const Metrics = require('./lib/metrics');
+const keyPrefix = require('./lib/keyPrefix');
+const middleware = require('./lib/middleware');
+const replyTransformers = require('./lib/replyTransformers');
 const debug = require('./lib/debug');
 
 const SUBSCRIBE_COMMANDS = {
@@ -22,6 +30,24 @@ const SUBSCRIBE_COMMANDS = {
     punsubscribe: true
 };
 
+const OFFLINE_QUEUE_POLICIES = ['reject-new', 'drop-oldest', 'drop-expired'];
+
+const ARGUMENT_SERIALIZERS = ['date', 'number', 'bigint'];
+
+// Commands that block the connection until they return. The heartbeat is not used while one of them is pending
+const BLOCKING_COMMANDS = {
+    blpop: true,
+    brpop: true,
+    brpoplpush: true,
+    blmove: true,
+    blmpop: true,
+    bzpopmin: true,
+    bzpopmax: true,
+    bzmpop: true,
+    wait: true,
+    waitaof: true
+};
+
 const noop = () => {};
 
 function handle_detect_buffers_reply (reply, command, buffer_args) {
@@ -38,22 +64,6 @@ function handle_detect_buffers_reply (reply, command, buffer_args) {
     return reply;
 }
 
-const deferredPromise = () => {
-    let resolve = null;
-    let reject = null;
-
-    const promise = new Promise((res, rej) => {
-        resolve = res;
-        reject = rej;
-    });
-
-    return {
-        promise,
-        resolve,
-        reject
-    };
-};
-
 exports.debug_mode = /\bredis\b/i.test(process.env.NODE_DEBUG);
 
 // Attention: The second parameter might be removed at will and is not officially supported.
@@ -106,6 +116,9 @@ class RedisClient extends EventEmitter {
         }
 
         this.connection_options = cnx_options;
+        if (options.sentinels) {
+            this.sentinel = new Sentinel(this, options);
+        }
         this.connection_id = RedisClient.connection_id++;
         this.connected = false;
         this.ready = false;
@@ -130,6 +143,16 @@ class RedisClient extends EventEmitter {
             options.rename_commands[command.toLowerCase()] = options.rename_commands[command];
         }
 
+        options.protocol = options.protocol === undefined ? 2 : +options.protocol;
+        if (options.protocol !== 2 && options.protocol !== 3) {
+            throw new TypeError(`The protocol option has to be either 2 or 3 and not "${options.protocol}"`);
+        }
+        // string_numbers takes precedence over bigint_replies
+        options.bigint_replies = !!options.bigint_replies && !options.string_numbers;
+        if (options.parser && options.parser !== 'javascript' && (options.protocol === 3 || options.bigint_replies)) {
+            self.warn(`WARNING: The ${options.parser} parser can not be used together with ${options.protocol === 3 ? 'protocol 3' : 'bigint_replies'}. The built-in RESP3 parser is used instead.`);
+        }
+
         options.return_buffers = !!options.return_buffers;
         options.detect_buffers = !!options.detect_buffers;
 
@@ -157,11 +180,48 @@ class RedisClient extends EventEmitter {
         this.command_queue = new Queue(); // Holds sent commands to de-pipeline them
         this.offline_queue = new Queue(); // Holds commands issued but not able to be sent
         this.pipeline_queue = new Queue(); // Holds all pipelined commands
+        this.pipeline_id = 0; // Identifies the entries of the pipeline_queue, as they are written on uncork
+        this.auto_pipeline = !!options.auto_pipeline;
+        this.auto_pipeline_max_batch = options.auto_pipeline_max_batch === undefined ? 1000 : options.auto_pipeline_max_batch | 0;
+        if (this.auto_pipeline_max_batch < 1) {
+            throw new RangeError(`The auto_pipeline_max_batch option has to be at least 1 and not ${options.auto_pipeline_max_batch}`);
+        }
+        this.auto_pipelining = false; // Set while the commands of the current tick are collected
+        this.auto_pipeline_length = 0;
 
         // ATTENTION: connect_timeout should change in v.3.0 so it does not count towards ending reconnection attempts after x seconds
         // This should be done by the retry_strategy. Instead it should only be the timeout for connecting to redis
         this.connect_timeout = +options.connect_timeout || 3600000; // 60 * 60 * 1000 ms
         this.enable_offline_queue = options.enable_offline_queue !== false;
+        this.offline_queue_max_length = options.offline_queue_max_length | 0; // 0 is unlimited
+        this.offline_queue_max_age = +options.offline_queue_max_age || 0;
+        this.offline_queue_policy = options.offline_queue_policy || 'reject-new';
+        if (this.offline_queue_max_length < 0) {
+            throw new RangeError(`The offline_queue_max_length option has to be a positive number and not ${options.offline_queue_max_length}`);
+        }
+        if (OFFLINE_QUEUE_POLICIES.indexOf(this.offline_queue_policy) === -1) {
+            throw new TypeError(`The offline_queue_policy option has to be one of ${OFFLINE_QUEUE_POLICIES.join(', ')} and not "${options.offline_queue_policy}"`);
+        }
+        this.offline_queue_shedding = false; // Set from the first command the full offline queue sheds until the queue is sent
+        this.offline_queue_timer = null; // Rejects the queued commands as soon as they are older than offline_queue_max_age
+        // Rejects null, undefined, objects and non finite numbers instead of converting them to strings
+        this.strict_arguments = !!options.strict_arguments;
+        this.argument_serializers = options.argument_serializers || null;
+        for (const type in this.argument_serializers) {
+            if (ARGUMENT_SERIALIZERS.indexOf(type) === -1 || typeof this.argument_serializers[type] !== 'function') {
+                throw new TypeError(`The argument_serializers option only accepts functions for ${ARGUMENT_SERIALIZERS.join(', ')} and not for "${type}"`);
+            }
+        }
+        this.command_timeout = +options.command_timeout || 0;
+        this.reconnect_after_timeouts = options.reconnect_after_timeouts | 0;
+        this.consecutive_timeouts = 0;
+        this.ping_interval = +options.ping_interval || 0;
+        this.ping_timeout = +options.ping_timeout || this.ping_interval;
+        this.heartbeat_timer = null; // Either waits for the next heartbeat or for the reply of the heartbeat
+        this.heartbeat = null; // The pending heartbeat PING
+        this.data_received = false; // Set if anything was received since the last heartbeat
+        // Namespace patterns and channels as well and remove the prefix from replies
+        this.full_prefix = !!(options.prefix && options.full_prefix);
 
         this.retry_max_delay = +options.retry_max_delay || null;
         if ('retry_max_delay' in options) {
@@ -176,28 +236,53 @@ class RedisClient extends EventEmitter {
 
         this.pub_sub_mode = 0;
         this.subscription_set = {};
+        this.scripts = new Map(); // Lua scripts defined with defineCommand. They are loaded on ready
+        this.middleware = []; // Functions added with client.use(). Each command passes them before it is sent
 
         this.monitoring = false;
         this.message_buffers = false;
         this.closing = false;
+        this.close_pending = null; // Called by close() as soon as all pending commands are answered
         // Determine if strings or buffers should be written to the stream
         this.fire_strings = true;
         this.pipeline = false;
 
         this.server_info = {};
+        this.protocol = 2; // The protocol in use. This is only set to 3 after the server accepted the HELLO command
 
+        this.auth_user = options.username; // The ACL user of Redis 6. The default user is used if undefined
         this.auth_pass = options.auth_pass || options.password;
+        if (options.credentials_provider !== undefined && typeof options.credentials_provider !== 'function') {
+            throw new TypeError('The credentials_provider option has to be a function');
+        }
+        this.credentials = null; // The pending result of the credentials_provider
         this.selected_db = options.db; // Save the selected db here, used when reconnecting
 
         this.sub_commands_left = 0;
         this.times_connected = 0;
 
         this.buffers = options.return_buffers || options.detect_buffers;
+        this.transform_replies = !!options.transform_replies; // Converts the nested replies of the commands in replyTransformers
+        this.parse_numbers = !!options.parse_numbers; // Converts the float replies of e.g. ZSCORE to numbers
         this.options = options;
 
         this.reply = 'ON'; // Returning replies is the default
 
-        this.create_stream();
+        this.cache = options.client_cache ? new ClientCache(this, options.client_cache) : null;
+        this.circuit_breaker = options.circuit_breaker ? new CircuitBreaker(this, options.circuit_breaker) : null;
+        this.connection_setup = false; // True from connecting until the client is ready. The setup commands pass an open circuit breaker
+        this.instrumentation = new Instrumentation(this, options.tracing);
+        this.metrics_collector = options.metrics ? new Metrics(Metrics.registry) : null;
+
+        RedisClient.clients.add(this);
+
+        if (this.sentinel) {
+            // The address is unknown until the sentinels replied. The stream is created afterwards
+            this.reply_parser = create_parser(this);
+            this.sentinel.connect();
+        } else {
+            this.create_stream();
+        }
 
         // The listeners will not be attached right away, so let's print the deprecation message while the listener is attached
         this.on('newListener', event => {
@@ -289,6 +374,10 @@ class RedisClient extends EventEmitter {
         this.stream.on('data', buffer_from_socket => {
             // The buffer_from_socket.toString() has a significant impact on big chunks and therefore this should only be used if necessary
             debug(`Net read ${self.address} id ${self.connection_id}`); // + ': ' + buffer_from_socket.toString());
+            self.data_received = true;
+            if (self.metrics_collector !== null) {
+                self.metrics_collector.read(buffer_from_socket);
+            }
             self.reply_parser.execute(buffer_from_socket);
             self.emit_idle();
         });
@@ -313,19 +402,76 @@ class RedisClient extends EventEmitter {
             this.stream.setNoDelay();
         }
 
-        // Fire the command before redis is connected to be sure it's the first fired command
-        if (this.auth_pass !== undefined) {
+        if (this.options.credentials_provider) {
+            // Fresh credentials are requested for each connection. Authentication waits until the stream is connected
+            this.credentials = request_credentials(this);
+        } else if (this.auth_pass !== undefined && this.options.protocol !== 3) {
+            // Fire the command before redis is connected to be sure it's the first fired command
+            // The password is sent with the HELLO command instead if RESP3 is used
+            const stream = this.stream;
             this.ready = true;
             // Fail silently as we might not be able to connect
-            this.auth(this.auth_pass, err => {
+            this.auth(this.auth_user, this.auth_pass, err => {
                 if (err && err.code !== 'UNCERTAIN_STATE') {
-                    self.emit('error', err);
+                    if (self.times_connected > 1 && !connection_aborted(err)) {
+                        self.authentication_failed(stream, err);
+                    } else {
+                        self.emit('error', err);
+                    }
                 }
             });
             this.ready = false;
         }
     }
 
+    // Authenticating failed while connecting. The stream is closed and the error is passed to the retry_strategy
+    authentication_failed (stream, origin) {
+        if (stream !== this.stream || !this.connected) {
+            // The connection was already lost or ended in the meanwhile
+            return;
+        }
+        const err = new errorClasses.AuthenticationError({
+            message: `Authentication failed: ${origin.message}`,
+            code: 'NR_AUTH',
+            origin
+        });
+        if (origin.command) {
+            err.command = origin.command;
+        }
+        debug(`Authentication failed on ${this.address} id ${this.connection_id}`);
+        this.emit('error', err);
+        this.stream.destroy();
+        this.connection_gone('auth', err);
+    }
+
+    // Waits for the credentials_provider and authenticates before any other command is sent
+    authenticate (callback) {
+        const stream = this.stream;
+        this.credentials.then(credentials => {
+            if (stream !== this.stream || !this.connected) {
+                return;
+            }
+            this.auth_user = credentials.username;
+            this.auth_pass = credentials.password;
+            if (this.options.protocol === 3) {
+                // The credentials are sent with the HELLO command
+                callback();
+                return;
+            }
+            this.ready = true;
+            this.auth(this.auth_user, this.auth_pass, err => {
+                if (err === null) {
+                    callback();
+                } else if (!connection_aborted(err)) {
+                    this.authentication_failed(stream, err);
+                }
+            });
+            this.ready = false;
+        }, err => {
+            this.authentication_failed(stream, err);
+        });
+    }
+
     static handle_reply (reply, command) {
         if (command === 'hgetall') {
             reply = utils.reply_to_object(reply);
@@ -354,6 +500,44 @@ class RedisClient extends EventEmitter {
         });
     }
 
+    // Applies the argument_serializers and validates the arguments with the strict_arguments option.
+    // Returns the error for the first invalid argument. Nothing is sent in that case
+    prepare_arguments (command_obj) {
+        if (command_obj.args_prepared === true) {
+            return null;
+        }
+        command_obj.args_prepared = true;
+        let args = command_obj.args;
+        for (let i = 0; i < args.length; i++) {
+            let arg = args[i];
+            if (typeof arg === 'string') {
+                continue;
+            }
+            const serializer = this.argument_serializers === null ? undefined : this.argument_serializers[argument_type(arg)];
+            if (serializer !== undefined) {
+                try {
+                    arg = serializer(arg);
+                } catch (err) {
+                    return err;
+                }
+                if (args === command_obj.args) {
+                    // The arguments passed by the user are not manipulated
+                    args = command_obj.args = args.slice();
+                }
+                args[i] = arg;
+            }
+            if (this.strict_arguments && !is_valid_argument(arg)) {
+                const command = command_obj.command.toUpperCase();
+                const err = new TypeError(`${command} can't be processed. The argument at index ${i} is ${describe_argument(arg)}.`);
+                err.command = command;
+                err.args = command_obj.args;
+                err.index = i;
+                return err;
+            }
+        }
+        return null;
+    }
+
     // Flush provided queues, erroring any items with a callback first
     flush_and_error (error_attributes, options = {}) {
         const aggregated_errors = [];
@@ -375,6 +559,9 @@ class RedisClient extends EventEmitter {
                 command_obj = this[queue_names[i]].shift()
             ) {
                 const err = new errorClasses.AbortError(error_attributes);
+                if (this.metrics_collector !== null) {
+                    this.metrics_collector.abort();
+                }
 
                 if (command_obj.error) {
                     err.stack = err.stack + command_obj.error.stack.replace(/^Error.*?\n/, '\n');
@@ -397,6 +584,9 @@ class RedisClient extends EventEmitter {
                 }
             }
         }
+        if (queue_names.indexOf('offline_queue') !== -1) {
+            this.stop_offline_queue_expiry();
+        }
         // Currently this would be a breaking change, therefore it's only emitted in debug_mode
         if (exports.debug_mode && aggregated_errors.length) {
             let error;
@@ -435,18 +625,93 @@ class RedisClient extends EventEmitter {
 
         this.connected = true;
         this.ready = false;
+        this.connection_setup = true;
         this.emitted_end = false;
         this.stream.setKeepAlive(this.options.socket_keepalive, this.options.socket_initialdelay);
         this.stream.setTimeout(0);
 
+        this.instrumentation.connection_event('connect');
         this.emit('connect');
         this.initialize_retry_vars();
 
-        if (this.options.no_ready_check) {
-            this.on_ready();
+        const check_ready = () => {
+            if (this.options.no_ready_check) {
+                this.on_ready();
+            } else {
+                this.ready_check();
+            }
+        };
+
+        const check_role = () => {
+            if (this.cache !== null) {
+                // The keys have to be tracked before any command reads them
+                this.cache.enable();
+            }
+            if (this.sentinel) {
+                // Make sure the node was not demoted or promoted in the meanwhile
+                this.sentinel.check_role(check_ready);
+            } else {
+                check_ready();
+            }
+        };
+
+        const handshake = () => {
+            if (this.options.protocol === 3) {
+                this.send_hello(check_role);
+            } else {
+                check_role();
+            }
+        };
+
+        if (this.credentials !== null) {
+            this.authenticate(handshake);
         } else {
-            this.ready_check();
+            handshake();
+        }
+    }
+
+    // Switch to RESP3. The password and the client name are sent along instead of using separate commands
+    send_hello (callback) {
+        const args = [3];
+        if (this.auth_pass !== undefined) {
+            args.push('AUTH', this.auth_user || 'default', this.auth_pass);
         }
+        if (this.options.client_name) {
+            args.push('SETNAME', this.options.client_name);
+        }
+
+        debug(`Sending HELLO to ${this.address} id ${this.connection_id}`);
+        this.ready = true;
+        this.internal_send_command(new Command('hello', args, err => {
+            if (err === null) {
+                this.protocol = 3;
+            } else if (/unknown command/i.test(err.message)) {
+                this.warn('WARNING: The server does not support RESP3. Falling back to RESP2.');
+                this.ready = true;
+                if (this.auth_pass !== undefined) {
+                    this.auth(this.auth_user, this.auth_pass, err => {
+                        if (err && err.code !== 'UNCERTAIN_STATE') {
+                            this.emit('error', err);
+                        }
+                    });
+                }
+                if (this.options.client_name) {
+                    this.internal_send_command(new Command('client', ['setname', this.options.client_name], noop));
+                }
+                this.ready = false;
+            } else if (connection_aborted(err)) {
+                // The connection got lost or was ended. HELLO is sent again on reconnect
+                return;
+            } else if (err.code === 'WRONGPASS' && (this.credentials !== null || this.times_connected > 1)) {
+                this.authentication_failed(this.stream, err);
+                return;
+            } else {
+                // Same as a failing AUTH. The ready check is going to fail afterwards
+                this.emit('error', err);
+            }
+            callback();
+        }));
+        this.ready = false;
     }
 
     on_ready () {
@@ -455,7 +720,19 @@ class RedisClient extends EventEmitter {
         debug(`on_ready called ${this.address} id ${this.connection_id}`);
         this.ready = true;
 
+        if (this.circuit_breaker !== null) {
+            this.circuit_breaker.connection_ready();
+        }
+        if (this.ping_interval !== 0) {
+            this.data_received = false;
+            this.start_heartbeat();
+        }
+
         this.cork = () => {
+            // Batches and transactions join the automatic pipeline of the current tick
+            if (self.pipeline) {
+                return;
+            }
             self.pipeline = true;
             if (self.stream.cork) {
                 self.stream.cork();
@@ -468,6 +745,8 @@ class RedisClient extends EventEmitter {
                 self.write_buffers();
             }
             self.pipeline = false;
+            self.auto_pipelining = false;
+            self.pipeline_id++;
             self.fire_strings = true;
             if (self.stream.uncork) {
                 // TODO: Consider using next tick here. See https://github.com/NodeRedis/node_redis/issues/1033
@@ -479,6 +758,10 @@ class RedisClient extends EventEmitter {
         if (this.selected_db !== undefined) {
             this.internal_send_command(new Command('select', [this.selected_db]));
         }
+        // Redis might have been restarted and lost the scripts
+        for (const script of this.scripts.values()) {
+            script.load(this);
+        }
         if (this.monitoring) { // Monitor has to be fired before pub sub commands
             this.internal_send_command(new Command('monitor', []));
         }
@@ -490,6 +773,7 @@ class RedisClient extends EventEmitter {
             const callback = () => {
                 callback_count--;
                 if (callback_count === 0) {
+                    self.instrumentation.connection_event('ready');
                     self.emit('ready');
                 }
             };
@@ -500,12 +784,82 @@ class RedisClient extends EventEmitter {
                 this[command]([args], callback);
             }
             this.send_offline_queue();
+            this.connection_setup = false;
             return;
         }
         this.send_offline_queue();
+        this.connection_setup = false;
+        this.instrumentation.connection_event('ready');
         this.emit('ready');
     }
 
+    // TCP keepalive takes minutes to notice a connection that is silently dropped (e.g. by a NAT or load balancer).
+    // Therefore a PING is sent if nothing was received for ping_interval ms, even while commands are pending
+    start_heartbeat () {
+        clearTimeout(this.heartbeat_timer);
+        this.heartbeat_timer = setTimeout(() => {
+            this.heartbeat_timer = null;
+            // A PING would only be answered after a blocking command returned
+            if (this.data_received || this.monitoring || !this.ready || this.command_queue.toArray().some(is_blocking_command)) {
+                this.data_received = false;
+                this.start_heartbeat();
+                return;
+            }
+            this.send_heartbeat();
+        }, this.ping_interval);
+    }
+
+    send_heartbeat () {
+        debug(`Sending heartbeat to ${this.address} id ${this.connection_id}`);
+        const stream = this.stream;
+        const ping = new Command('ping', [], () => {
+            if (this.heartbeat !== ping) {
+                // The connection was lost in the meanwhile
+                return;
+            }
+            this.heartbeat = null;
+            this.data_received = false;
+            this.start_heartbeat();
+        });
+        const wait_for_reply = () => {
+            this.data_received = false;
+            this.heartbeat_timer = setTimeout(() => {
+                this.heartbeat_timer = null;
+                if (stream !== this.stream) {
+                    return;
+                }
+                // The PING is answered after the pending commands. The connection is alive as long as their replies arrive
+                if (this.data_received) {
+                    wait_for_reply();
+                    return;
+                }
+                const err = new errorClasses.TimeoutError({
+                    message: `The connection is considered dead. Nothing was received within ${this.ping_timeout} ms after sending PING.`,
+                    code: 'NR_TIMEOUT',
+                    command: 'PING',
+                    timeout: this.ping_timeout
+                });
+                debug(`Heartbeat failed on ${this.address} id ${this.connection_id}`);
+                this.stream.destroy();
+                this.connection_gone('heartbeat', err);
+            }, this.ping_timeout);
+        };
+        this.heartbeat = ping;
+        wait_for_reply();
+        this.internal_send_command(ping);
+    }
+
+    stop_heartbeat () {
+        clearTimeout(this.heartbeat_timer);
+        this.heartbeat_timer = null;
+        this.heartbeat = null;
+    }
+
+    stop_offline_queue_expiry () {
+        clearTimeout(this.offline_queue_timer);
+        this.offline_queue_timer = null;
+    }
+
     on_info_cmd (err, res) {
         if (err) {
             if (err.message === "ERR unknown command 'info'") {
@@ -558,6 +912,12 @@ class RedisClient extends EventEmitter {
     }
 
     send_offline_queue () {
+        if (this.offline_queue_max_age !== 0) {
+            // Stale commands are not sent after a long outage
+            drop_expired_offline_commands(this);
+            this.stop_offline_queue_expiry();
+        }
+        this.offline_queue_shedding = false;
         for (let command_obj = this.offline_queue.shift(); command_obj; command_obj = this.offline_queue.shift()) {
             debug(`Sending offline command: ${command_obj.command}`);
             this.internal_send_command(command_obj);
@@ -575,14 +935,25 @@ class RedisClient extends EventEmitter {
         debug(`Redis connection is gone from ${why} event.`);
         this.connected = false;
         this.ready = false;
+        this.connection_setup = false;
+        this.stop_heartbeat();
         // Deactivate cork to work with the offline queue
         this.cork = noop;
         this.uncork = noop;
         this.pipeline = false;
+        this.auto_pipelining = false;
+        // The commands that were not written yet are handled with the command_queue
+        this.pipeline_queue.clear();
         this.pub_sub_mode = 0;
 
+        if (this.cache !== null) {
+            // The server does not send any invalidation messages for this connection anymore
+            this.cache.reset();
+        }
+
         // since we are collapsing end and close, users don't expect to be called twice
         if (!this.emitted_end) {
+            this.instrumentation.connection_event('end');
             this.emit('end');
             this.emitted_end = true;
         }
@@ -590,6 +961,16 @@ class RedisClient extends EventEmitter {
         // If this is a requested shutdown, then don't retry
         if (this.closing) {
             debug('Connection ended by quit / end command, not retrying.');
+            RedisClient.clients.delete(this);
+            if (this.sentinel) {
+                this.sentinel.end();
+            }
+            if (this.cache !== null) {
+                this.cache.end();
+            }
+            if (this.circuit_breaker !== null) {
+                this.circuit_breaker.end();
+            }
             this.flush_and_error({
                 message: 'Stream connection ended and command aborted.',
                 code: 'NR_CLOSED'
@@ -599,6 +980,10 @@ class RedisClient extends EventEmitter {
             return;
         }
 
+        if (this.circuit_breaker !== null) {
+            this.circuit_breaker.connection_lost(error);
+        }
+
         if (typeof this.options.retry_strategy === 'function') {
             const retry_params = {
                 attempt: this.attempts,
@@ -654,7 +1039,11 @@ class RedisClient extends EventEmitter {
 
         // Retry commands after a reconnect instead of throwing an error. Use this with caution
         if (this.options.retry_unfulfilled_commands) {
-            this.offline_queue.unshift.apply(this.offline_queue, this.command_queue.toArray());
+            // The queue only takes a single element at a time. Commands that already timed out are not sent again
+            const unfulfilled = this.command_queue.toArray().filter(command_obj => command_obj.stop_timer === undefined || command_obj.stop_timer());
+            for (let i = unfulfilled.length - 1; i >= 0; i--) {
+                this.offline_queue.unshift(unfulfilled[i]);
+            }
             this.command_queue.clear();
         } else if (this.command_queue.length !== 0) {
             this.flush_and_error({
@@ -708,8 +1097,13 @@ class RedisClient extends EventEmitter {
     }
 
     emit_idle () {
-        if (this.command_queue.length === 0 && this.pub_sub_mode === 0) {
-            this.emit('idle');
+        if (this.command_queue.length === 0) {
+            if (this.close_pending !== null) {
+                this.close_pending();
+            }
+            if (this.pub_sub_mode === 0) {
+                this.emit('idle');
+            }
         }
     }
 
@@ -729,7 +1123,8 @@ class RedisClient extends EventEmitter {
                 return;
             }
         }
-        if (this.pub_sub_mode === 0) {
+        if (this.pub_sub_mode === 0 || this.protocol === 3) {
+            // RESP3 sends pub sub messages as push frames. Therefore all other replies are normal replies
             normal_reply(this, reply);
         } else if (this.pub_sub_mode !== 1) {
             this.pub_sub_mode--;
@@ -743,16 +1138,30 @@ class RedisClient extends EventEmitter {
         }
     }
 
+    // Push frames are only sent if RESP3 is used
+    return_push (reply) {
+        const type = reply[0].toString();
+        if (type === 'message' || type === 'pmessage' || SUBSCRIBE_COMMANDS[type]) {
+            return_pub_sub(this, reply);
+            return;
+        }
+        if (type === 'invalidate') {
+            // Keys tracked for the client side caching were modified
+            this.emit('invalidate', reply[1]);
+            return;
+        }
+        this.emit('push', type, reply.slice(1));
+    }
+
     // Do not call internal_send_command directly, if you are not absolutly certain it handles everything properly
     // e.g. monitor / info does not work with internal_send_command only
     internal_send_command (command_obj) {
         let arg;
-        let prefix_keys;
 
         let i = 0;
         let command_str = '';
 
-        const args = command_obj.args;
+        let args = command_obj.args;
         let command = command_obj.command;
 
         const len = args.length;
@@ -768,16 +1177,72 @@ class RedisClient extends EventEmitter {
         }
 
         if (!command_obj.callback) {
-            out_deferred = deferredPromise();
+            out_deferred = utils.deferred_promise();
+            command_obj.callback = out_deferred.callback;
+        }
 
-            command_obj.callback = (err, data) => {
-                if (err) {
-                    out_deferred.reject(err);
-                    return;
+        // Invalid keyword options are rejected just like invalid arguments of the strict_arguments option
+        if (command_obj.args_error !== undefined) {
+            utils.reply_in_order(this, command_obj.callback, command_obj.args_error);
+
+            if (out_deferred) {
+                return out_deferred.promise;
+            }
+            return !this.should_buffer;
+        }
+
+        // The commands that set up the connection and the commands of a transaction (passed on exec) skip the middleware
+        if (this.middleware.length !== 0 && command_obj.intercepted !== true && !command_obj.in_transaction && !(this.connection_setup && this.ready)) {
+            command_obj.intercepted = true;
+            middleware.run(this.middleware, command_obj, command_obj => {
+                this.internal_send_command(command_obj);
+            });
+
+            if (out_deferred) {
+                return out_deferred.promise;
+            }
+            return !this.should_buffer;
+        }
+
+        if (this.strict_arguments || this.argument_serializers !== null) {
+            const err = this.prepare_arguments(command_obj);
+            if (err !== null) {
+                utils.reply_in_order(this, command_obj.callback, err);
+
+                if (out_deferred) {
+                    return out_deferred.promise;
                 }
+                return !this.should_buffer;
+            }
+            // The serialized arguments are a copy
+            args = command_obj.args;
+        }
 
-                out_deferred.resolve(data);
-            };
+        if (this.circuit_breaker !== null) {
+            if (!this.circuit_breaker.allows(command_obj)) {
+                // Fail fast while Redis is unreachable
+                utils.reply_in_order(this, command_obj.callback, this.circuit_breaker.rejection(command_obj));
+
+                if (out_deferred) {
+                    return out_deferred.promise;
+                }
+                return !this.should_buffer;
+            }
+            if (this.circuit_breaker.error_rate !== null) {
+                this.circuit_breaker.track(command_obj);
+            }
+        }
+
+        if (command_obj.signal && command_obj.signal_attached !== true) {
+            if (command_obj.signal.aborted) {
+                process.nextTick(command_obj.callback, abort_signal_error(command_obj));
+
+                if (out_deferred) {
+                    return out_deferred.promise;
+                }
+                return !this.should_buffer;
+            }
+            attach_signal(this, command_obj);
         }
 
         if (this.ready === false || this.stream.writable === false) {
@@ -861,11 +1326,15 @@ class RedisClient extends EventEmitter {
         }
 
         if (this.options.prefix) {
-            prefix_keys = commands.getKeyIndexes(command, args_copy);
+            keyPrefix.prefix_arguments(command, args_copy, this.options.prefix, this.full_prefix);
+        }
 
-            for (i = prefix_keys.pop(); i !== undefined; i = prefix_keys.pop()) {
-                args_copy[i] = this.options.prefix + args_copy[i];
+        if (this.cache !== null && this.cache.intercept(command_obj, args_copy)) {
+            // The reply is served from the client side cache
+            if (out_deferred) {
+                return out_deferred.promise;
             }
+            return !this.should_buffer;
         }
 
         if (this.options.rename_commands && this.options.rename_commands[command]) {
@@ -876,6 +1345,18 @@ class RedisClient extends EventEmitter {
         // This means that using Buffers in commands is going to be slower, so use Strings if you don't already have a Buffer.
         command_str = `*${len + 1}\r\n$${command.length}\r\n${command}\r\n`;
 
+        if (this.auto_pipeline && this.pipeline === false) {
+            // cork is a noop until the client is ready
+            this.cork();
+            if (this.pipeline) {
+                this.auto_pipelining = true;
+                this.auto_pipeline_length = 0;
+                process.nextTick(flush_auto_pipeline, this, this.pipeline_id);
+            }
+        }
+
+        const pipeline_start = this.pipeline_queue.length;
+
         // Build up a string and send entire command in one write
         if (big_data) {
             debug(`Send command (${command_str}) has Buffer arguments`);
@@ -911,11 +1392,27 @@ class RedisClient extends EventEmitter {
             command_obj.call_on_write();
         }
 
+        if (this.pipeline && command_obj.signal) {
+            // Remember the written entries, so they can be removed again if the command is aborted before uncork
+            command_obj.pipeline_entries = {
+                id: this.pipeline_id,
+                start: pipeline_start,
+                end: this.pipeline_queue.length
+            };
+        }
+
         // Handle `CLIENT REPLY ON|OFF|SKIP`
         // This has to be checked after call_on_write
         /* istanbul ignore else: TODO: Remove this as soon as we test Redis 3.2 on travis */
         if (this.reply === 'ON') {
+            this.instrumentation.command_written(command_obj);
             this.command_queue.push(command_obj);
+
+            const timeout = command_obj.timeout === undefined ? this.command_timeout : +command_obj.timeout;
+            // Queued commands of a transaction are answered with QUEUED. Only the exec command may time out
+            if (timeout > 0 && !command_obj.in_transaction) {
+                start_command_timer(this, command_obj, timeout);
+            }
         } else {
             // Do not expect a reply
             // Does this work in combination with the pub sub mode?
@@ -929,6 +1426,10 @@ class RedisClient extends EventEmitter {
             }
         }
 
+        if (this.auto_pipelining && ++this.auto_pipeline_length >= this.auto_pipeline_max_batch) {
+            this.uncork();
+        }
+
         if (out_deferred) {
             return out_deferred.promise;
         }
@@ -938,33 +1439,43 @@ class RedisClient extends EventEmitter {
 
     write_strings () {
         let str = '';
-        for (let command = this.pipeline_queue.shift(); command; command = this.pipeline_queue.shift()) {
+        for (let command = this.pipeline_queue.shift(); command !== undefined; command = this.pipeline_queue.shift()) {
             // Write to stream if the string is bigger than 4mb. The biggest string may be Math.pow(2, 28) - 15 chars long
             if (str.length + command.length > 4 * 1024 * 1024) {
-                this.should_buffer = !this.stream.write(str);
+                this.write_to_stream(str);
                 str = '';
             }
             str += command;
         }
         if (str !== '') {
-            this.should_buffer = !this.stream.write(str);
+            this.write_to_stream(str);
         }
     }
 
     write_buffers () {
-        for (let command = this.pipeline_queue.shift(); command; command = this.pipeline_queue.shift()) {
-            this.should_buffer = !this.stream.write(command);
+        for (let command = this.pipeline_queue.shift(); command !== undefined; command = this.pipeline_queue.shift()) {
+            // Aborted commands leave empty entries behind
+            if (command.length !== 0) {
+                this.write_to_stream(command);
+            }
         }
     }
 
     write (data) {
         if (this.pipeline === false) {
-            this.should_buffer = !this.stream.write(data);
+            this.write_to_stream(data);
             return;
         }
         this.pipeline_queue.push(data);
     }
 
+    write_to_stream (data) {
+        if (this.metrics_collector !== null) {
+            this.metrics_collector.written(data);
+        }
+        this.should_buffer = !this.stream.write(data);
+    }
+
     // Don't officially expose the command_queue directly but only the length as read only variable
     get command_queue_length () {
         return this.command_queue.length;
@@ -974,6 +1485,11 @@ class RedisClient extends EventEmitter {
         return this.offline_queue.length;
     }
 
+    // Either 'closed', 'open' or 'half_open'. Null if the circuit breaker is not used
+    get circuit_state () {
+        return this.circuit_breaker === null ? null : this.circuit_breaker.state;
+    }
+
     // Add support for camelCase by adding read only properties to the client
     // All known exposed snake_case variables are added here
     get retryDelay () {
@@ -992,6 +1508,10 @@ class RedisClient extends EventEmitter {
         return this.offline_queue.length;
     }
 
+    get circuitState () {
+        return this.circuit_state;
+    }
+
     get shouldBuffer () {
         return this.should_buffer;
     }
@@ -1006,12 +1526,19 @@ class RedisClient extends EventEmitter {
 }
 
 RedisClient.connection_id = 0;
+RedisClient.clients = new Set(); // All clients that are not closed yet. Used by closeAll()
 
 function create_parser (self) {
-    return new Parser({
+    // redis-parser can not return BigInts. RESP2 is a subset of RESP3, so the RESP3 parser handles it as well.
+    // That replaces the parser option, e.g. hiredis
+    const ReplyParser = self.options.protocol === 3 || self.options.bigint_replies ? Resp3Parser : Parser;
+    return new ReplyParser({
         returnReply (data) {
             self.return_reply(data);
         },
+        returnPush (data) {
+            self.return_push(data);
+        },
         returnError (err) {
             // Return a ReplyError to indicate Redis returned an error
             self.return_error(err);
@@ -1035,7 +1562,8 @@ function create_parser (self) {
         },
         returnBuffers: self.buffers || self.message_buffers,
         name: self.options.parser || 'javascript',
-        stringNumbers: self.options.string_numbers || false
+        stringNumbers: self.options.string_numbers || false,
+        bigInts: self.options.bigint_replies
     });
 }
 
@@ -1059,20 +1587,86 @@ const retry_connection = (self, error) => {
         reconnect_params.times_connected = self.times_connected;
     }
 
+    self.instrumentation.connection_event('reconnecting', {
+        delay: self.retry_delay,
+        attempt: self.attempts,
+        error
+    });
+    if (self.metrics_collector !== null) {
+        self.metrics_collector.reconnect();
+    }
     self.emit('reconnecting', reconnect_params);
 
     self.retry_totaltime += self.retry_delay;
     self.attempts += 1;
     self.retry_delay = Math.round(self.retry_delay * self.retry_backoff);
+
+    if (self.sentinel) {
+        // Ask the sentinels for the current address first. The retry_timer is reset as soon as they replied
+        self.sentinel.connect();
+        return;
+    }
+
     self.create_stream();
     self.retry_timer = null;
 };
 
+function argument_type (arg) {
+    if (arg instanceof Date) {
+        return 'date';
+    }
+    return typeof arg;
+}
+
+function is_valid_argument (arg) {
+    switch (typeof arg) {
+            case 'string':
+            case 'bigint':
+            case 'boolean':
+                return true;
+            case 'number':
+                return Number.isFinite(arg);
+            case 'object':
+                return arg instanceof Date || Buffer.isBuffer(arg);
+            default:
+                return false;
+    }
+}
+
+function describe_argument (arg) {
+    if (arg === null || arg === undefined || typeof arg === 'number') {
+        return `${arg}`;
+    }
+    if (typeof arg === 'object') {
+        return `of type ${arg.constructor ? arg.constructor.name : 'Object'}`;
+    }
+    return `of type ${typeof arg}`;
+}
+
+function is_blocking_command (command_obj) {
+    if (BLOCKING_COMMANDS[command_obj.command] === true) {
+        return true;
+    }
+    if (command_obj.command !== 'xread' && command_obj.command !== 'xreadgroup') {
+        return false;
+    }
+    return command_obj.args.some(arg => `${arg}`.toUpperCase() === 'BLOCK');
+}
+
 function normal_reply (self, reply) {
     const command_obj = self.command_queue.shift();
     if (typeof command_obj.callback === 'function') {
         if (command_obj.command !== 'exec') {
             reply = RedisClient.handle_reply(reply, command_obj.command, command_obj.buffer_args);
+            if (self.full_prefix) {
+                reply = keyPrefix.strip_reply(command_obj.command, reply, self.options.prefix);
+            }
+            if (self.parse_numbers) {
+                reply = replyTransformers.parse_numbers(command_obj.command, command_obj.args, reply);
+            }
+            if (self.transform_replies) {
+                reply = replyTransformers.transform(command_obj.command, command_obj.args, reply);
+            }
         }
         command_obj.callback(null, reply);
     } else {
@@ -1080,12 +1674,159 @@ function normal_reply (self, reply) {
     }
 }
 
+// Reject the command if no reply arrived in time. The command stays in the command_queue,
+// so the late reply is still matched to it and ignored instead of being passed to the next command
+// Timed out commands are aborted as well, but the connection is not reset by that
+function connection_aborted (err) {
+    return err instanceof errorClasses.AbortError && !(err instanceof errorClasses.TimeoutError);
+}
+
+function start_command_timer (self, command_obj, timeout) {
+    const callback = command_obj.callback;
+    let timed_out = false;
+
+    const timer = setTimeout(() => {
+        timed_out = true;
+        self.consecutive_timeouts++;
+
+        const err = new errorClasses.TimeoutError({
+            message: `${command_obj.command.toUpperCase()} did not receive a reply within ${timeout} ms.`,
+            code: 'NR_TIMEOUT',
+            command: command_obj.command.toUpperCase(),
+            timeout
+        });
+        if (command_obj.args.length) {
+            err.args = command_obj.args;
+        }
+        callback(err);
+
+        // The connection might be broken without being closed. Reconnecting fails all other pending commands
+        if (self.reconnect_after_timeouts !== 0 && self.consecutive_timeouts >= self.reconnect_after_timeouts && self.stream) {
+            debug(`${self.consecutive_timeouts} commands timed out in a row. Reconnecting`);
+            self.consecutive_timeouts = 0;
+            self.stream.destroy();
+            self.connection_gone('timeout', err);
+        }
+    }, timeout);
+
+    command_obj.callback = (err, res) => {
+        if (timed_out) {
+            debug(`Ignoring the late reply of ${command_obj.command}`);
+            return;
+        }
+        clearTimeout(timer);
+        self.consecutive_timeouts = 0;
+        callback(err, res);
+    };
+    // Called if the command is sent again after a reconnect. The timer starts again as soon as it is written.
+    // Returns false if the command already timed out
+    command_obj.stop_timer = () => {
+        clearTimeout(timer);
+        command_obj.callback = callback;
+        command_obj.stop_timer = undefined;
+        return !timed_out;
+    };
+}
+
+// The credentials_provider may return the credentials directly or a promise resolving to them
+function request_credentials (self) {
+    const credentials = new Promise(resolve => {
+        resolve(self.options.credentials_provider());
+    }).then(credentials => {
+        if (credentials === null || typeof credentials !== 'object' || credentials.password === undefined) {
+            throw new TypeError('The credentials_provider has to return an object with a password and an optional username');
+        }
+        return credentials;
+    });
+    // The rejection is handled as soon as the stream is connected
+    credentials.catch(noop);
+    return credentials;
+}
+
+function abort_signal_error (command_obj) {
+    const command = command_obj.command.toUpperCase();
+    const err = new errorClasses.AbortError({
+        message: `${command} was aborted.`,
+        code: 'NR_ABORTED',
+        command,
+        reason: command_obj.signal.reason
+    });
+    if (command_obj.args.length) {
+        err.args = command_obj.args;
+    }
+    return err;
+}
+
+// Aborting removes commands that were not yet written to the socket. Commands that were already
+// written stay in the command_queue, so their reply is still matched to them and discarded
+function attach_signal (self, command_obj) {
+    const signal = command_obj.signal;
+    const callback = command_obj.callback;
+    let aborted = false;
+
+    const on_abort = () => {
+        const err = abort_signal_error(command_obj);
+        if (remove_unsent_command(self, command_obj)) {
+            debug(`Aborting ${command_obj.command}`);
+            // Callbacks that were chained to this command by utils.reply_in_order are called as well
+            command_obj.callback(err);
+            return;
+        }
+        debug(`Aborting ${command_obj.command} and discarding its reply`);
+        aborted = true;
+        callback(err);
+    };
+
+    command_obj.signal_attached = true;
+    command_obj.callback = (err, res) => {
+        if (aborted) {
+            return;
+        }
+        signal.removeEventListener('abort', on_abort);
+        callback(err, res);
+    };
+    signal.addEventListener('abort', on_abort);
+}
+
+// Writes the commands collected during the tick at once. The pipeline might already be written because it reached the max batch size
+function flush_auto_pipeline (self, pipeline_id) {
+    if (self.auto_pipelining && self.pipeline_id === pipeline_id) {
+        self.uncork();
+    }
+}
+
+function remove_unsent_command (self, command_obj) {
+    let index = self.offline_queue.toArray().indexOf(command_obj);
+    if (index !== -1) {
+        self.offline_queue.removeOne(index);
+        return true;
+    }
+
+    const entries = command_obj.pipeline_entries;
+    if (self.pipeline === false || entries === undefined || entries.id !== self.pipeline_id) {
+        return false;
+    }
+    index = self.command_queue.toArray().lastIndexOf(command_obj);
+    if (index === -1) {
+        return false;
+    }
+    self.command_queue.removeOne(index);
+    for (let i = entries.start; i < entries.end; i++) {
+        self.pipeline_queue.splice(i, 1, '');
+    }
+    return true;
+}
+
 function subscribe_unsubscribe (self, reply, type) {
     // Subscribe commands take an optional callback and also emit an event, but only the _last_ response is included in the callback
     // The pub sub commands return each argument in a separate return value and have to be handled that way
     const command_obj = self.command_queue.get(0);
     const buffer = self.options.return_buffers || self.options.detect_buffers && command_obj.buffer_args;
-    const channel = (buffer || reply[1] === null) ? reply[1] : reply[1].toString();
+    let channel = (buffer || reply[1] === null) ? reply[1] : reply[1].toString();
+    if (self.full_prefix) {
+        // The channels are stored without prefix, as they are prefixed again when resubscribing
+        channel = keyPrefix.strip_prefix(channel, self.options.prefix);
+    }
     const count = +reply[2]; // Return the channel counter as number no matter if `string_numbers` is activated or not
 
     debug(type, channel);
@@ -1142,7 +1883,19 @@ function subscribe_unsubscribe (self, reply, type) {
 
 function return_pub_sub (self, reply) {
     const type = reply[0].toString();
+    if (self.full_prefix && (type === 'message' || type === 'pmessage')) {
+        reply = reply.slice();
+        reply[1] = keyPrefix.strip_prefix(reply[1], self.options.prefix);
+        if (type === 'pmessage') {
+            reply[2] = keyPrefix.strip_prefix(reply[2], self.options.prefix);
+        }
+    }
     if (type === 'message') { // channel, message
+        if (reply[1].toString() === ClientCache.INVALIDATE_CHANNEL) {
+            // RESP2 sends the invalidated keys as array. The message is not emitted as it is no string
+            self.emit('invalidate', reply[2]);
+            return;
+        }
         if (!self.options.return_buffers || self.message_buffers) { // backwards compatible. Refactor this in v.3 to always return a string on the normal emitter
             self.emit('message', reply[1].toString(), reply[2].toString());
             self.emit('message_buffer', reply[1], reply[2]);
@@ -1169,6 +1922,71 @@ function return_pub_sub (self, reply) {
     subscribe_unsubscribe(self, reply, type);
 }
 
+function reject_offline_command (self, command_obj, message, code) {
+    const command = command_obj.command.toUpperCase();
+    const err = new errorClasses.AbortError({
+        message: `${command} ${message}`,
+        code,
+        command
+    });
+    if (command_obj.args.length) {
+        err.args = command_obj.args;
+    }
+    utils.reply_in_order(self, command_obj.callback, err);
+}
+
+function drop_expired_offline_commands (self) {
+    const expired = Date.now() - self.offline_queue_max_age;
+    let dropped = 0;
+    // Commands that are retried after a reconnect do not expire. The order of the other commands is kept
+    for (let i = self.offline_queue.length; i > 0; i--) {
+        const command_obj = self.offline_queue.shift();
+        if (command_obj.queued_at <= expired) {
+            reject_offline_command(self, command_obj, `waited longer than ${self.offline_queue_max_age} ms in the offline queue.`, 'NR_OFFLINE_QUEUE_EXPIRED');
+            dropped++;
+        } else {
+            self.offline_queue.push(command_obj);
+        }
+    }
+    return dropped;
+}
+
+// Rejects the commands as soon as they expire and not only when the client reconnects or the queue is full.
+// One timer waits for the oldest queued command at a time
+function schedule_offline_queue_expiry (self) {
+    if (self.offline_queue_timer !== null) {
+        return;
+    }
+    const oldest = self.offline_queue.toArray().find(command_obj => command_obj.queued_at !== undefined);
+    if (oldest === undefined) {
+        return;
+    }
+    const delay = Math.max(oldest.queued_at + self.offline_queue_max_age - Date.now(), 0);
+    self.offline_queue_timer = setTimeout(() => {
+        self.offline_queue_timer = null;
+        drop_expired_offline_commands(self);
+        schedule_offline_queue_expiry(self);
+    }, delay);
+}
+
+// Makes room for the command according to the offline_queue_policy. Returns false if the command is rejected instead
+function shed_offline_queue (self, command_obj) {
+    if (self.offline_queue_shedding === false) {
+        self.offline_queue_shedding = true;
+        debug(`The offline queue of ${self.address} is full. Shedding commands`);
+        self.emit('offline_queue_full');
+    }
+    if (self.offline_queue_policy === 'drop-oldest') {
+        reject_offline_command(self, self.offline_queue.shift(), 'was dropped from the full offline queue.', 'NR_OFFLINE_QUEUE_FULL');
+        return true;
+    }
+    if (self.offline_queue_policy === 'drop-expired' && self.offline_queue_max_age !== 0 && drop_expired_offline_commands(self) !== 0) {
+        return true;
+    }
+    reject_offline_command(self, command_obj, "can't be processed. The offline queue is full.", 'NR_OFFLINE_QUEUE_FULL');
+    return false;
+}
+
 function handle_offline_command (self, command_obj) {
     let command = command_obj.command;
 
@@ -1179,7 +1997,7 @@ function handle_offline_command (self, command_obj) {
         command = command.toUpperCase();
 
         if (!self.closing) {
-            if (self.stream.writable) {
+            if (self.stream && self.stream.writable) {
                 msg = 'The connection is not yet established and the offline queue is deactivated.';
             } else {
                 msg = 'Stream not writeable.';
@@ -1203,8 +2021,16 @@ function handle_offline_command (self, command_obj) {
         return;
     }
 
+    if (self.offline_queue_max_length !== 0 && self.offline_queue.length >= self.offline_queue_max_length && !shed_offline_queue(self, command_obj)) {
+        return;
+    }
+
     debug(`Queueing ${command} for next server connection.`);
     self.offline_queue.push(command_obj);
+    if (self.offline_queue_max_age !== 0) {
+        command_obj.queued_at = Date.now();
+        schedule_offline_queue_expiry(self);
+    }
 
     self.should_buffer = true;
 }
@@ -1222,6 +2048,25 @@ exports.createClient = function createClient (...args) {
     return new RedisClient(unifyOptions.apply(null, args));
 };
 
+// Gracefully closes all clients that are not closed yet, e.g. on SIGTERM
+exports.closeAll = exports.close_all = function close_all (options) {
+    return Promise.all(Array.from(RedisClient.clients, client => client.close(options)));
+};
+
+// The metrics of all clients created with the metrics option
+exports.metrics = function metrics () {
+    return Metrics.registry.snapshot();
+};
+
+exports.toPrometheus = exports.to_prometheus = function to_prometheus (snapshot) {
+    return Metrics.to_prometheus(snapshot || Metrics.registry.snapshot());
+};
+
+// Registers a transformer for the replies of a command, e.g. of a module command added with add_command
+exports.addReplyTransformer = exports.add_reply_transformer = function add_reply_transformer (command, transformer) {
+    replyTransformers.add(command, transformer);
+};
+
 exports.RedisClient = RedisClient;
 exports.print = utils.print;
 exports.Multi = require('./lib/multi');
@@ -1230,10 +2075,24 @@ exports.RedisError = Parser.RedisError;
 exports.ParserError = Parser.ParserError;
 exports.ReplyError = Parser.ReplyError;
 exports.AggregateError = errorClasses.AggregateError;
+exports.TimeoutError = errorClasses.TimeoutError;
+exports.AuthenticationError = errorClasses.AuthenticationError;
+exports.CircuitOpenError = errorClasses.CircuitOpenError;
+exports.commandOptions = exports.command_options = require('./lib/commandOptions');
 
 // Add all redis commands / node_redis api to the client
 require('./lib/individualCommands');
 require('./lib/extendedApi');
+require('./lib/scripts');
+
+exports.RedisCluster = require('./lib/cluster');
+exports.Pool = require('./lib/pool');
+exports.createCluster = function createCluster (options) {
+    return new exports.RedisCluster(options);
+};
+exports.createPool = function createPool (...args) {
+    return new exports.Pool(unifyOptions.apply(null, args), RedisClient);
+};
 
 //enables adding new commands (for modules and new commands)
 exports.addCommand = exports.add_command = require('./lib/commands');
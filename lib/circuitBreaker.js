@@ -0,0 +1,165 @@
+'use strict';
+
+const ReplyError = require('redis-parser').ReplyError;
+
+const debug = require('./debug');
+const Command = require('./command');
+const errorClasses = require('./customErrors');
+
+// Fails commands fast while Redis is unreachable instead of queueing them.
+// The breaker opens after too many connection losses in a row or too many failing commands and rejects all new commands.
+// After the reset_timeout a probe PING is sent (half open). The breaker closes as soon as the probe succeeds
+class CircuitBreaker {
+    constructor (client, options) {
+        if (options === true) {
+            options = {};
+        }
+
+        this.client = client;
+        this.max_failures = options.max_failures === undefined ? 5 : options.max_failures | 0;
+        this.error_rate = options.error_rate === undefined ? null : +options.error_rate;
+        this.min_commands = options.min_commands === undefined ? 20 : options.min_commands | 0;
+        this.window = options.window === undefined ? 10000 : +options.window;
+        this.reset_timeout = options.reset_timeout === undefined ? 5000 : +options.reset_timeout;
+
+        if (this.max_failures < 1) {
+            throw new RangeError(`The max_failures option of the circuit_breaker has to be at least 1 and not ${options.max_failures}`);
+        }
+        if (this.error_rate !== null && !(this.error_rate > 0 && this.error_rate <= 1)) {
+            throw new RangeError(`The error_rate option of the circuit_breaker has to be between 0 and 1 and not ${options.error_rate}`);
+        }
+        if (!(this.reset_timeout > 0)) {
+            throw new RangeError(`The reset_timeout option of the circuit_breaker has to be a positive number and not ${options.reset_timeout}`);
+        }
+
+        this.state = 'closed';
+        this.failures = 0; // Connection losses since the client was ready the last time
+        this.commands = 0; // Finished commands in the current window
+        this.errors = 0; // Commands in the current window that failed for other reasons than a reply error
+        this.window_start = Date.now();
+        this.timer = null;
+        this.probe = null;
+    }
+
+    // The commands that restore the connection state are always sent. So is the probe.
+    // Commands of a closed client are rejected by the client itself
+    allows (command_obj) {
+        return this.state === 'closed' || command_obj === this.probe || this.client.connection_setup && this.client.ready || this.client.closing;
+    }
+
+    rejection (command_obj) {
+        const command = command_obj.command.toUpperCase();
+        const err = new errorClasses.CircuitOpenError({
+            message: `${command} can't be processed. The circuit breaker is ${this.state === 'open' ? 'open' : 'half open'}.`,
+            code: 'NR_CIRCUIT_OPEN',
+            command
+        });
+        if (command_obj.args.length) {
+            err.args = command_obj.args;
+        }
+        return err;
+    }
+
+    // Wraps the callback to count the failing commands for the error rate
+    track (command_obj) {
+        // Offline commands pass the client twice
+        if (command_obj.tracked === true) {
+            return;
+        }
+        command_obj.tracked = true;
+        const callback = command_obj.callback;
+        command_obj.callback = (err, res) => {
+            this.record(err);
+            callback(err, res);
+        };
+    }
+
+    record (err) {
+        if (this.state !== 'closed') {
+            return;
+        }
+        const now = Date.now();
+        if (now - this.window_start >= this.window) {
+            this.window_start = now;
+            this.commands = 0;
+            this.errors = 0;
+        }
+        this.commands++;
+        // Errors returned by Redis and aborted commands do not indicate an unreachable server
+        if (err && !(err instanceof ReplyError) && err.code !== 'NR_ABORTED') {
+            this.errors++;
+            if (this.commands >= this.min_commands && this.errors / this.commands >= this.error_rate) {
+                this.open(err);
+            }
+        }
+    }
+
+    connection_lost (error) {
+        this.failures++;
+        if (this.state === 'half_open' || this.state === 'closed' && this.failures >= this.max_failures) {
+            this.open(error);
+        }
+    }
+
+    connection_ready () {
+        if (this.state === 'closed') {
+            this.failures = 0;
+        }
+    }
+
+    open (error) {
+        debug(`Opening the circuit breaker of ${this.client.address}`);
+        this.state = 'open';
+        this.probe = null;
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.half_open();
+        }, this.reset_timeout);
+
+        // The queued commands would otherwise wait for the connection until the breaker closes again
+        const offline_queue = this.client.offline_queue;
+        for (let command_obj = offline_queue.shift(); command_obj; command_obj = offline_queue.shift()) {
+            command_obj.callback(this.rejection(command_obj));
+        }
+        this.client.emit('circuit_open', error || null);
+    }
+
+    half_open () {
+        debug(`Probing the connection to ${this.client.address}`);
+        this.state = 'half_open';
+        this.timer = null;
+        const probe = new Command('ping', [], err => {
+            if (probe !== this.probe) {
+                // The breaker was opened again in the meanwhile
+                return;
+            }
+            this.probe = null;
+            if (err) {
+                this.open(err);
+            } else {
+                this.close();
+            }
+        }, undefined, { timeout: this.reset_timeout });
+        this.probe = probe;
+        this.client.emit('circuit_half_open');
+        this.client.internal_send_command(probe);
+    }
+
+    close () {
+        debug(`Closing the circuit breaker of ${this.client.address}`);
+        this.state = 'closed';
+        this.failures = 0;
+        this.window_start = Date.now();
+        this.commands = 0;
+        this.errors = 0;
+        this.client.emit('circuit_close');
+    }
+
+    end () {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.probe = null;
+    }
+}
+
+module.exports = CircuitBreaker;
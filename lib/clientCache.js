@@ -0,0 +1,334 @@
+'use strict';
+
+const commands = require('redis-commands');
+
+const debug = require('./debug');
+const Command = require('./command');
+const errorClasses = require('./customErrors');
+
+const INVALIDATE_CHANNEL = '__redis__:invalidate';
+
+// Read only commands whose replies only depend on the keys they read
+const CACHEABLE_COMMANDS = [
+    'get', 'mget', 'strlen', 'getrange', 'exists', 'type',
+    'hget', 'hmget', 'hgetall', 'hexists', 'hkeys', 'hvals', 'hlen', 'hstrlen',
+    'lindex', 'llen', 'lrange',
+    'scard', 'sismember', 'smembers',
+    'zcard', 'zcount', 'zrange', 'zrangebyscore', 'zrank', 'zrevrange', 'zrevrank', 'zscore'
+].reduce((obj, command) => {
+    obj[command] = true;
+    return obj;
+}, {});
+
+// Commands that change the keys of a whole database or the database itself
+const CLEARING_COMMANDS = {
+    flushall: true,
+    flushdb: true,
+    select: true,
+    swapdb: true
+};
+
+// The cached replies are returned as copies so that users may not alter the cached reply
+function copy_reply (reply) {
+    if (Array.isArray(reply)) {
+        return reply.map(copy_reply);
+    }
+    if (Object.prototype.toString.call(reply) === '[object Object]') {
+        const copy = {};
+        for (const key in reply) {
+            copy[key] = copy_reply(reply[key]);
+        }
+        return copy;
+    }
+    return reply;
+}
+
+// Client side caching based on the server assisted key tracking of Redis 6.
+// RESP3 connections receive the invalidation messages as push frames on the same connection.
+// RESP2 connections redirect them to a separate subscriber connection
+class ClientCache {
+    constructor (client, options) {
+        if (options === true) {
+            options = {};
+        }
+
+        this.client = client;
+        this.max_entries = options.max_entries === undefined ? 10000 : options.max_entries | 0;
+        this.bcast = !!options.bcast;
+        this.prefixes = options.prefixes || (this.bcast && client.options.prefix ? [client.options.prefix] : []);
+
+        if (this.max_entries < 1) {
+            throw new RangeError(`The max_entries option of the client_cache has to be at least 1 and not ${options.max_entries}`);
+        }
+
+        this.entries = new Map(); // The insertion order is used to evict the least recently used entry
+        this.keys = new Map(); // Holds the ids of the entries and pending commands for each key
+        this.pending = new Map(); // Commands whose reply is stored as soon as it arrives
+        this.hits = 0;
+        this.misses = 0;
+        // Replies are only cached after the server confirmed the tracking
+        this.tracking = false;
+        this.subscriber = null;
+        this.redirect_id = null;
+
+        client.on('invalidate', keys => {
+            this.invalidate(keys);
+        });
+    }
+
+    // Called on connect after the protocol is known
+    enable () {
+        if (this.client.protocol === 3) {
+            this.send_tracking(null);
+            return;
+        }
+        if (this.subscriber === null) {
+            this.create_subscriber();
+        } else if (this.redirect_id !== null) {
+            this.send_tracking(this.redirect_id);
+        }
+    }
+
+    send_tracking (redirect_id, redirect_changed) {
+        const client = this.client;
+        const args = ['tracking', 'on'];
+
+        if (this.bcast) {
+            args.push('bcast');
+            for (const prefix of this.prefixes) {
+                args.push('prefix', prefix);
+            }
+        }
+        if (redirect_id !== null) {
+            args.push('redirect', redirect_id);
+        }
+
+        // Fire the command before any other command, so all following reads are tracked
+        const ready = client.ready;
+        client.ready = true;
+        if (redirect_changed) {
+            client.internal_send_command(new Command('client', ['tracking', 'off'], noop_error));
+        }
+        client.internal_send_command(new Command('client', args, err => {
+            if (err) {
+                debug(`Enabling the client side caching failed: ${err.message}`);
+                // Connection errors are handled by the client. Tracking is enabled again on reconnect
+                if (!(err instanceof errorClasses.AbortError) || err instanceof errorClasses.TimeoutError) {
+                    client.emit('error', err);
+                }
+                return;
+            }
+            debug(`Client side caching enabled for ${client.address} id ${client.connection_id}`);
+            this.tracking = true;
+        }));
+        client.ready = ready;
+    }
+
+    // RESP2 can not receive invalidation messages while running commands. They are redirected to a separate connection
+    create_subscriber () {
+        const client = this.client;
+
+        this.subscriber = client.duplicate({
+            client_cache: false,
+            // The invalidation channel may not be prefixed
+            full_prefix: false,
+            protocol: 2,
+            // The subscriber has to get its id before subscribing
+            disable_resubscribing: true
+        });
+        this.subscriber.on('error', err => {
+            debug(`Client side caching subscriber error: ${err.message}`);
+        });
+        this.subscriber.on('invalidate', keys => {
+            this.invalidate(keys);
+        });
+        this.subscriber.on('end', () => {
+            // The redirection is broken. Invalidations might get lost until the subscriber reconnected
+            this.redirect_id = null;
+            this.reset();
+        });
+        this.subscriber.on('ready', () => {
+            this.subscriber.internal_send_command(new Command('client', ['id'], (err, id) => {
+                if (err) {
+                    debug(`Receiving the subscriber id failed: ${err.message}`);
+                    return;
+                }
+                this.subscriber.subscribe(INVALIDATE_CHANNEL, noop_error);
+                this.redirect_id = id;
+                if (client.connected) {
+                    this.reset();
+                    this.send_tracking(id, true);
+                }
+            }));
+        });
+    }
+
+    // Returns true if the reply was served from the cache
+    intercept (command_obj, args) {
+        const command = command_obj.command;
+
+        if (CACHEABLE_COMMANDS[command] !== true || command_obj.buffer_args || command_obj.in_transaction) {
+            if (CLEARING_COMMANDS[command] === true) {
+                this.clear();
+            } else if (commands.exists(command) && commands.hasFlag(command, 'write')) {
+                // Do not serve stale replies after a write of this client. The invalidation message arrives later
+                this.invalidate(commands.getKeyIndexes(command, args).map(index => args[index]));
+            }
+            return false;
+        }
+
+        if (this.tracking === false || this.client.reply !== 'ON') {
+            return false;
+        }
+
+        const keys = commands.getKeyIndexes(command, args).map(index => args[index]);
+        if (this.bcast && this.prefixes.length !== 0 && !keys.every(key => this.prefixes.some(prefix => key.startsWith(prefix)))) {
+            // The server does not send invalidations for these keys
+            return false;
+        }
+
+        const id = JSON.stringify([command].concat(args));
+        const entry = this.entries.get(id);
+
+        if (entry !== undefined) {
+            this.hits++;
+            // Move the entry to the end to mark it as recently used
+            this.entries.delete(id);
+            this.entries.set(id, entry);
+            this.reply_in_order(command_obj.callback, copy_reply(entry.reply));
+            return true;
+        }
+
+        this.misses++;
+
+        const pending = { keys };
+        const callback = command_obj.callback;
+        this.pending.set(id, pending);
+        this.add_keys(id, keys);
+
+        command_obj.callback = (err, res) => {
+            // The key might have been invalidated in the meanwhile
+            if (this.pending.get(id) === pending) {
+                this.pending.delete(id);
+                if (err === null) {
+                    this.store(id, { keys, reply: copy_reply(res) });
+                } else {
+                    this.remove_keys(id, keys);
+                }
+            }
+            callback(err, res);
+        };
+
+        return false;
+    }
+
+    // The cached reply is returned after the replies of all commands sent before
+    reply_in_order (callback, reply) {
+        const command_obj = this.client.command_queue.peekBack();
+
+        if (command_obj === undefined) {
+            process.nextTick(callback, null, reply);
+            return;
+        }
+
+        const fn = command_obj.callback;
+        command_obj.callback = (err, res) => {
+            fn(err, res);
+            callback(null, reply);
+        };
+    }
+
+    store (id, entry) {
+        this.entries.set(id, entry);
+        if (this.entries.size > this.max_entries) {
+            const oldest = this.entries.keys().next().value;
+            this.remove_keys(oldest, this.entries.get(oldest).keys);
+            this.entries.delete(oldest);
+        }
+    }
+
+    add_keys (id, keys) {
+        for (const key of keys) {
+            let ids = this.keys.get(key);
+            if (ids === undefined) {
+                ids = new Set();
+                this.keys.set(key, ids);
+            }
+            ids.add(id);
+        }
+    }
+
+    remove_keys (id, keys) {
+        for (const key of keys) {
+            const ids = this.keys.get(key);
+            if (ids !== undefined) {
+                ids.delete(id);
+                if (ids.size === 0) {
+                    this.keys.delete(key);
+                }
+            }
+        }
+    }
+
+    // A null instead of the keys is sent after FLUSHALL and FLUSHDB
+    invalidate (keys) {
+        if (keys === null) {
+            this.clear();
+            return;
+        }
+
+        for (const key of keys) {
+            const ids = this.keys.get(`${key}`);
+            if (ids === undefined) {
+                continue;
+            }
+            this.keys.delete(`${key}`);
+            for (const id of ids) {
+                const entry = this.entries.get(id) || this.pending.get(id);
+                this.entries.delete(id);
+                this.pending.delete(id);
+                if (entry !== undefined) {
+                    this.remove_keys(id, entry.keys);
+                }
+            }
+        }
+    }
+
+    clear () {
+        this.entries.clear();
+        this.keys.clear();
+        this.pending.clear();
+    }
+
+    // The server stops tracking the keys as soon as the connection is lost
+    reset () {
+        this.tracking = false;
+        this.clear();
+    }
+
+    end () {
+        this.reset();
+        if (this.subscriber !== null) {
+            this.subscriber.end(true);
+            this.subscriber = null;
+        }
+    }
+
+    get size () {
+        return this.entries.size;
+    }
+
+    get maxEntries () {
+        return this.max_entries;
+    }
+}
+
+function noop_error (err) {
+    if (err) {
+        debug(`Client side caching command failed: ${err.message}`);
+    }
+}
+
+ClientCache.INVALIDATE_CHANNEL = INVALIDATE_CHANNEL;
+
+module.exports = ClientCache;
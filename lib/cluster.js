@@ -0,0 +1,662 @@
+'use strict';
+
+const EventEmitter = require('events');
+const Queue = require('denque');
+const commands = require('redis-commands');
+
+const utils = require('./utils');
+const debug = require('./debug');
+const Command = require('./command');
+const Multi = require('./multi');
+const errorClasses = require('./customErrors');
+const RedisClient = require('../').RedisClient;
+
+const SLOT_COUNT = 16384;
+
+// Options that only concern the cluster and are not passed to the individual node clients
+const CLUSTER_OPTIONS = ['nodes', 'max_redirections', 'slots_refresh_timeout', 'slots_refresh_attempts', 'retry_delay_on_try_again'];
+
+// The failed initial slot refreshes are retried with an exponential backoff between these delays
+const MIN_REFRESH_DELAY = 100;
+const MAX_REFRESH_DELAY = 2000;
+
+// Events of the pub sub client that are passed through to the cluster
+const PUB_SUB_EVENTS = [
+    'message', 'pmessage', 'message_buffer', 'pmessage_buffer', 'messageBuffer', 'pmessageBuffer',
+    'subscribe', 'unsubscribe', 'psubscribe', 'punsubscribe'
+];
+
+const noop = () => {};
+
+// CRC16-CCITT (XMODEM) as used by Redis Cluster to map keys to hash slots
+const crc16_table = (() => {
+    const table = new Array(256);
+
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 8;
+
+        for (let j = 0; j < 8; j++) {
+            crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+        }
+
+        table[i] = crc & 0xffff;
+    }
+
+    return table;
+})();
+
+function crc16 (buffer) {
+    let crc = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+        crc = ((crc << 8) ^ crc16_table[((crc >> 8) ^ buffer[i]) & 0xff]) & 0xffff;
+    }
+
+    return crc;
+}
+
+// Only the part in between the first "{" and the following "}" is hashed, if that part is not empty
+function key_slot (key) {
+    const buffer = Buffer.isBuffer(key) ? key : Buffer.from(`${key}`);
+    const start = buffer.indexOf(123); // {
+
+    if (start !== -1) {
+        const end = buffer.indexOf(125, start + 1); // }
+
+        if (end > start + 1) {
+            return crc16(buffer.slice(start + 1, end)) % SLOT_COUNT;
+        }
+    }
+
+    return crc16(buffer) % SLOT_COUNT;
+}
+
+// Accept "host:port" strings, port numbers and { host, port } objects as nodes
+function parse_node (node) {
+    if (typeof node === 'number') {
+        return { host: '127.0.0.1', port: node };
+    }
+
+    if (typeof node === 'string') {
+        const index = node.lastIndexOf(':');
+
+        return { host: node.slice(0, index) || '127.0.0.1', port: +node.slice(index + 1) };
+    }
+
+    if (node && typeof node === 'object') {
+        return { host: node.host || '127.0.0.1', port: +node.port || 6379 };
+    }
+
+    throw new TypeError(`Invalid cluster node "${node}"`);
+}
+
+// MOVED and ASK errors look like "MOVED 3999 127.0.0.1:6381"
+function parse_redirection (err) {
+    const parts = err.message.split(' ');
+
+    return {
+        slot: +parts[1],
+        node: parse_node(parts[2])
+    };
+}
+
+class RedisCluster extends EventEmitter {
+    constructor (options) {
+        super();
+
+        // Copy the options so they are not mutated
+        options = utils.clone(options);
+
+        if (!Array.isArray(options.nodes) || options.nodes.length === 0) {
+            throw new TypeError('The nodes option has to contain at least one cluster node');
+        }
+        if (options.slots_refresh_attempts !== undefined && (options.slots_refresh_attempts | 0) < 1) {
+            throw new RangeError('The slots_refresh_attempts option has to be at least 1');
+        }
+
+        this.startup_nodes = options.nodes.map(parse_node);
+        this.max_redirections = options.max_redirections === undefined ? 16 : options.max_redirections | 0;
+        this.slots_refresh_timeout = +options.slots_refresh_timeout || 1000;
+        this.slots_refresh_attempts = options.slots_refresh_attempts === undefined ? 5 : options.slots_refresh_attempts | 0;
+        this.retry_delay_on_try_again = +options.retry_delay_on_try_again || 100;
+
+        this.node_options = {};
+        for (const option in options) {
+            if (CLUSTER_OPTIONS.indexOf(option) === -1) {
+                this.node_options[option] = options[option];
+            }
+        }
+
+        this.options = options;
+        this.nodes = {}; // Holds a RedisClient per known master, indexed by "host:port"
+        this.slots = new Array(SLOT_COUNT); // Holds the master address per hash slot
+        this.offline_queue = new Queue(); // Holds commands issued before the slots are known
+        this.refresh_callbacks = null;
+        this.refresh_attempts = 0; // Failed slot refreshes before the cluster is ready
+        this.refresh_timer = null;
+        this.ready_callbacks = []; // Transactions and batches that wait for the slots
+        this.pub_sub_client = null;
+        this.server_info = {};
+
+        this.ready = false;
+        this.closing = false;
+
+        this.refresh_slots();
+    }
+
+    get_node (host, port) {
+        const address = `${host}:${port}`;
+        let client = this.nodes[address];
+
+        if (client) {
+            return client;
+        }
+
+        const options = utils.clone(this.node_options);
+        options.host = host;
+        options.port = port;
+
+        client = new RedisClient(options);
+        client.on('error', err => {
+            this.emit('error', err);
+        });
+        client.on('end', () => {
+            // The node might have been failed over. Check the topology again
+            if (!this.closing && this.nodes[address] === client) {
+                this.refresh_slots();
+            }
+        });
+
+        this.nodes[address] = client;
+
+        return client;
+    }
+
+    // Fetch the slot distribution from the known nodes, falling back to the startup nodes.
+    // Parallel calls are collapsed into a single CLUSTER SLOTS request
+    refresh_slots (callback) {
+        if (this.refresh_callbacks) {
+            if (callback) {
+                this.refresh_callbacks.push(callback);
+            }
+            return;
+        }
+
+        this.refresh_callbacks = callback ? [callback] : [];
+
+        const candidates = Object.keys(this.nodes).map(parse_node).concat(this.startup_nodes);
+
+        const done = err => {
+            const callbacks = this.refresh_callbacks;
+            this.refresh_callbacks = null;
+
+            if (err) {
+                err.message = `Failed to refresh the cluster slots - ${err.message}`;
+                this.emit('error', err);
+            }
+
+            for (let i = 0; i < callbacks.length; i++) {
+                callbacks[i](err);
+            }
+
+            if (err && !this.ready && !this.closing) {
+                this.retry_refresh(err);
+            }
+        };
+
+        const try_node = (i, last_error) => {
+            if (this.closing) {
+                return done(null);
+            }
+
+            if (i === candidates.length) {
+                return done(last_error || new Error('No cluster node is reachable.'));
+            }
+
+            const node = candidates[i];
+            const client = this.get_node(node.host, node.port);
+
+            let finished = false;
+            const timer = setTimeout(() => {
+                finished = true;
+                try_node(i + 1, new Error(`CLUSTER SLOTS timed out on ${client.address}`));
+            }, this.slots_refresh_timeout);
+
+            debug(`Fetching cluster slots from ${client.address}`);
+
+            client.internal_send_command(new Command('cluster', ['slots'], (err, reply) => {
+                if (finished) {
+                    return;
+                }
+
+                finished = true;
+                clearTimeout(timer);
+
+                if (err) {
+                    return try_node(i + 1, err);
+                }
+
+                this.update_slots(reply, node);
+                done(null);
+            }));
+        };
+
+        try_node(0, null);
+    }
+
+    // Without the slots no command can be sent. Retry until slots_refresh_attempts is reached and reject the queued commands afterwards.
+    // The next command starts refreshing again
+    retry_refresh (err) {
+        this.refresh_attempts++;
+        if (this.refresh_attempts < this.slots_refresh_attempts) {
+            const delay = Math.min(MIN_REFRESH_DELAY * Math.pow(2, this.refresh_attempts - 1), MAX_REFRESH_DELAY);
+            debug(`Refreshing the cluster slots again in ${delay} ms`);
+            this.refresh_timer = setTimeout(() => {
+                this.refresh_timer = null;
+                this.refresh_slots();
+            }, delay);
+            return;
+        }
+        debug(`Refreshing the cluster slots failed ${this.refresh_attempts} times. Rejecting the queued commands`);
+        this.refresh_attempts = 0;
+        this.flush_offline_queue(`The cluster slots could not be fetched after ${this.slots_refresh_attempts} attempts.`, 'NR_CLUSTER_DOWN', err);
+    }
+
+    // Reply format: [[start, end, [host, port, id], ...replicas], ...]
+    update_slots (reply, source) {
+        const slots = new Array(SLOT_COUNT);
+        const masters = {};
+
+        for (let i = 0; i < reply.length; i++) {
+            const range = reply[i];
+            // An empty host means the node is reachable at the address the reply came from
+            const host = range[2][0].toString() || source.host;
+            const address = `${host}:${range[2][1]}`;
+
+            masters[address] = true;
+            this.get_node(host, +range[2][1]);
+
+            for (let slot = +range[0]; slot <= +range[1]; slot++) {
+                slots[slot] = address;
+            }
+        }
+
+        // Remove clients of nodes that are no longer masters
+        for (const address in this.nodes) {
+            if (!masters[address]) {
+                debug(`Removing cluster node ${address}`);
+                const client = this.nodes[address];
+                delete this.nodes[address];
+                client.quit();
+            }
+        }
+
+        this.slots = slots;
+
+        if (!this.ready) {
+            this.ready = true;
+            this.refresh_attempts = 0;
+            this.emit('ready');
+            this.send_offline_queue();
+        }
+    }
+
+    send_offline_queue () {
+        for (let command_obj = this.offline_queue.shift(); command_obj; command_obj = this.offline_queue.shift()) {
+            debug(`Sending offline cluster command: ${command_obj.command}`);
+            this.internal_send_command(command_obj);
+        }
+        const callbacks = this.ready_callbacks;
+        this.ready_callbacks = [];
+        for (let i = 0; i < callbacks.length; i++) {
+            callbacks[i](null);
+        }
+    }
+
+    // Calls back as soon as the slots are known or with an error if they could not be fetched
+    when_ready (callback) {
+        this.ready_callbacks.push(callback);
+        if (this.refresh_callbacks === null && this.refresh_timer === null) {
+            this.refresh_slots();
+        }
+    }
+
+    // Return the hash slot of the first key of the command or -1 if the command does not contain any key
+    command_slot (command_obj) {
+        if (!commands.exists(command_obj.command)) {
+            return -1;
+        }
+
+        const args = command_obj.args.map(arg => Buffer.isBuffer(arg) ? arg : `${arg}`);
+        const key_indexes = commands.getKeyIndexes(command_obj.command, args);
+
+        if (key_indexes.length === 0) {
+            return -1;
+        }
+
+        const key = args[key_indexes[0]];
+
+        if (this.options.prefix) {
+            return key_slot(Buffer.isBuffer(key) ? Buffer.concat([Buffer.from(this.options.prefix), key]) : this.options.prefix + key);
+        }
+
+        return key_slot(key);
+    }
+
+    // Keyless commands are sent to a random master
+    client_for_slot (slot) {
+        const address = slot === -1 ? undefined : this.slots[slot];
+
+        if (address !== undefined) {
+            const node = parse_node(address);
+            return this.get_node(node.host, node.port);
+        }
+
+        const addresses = Object.keys(this.nodes);
+        // No master is known, e.g. because CLUSTER SLOTS returned no slots. Use a startup node instead
+        const node = addresses.length === 0 ? this.startup_nodes[0] : parse_node(addresses[Math.floor(Math.random() * addresses.length)]);
+
+        return this.get_node(node.host, node.port);
+    }
+
+    internal_send_command (command_obj) {
+        // Will contain the deferred promise instance
+        // and will only be used if no callback is passed
+        let out_deferred = null;
+
+        if (!command_obj.callback) {
+            out_deferred = utils.deferred_promise();
+            command_obj.callback = out_deferred.callback;
+        }
+
+        if (command_obj.args_error !== undefined) {
+            // Invalid keyword options. The slot of the command is unknown
+            process.nextTick(command_obj.callback, command_obj.args_error);
+        } else if (this.closing) {
+            const command = command_obj.command.toUpperCase();
+            const err = new errorClasses.AbortError({
+                message: `${command} can't be processed. The connection is already closed.`,
+                code: 'NR_CLOSED',
+                command
+            });
+
+            if (command_obj.args.length) {
+                err.args = command_obj.args;
+            }
+
+            process.nextTick(command_obj.callback, err);
+        } else if (!this.ready) {
+            debug(`Queueing ${command_obj.command} until the cluster slots are known.`);
+            this.offline_queue.push(command_obj);
+            // The previous attempts to fetch the slots failed
+            if (this.refresh_callbacks === null && this.refresh_timer === null) {
+                this.refresh_slots();
+            }
+        } else {
+            send_to_node(this, this.client_for_slot(this.command_slot(command_obj)), command_obj, 0, false);
+        }
+
+        if (out_deferred) {
+            return out_deferred.promise;
+        }
+
+        return this.ready && !this.closing;
+    }
+
+    // The pub sub mode is bound to a single connection. All subscriptions are therefore made on one node
+    // and all messages are broadcast to all nodes in the cluster
+    get_pub_sub_client () {
+        if (this.pub_sub_client) {
+            return this.pub_sub_client;
+        }
+
+        const startup_node = this.startup_nodes[0];
+        const options = utils.clone(this.node_options);
+        options.host = startup_node.host;
+        options.port = startup_node.port;
+
+        this.pub_sub_client = new RedisClient(options);
+        this.pub_sub_client.on('error', err => {
+            this.emit('error', err);
+        });
+
+        PUB_SUB_EVENTS.forEach(event => {
+            this.pub_sub_client.on(event, (...args) => {
+                this.emit(event, ...args);
+            });
+        });
+
+        return this.pub_sub_client;
+    }
+
+    get connected () {
+        for (const address in this.nodes) {
+            if (this.nodes[address].connected) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    get command_queue_length () {
+        let length = 0;
+        for (const address in this.nodes) {
+            length += this.nodes[address].command_queue_length;
+        }
+        return length;
+    }
+
+    get offline_queue_length () {
+        let length = this.offline_queue.length;
+        for (const address in this.nodes) {
+            length += this.nodes[address].offline_queue_length;
+        }
+        return length;
+    }
+
+    get commandQueueLength () {
+        return this.command_queue_length;
+    }
+
+    get offlineQueueLength () {
+        return this.offline_queue_length;
+    }
+}
+
+// Send the command to a node and follow MOVED / ASK redirections.
+// A new Command is used for each attempt, as the node client manipulates the command object.
+// The timeout and the signal of the call apply to each attempt
+function send_to_node (self, client, command_obj, redirections, asking) {
+    const node_command = new Command(command_obj.command, command_obj.args, (err, reply) => {
+        if (err && redirections < self.max_redirections && !self.closing) {
+            if (err.code === 'MOVED') {
+                const moved = parse_redirection(err);
+                debug(`Slot ${moved.slot} moved to ${moved.node.host}:${moved.node.port}`);
+                self.slots[moved.slot] = `${moved.node.host}:${moved.node.port}`;
+                // Other slots have likely moved as well
+                self.refresh_slots();
+                send_to_node(self, self.get_node(moved.node.host, moved.node.port), command_obj, redirections + 1, false);
+                return;
+            }
+            if (err.code === 'ASK') {
+                const ask = parse_redirection(err);
+                debug(`Slot ${ask.slot} is migrating to ${ask.node.host}:${ask.node.port}`);
+                send_to_node(self, self.get_node(ask.node.host, ask.node.port), command_obj, redirections + 1, true);
+                return;
+            }
+            if (err.code === 'TRYAGAIN') {
+                setTimeout(() => {
+                    send_to_node(self, self.client_for_slot(self.command_slot(command_obj)), command_obj, redirections + 1, false);
+                }, self.retry_delay_on_try_again);
+                return;
+            }
+        }
+        command_obj.callback(err, reply);
+    }, command_obj.call_on_write, { timeout: command_obj.timeout, signal: command_obj.signal });
+
+    if (asking) {
+        // ASKING only applies to the very next command on the same connection
+        client.internal_send_command(new Command('asking', [], noop));
+    }
+    client.internal_send_command(node_command);
+}
+
+// Transactions and batches are sent to the node that serves the first key of the queued commands.
+// All keys in a transaction have to belong to the same hash slot
+function cluster_exec (cluster, multi, exec) {
+    return function (...args) {
+        if (!cluster.ready && !cluster.closing) {
+            const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+            const result = new Promise((resolve, reject) => {
+                cluster.when_ready((err) => {
+                    if (err === null) {
+                        resolve(multi.exec(...args));
+                    } else if (callback !== null) {
+                        callback(err);
+                    } else {
+                        reject(err);
+                    }
+                });
+            });
+            // The replies are only returned as promise if no callback is passed
+            return callback !== null ? false : result;
+        }
+
+        let slot = -1;
+        for (let i = 0; i < multi.queue.length && slot === -1; i++) {
+            slot = cluster.command_slot(multi.queue.get(i));
+        }
+
+        multi._client = cluster.client_for_slot(slot);
+
+        return exec.apply(multi, args);
+    };
+}
+
+RedisCluster.prototype.multi = RedisCluster.prototype.MULTI = function multi (args) {
+    const multi = new Multi(this, args);
+    multi.exec = multi.EXEC = cluster_exec(this, multi, multi.exec_transaction);
+    return multi;
+};
+
+RedisCluster.prototype.batch = RedisCluster.prototype.BATCH = function batch (args) {
+    const multi = new Multi(this, args);
+    multi.exec = multi.EXEC = multi.exec_batch = cluster_exec(this, multi, multi.exec_batch);
+    return multi;
+};
+
+RedisCluster.prototype.hmset = RedisCluster.prototype.HMSET = function hmset (...args) {
+    const [arr, callback] = utils.prepare_arguments_variable_length(args, true);
+
+    return this.internal_send_command(new Command('hmset', arr, callback));
+};
+
+['subscribe', 'unsubscribe', 'psubscribe', 'punsubscribe'].forEach(command => {
+    RedisCluster.prototype[command.toUpperCase()] = RedisCluster.prototype[command] = function (...args) {
+        const client = this.get_pub_sub_client();
+        return client[command].apply(client, args);
+    };
+});
+
+RedisCluster.prototype.select = RedisCluster.prototype.SELECT = function select (db, callback) {
+    const err = new errorClasses.AbortError({
+        message: 'SELECT is not allowed in cluster mode.',
+        code: 'NR_CLUSTER',
+        command: 'SELECT',
+        args: [db]
+    });
+
+    if (typeof callback === 'function') {
+        process.nextTick(callback, err);
+        return false;
+    }
+
+    return Promise.reject(err);
+};
+
+RedisCluster.prototype.quit = RedisCluster.prototype.QUIT = function quit (callback) {
+    const clients = Object.keys(this.nodes).map(address => this.nodes[address]);
+
+    if (this.pub_sub_client) {
+        clients.push(this.pub_sub_client);
+    }
+
+    this.closing = true;
+    clearTimeout(this.refresh_timer);
+    this.refresh_timer = null;
+
+    let pending = clients.length;
+    const deferred = callback ? null : utils.deferred_promise();
+    const done = () => {
+        (callback || deferred.callback)(null, 'OK');
+    };
+
+    if (pending === 0) {
+        process.nextTick(done);
+    }
+
+    clients.forEach(client => {
+        client.quit(() => {
+            pending--;
+            if (pending === 0) {
+                done();
+            }
+        });
+    });
+
+    this.flush_offline_queue('The connection is already closed.');
+
+    return deferred ? deferred.promise : true;
+};
+
+RedisCluster.prototype.end = function end (flush) {
+    this.closing = true;
+    clearTimeout(this.refresh_timer);
+    this.refresh_timer = null;
+
+    for (const address in this.nodes) {
+        this.nodes[address].end(flush);
+    }
+
+    if (this.pub_sub_client) {
+        this.pub_sub_client.end(flush);
+    }
+
+    if (flush) {
+        this.flush_offline_queue('Connection forcefully ended and command aborted.');
+    }
+};
+
+RedisCluster.prototype.flush_offline_queue = function flush_offline_queue (message, code, origin) {
+    code = code || 'NR_CLOSED';
+    for (let command_obj = this.offline_queue.shift(); command_obj; command_obj = this.offline_queue.shift()) {
+        const err = new errorClasses.AbortError({
+            message,
+            code,
+            command: command_obj.command.toUpperCase()
+        });
+
+        if (command_obj.args.length) {
+            err.args = command_obj.args;
+        }
+        if (origin) {
+            err.origin = origin;
+        }
+
+        command_obj.callback(err);
+    }
+
+    const callbacks = this.ready_callbacks;
+    this.ready_callbacks = [];
+    for (let i = 0; i < callbacks.length; i++) {
+        const err = new errorClasses.AbortError({ message, code });
+        if (origin) {
+            err.origin = origin;
+        }
+        callbacks[i](err);
+    }
+};
+
+RedisCluster.key_slot = RedisCluster.keySlot = key_slot;
+
+module.exports = RedisCluster;
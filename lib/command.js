@@ -2,12 +2,15 @@
 
 var betterStackTraces = /development/i.test(process.env.NODE_ENV) || /\bredis\b/i.test(process.env.NODE_DEBUG);
 
-function Command (command, args, callback, call_on_write) {
+function Command (command, args, callback, call_on_write, options) {
     this.command = command;
     this.args = args;
     this.buffer_args = false;
     this.callback = callback;
     this.call_on_write = call_on_write;
+    // Options of this call, passed with redis.commandOptions()
+    this.timeout = options ? options.timeout : undefined;
+    this.signal = options ? options.signal : undefined;
     if (betterStackTraces) {
         this.error = new Error();
     }
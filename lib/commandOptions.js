@@ -0,0 +1,19 @@
+'use strict';
+
+// Holds the options of a single command call. It is passed as first argument to a command:
+// client.get(redis.commandOptions({ timeout: 100 }), 'key', callback)
+function CommandOptions (options) {
+    if (!(this instanceof CommandOptions)) {
+        return new CommandOptions(options);
+    }
+    if (options === null || typeof options !== 'object') {
+        throw new TypeError('The command options have to be an object');
+    }
+    if (options.signal !== undefined && (options.signal === null || typeof options.signal.addEventListener !== 'function')) {
+        throw new TypeError('The signal option has to be an AbortSignal');
+    }
+    this.timeout = options.timeout;
+    this.signal = options.signal;
+}
+
+module.exports = CommandOptions;
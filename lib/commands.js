@@ -3,8 +3,10 @@
 var commands = require('redis-commands');
 var Multi = require('./multi');
 var RedisClient = require('../').RedisClient;
+var RedisCluster = require('../').RedisCluster;
 var Command = require('./command');
 const {prepare_arguments_variable_length} = require('./utils');
+const keywordArguments = require('./keywordArguments');
 
 // Feature detect if a function may change it's name
 const changeFunctionName = (() => {
@@ -29,9 +31,9 @@ const addCommand = command => {
     // Do not override existing functions
     if (!RedisClient.prototype[command]) {
         RedisClient.prototype[command.toUpperCase()] = RedisClient.prototype[command] = function (...args) {
-            const [arr, callback] = prepare_arguments_variable_length(args, false);
+            const [arr, callback, options] = prepare_arguments_variable_length(args, false);
 
-            return this.internal_send_command(new Command(command, arr, callback));
+            return this.internal_send_command(keywordArguments.serialize_command(new Command(command, arr, callback, undefined, options)));
         };
 
         // Alias special function names (e.g. NR.RUN becomes NR_RUN and nr_run)
@@ -46,12 +48,25 @@ const addCommand = command => {
         }
     }
 
+    // The cluster routes the commands to the node that serves the key
+    if (!RedisCluster.prototype[command]) {
+        RedisCluster.prototype[command.toUpperCase()] = RedisCluster.prototype[command] = function (...args) {
+            const [arr, callback, options] = prepare_arguments_variable_length(args, false);
+
+            return this.internal_send_command(keywordArguments.serialize_command(new Command(command, arr, callback, undefined, options)));
+        };
+
+        if (commandName !== command) {
+            RedisCluster.prototype[commandName.toUpperCase()] = RedisCluster.prototype[commandName] = RedisCluster.prototype[command];
+        }
+    }
+
     // Do not override existing functions
     if (!Multi.prototype[command]) {
         Multi.prototype[command.toUpperCase()] = Multi.prototype[command] = function (...args) {
-            const [arr, callback] = prepare_arguments_variable_length(args, false);
+            const [arr, callback, options] = prepare_arguments_variable_length(args, false);
 
-            this.queue.push(new Command(command, arr, callback));
+            this.queue.push(keywordArguments.serialize_command(new Command(command, arr, callback, undefined, options)));
             return this;
         };
         // Alias special function names (e.g. NR.RUN becomes NR_RUN and nr_run)
@@ -68,4 +83,7 @@ const addCommand = command => {
 
 commands.list.forEach(addCommand);
 
+// Commands that are not known by redis-commands yet
+['getex', 'lpos', 'geosearch', 'zmscore'].forEach(addCommand);
+
 module.exports = addCommand;
@@ -39,8 +39,38 @@ function AggregateError (obj) {
     }
 }
 
+// Returned to the callback of a command that did not receive a reply in time
+function TimeoutError (obj) {
+    assert(obj, 'The options argument is required');
+    assert.strictEqual(typeof obj, 'object', 'The options argument has to be of type object');
+
+    AbortError.call(this, obj, ADD_STACKTRACE);
+    Error.captureStackTrace(this, TimeoutError);
+}
+
+// Emitted and passed to the retry_strategy if the client could not authenticate while connecting
+function AuthenticationError (obj) {
+    assert(obj, 'The options argument is required');
+    assert.strictEqual(typeof obj, 'object', 'The options argument has to be of type object');
+
+    AbortError.call(this, obj, ADD_STACKTRACE);
+    Error.captureStackTrace(this, AuthenticationError);
+}
+
+// Returned to commands that are rejected while the circuit breaker is open
+function CircuitOpenError (obj) {
+    assert(obj, 'The options argument is required');
+    assert.strictEqual(typeof obj, 'object', 'The options argument has to be of type object');
+
+    AbortError.call(this, obj, ADD_STACKTRACE);
+    Error.captureStackTrace(this, CircuitOpenError);
+}
+
 util.inherits(AbortError, RedisError);
 util.inherits(AggregateError, AbortError);
+util.inherits(TimeoutError, AbortError);
+util.inherits(AuthenticationError, RedisError);
+util.inherits(CircuitOpenError, AbortError);
 
 Object.defineProperty(AbortError.prototype, 'name', {
     value: 'AbortError',
@@ -52,8 +82,26 @@ Object.defineProperty(AggregateError.prototype, 'name', {
     configurable: true,
     writable: true
 });
+Object.defineProperty(TimeoutError.prototype, 'name', {
+    value: 'TimeoutError',
+    configurable: true,
+    writable: true
+});
+Object.defineProperty(AuthenticationError.prototype, 'name', {
+    value: 'AuthenticationError',
+    configurable: true,
+    writable: true
+});
+Object.defineProperty(CircuitOpenError.prototype, 'name', {
+    value: 'CircuitOpenError',
+    configurable: true,
+    writable: true
+});
 
 module.exports = {
     AbortError: AbortError,
-    AggregateError: AggregateError
+    AggregateError: AggregateError,
+    TimeoutError: TimeoutError,
+    AuthenticationError: AuthenticationError,
+    CircuitOpenError: CircuitOpenError
 };
@@ -4,6 +4,7 @@ var utils = require('./utils');
 var debug = require('./debug');
 var RedisClient = require('../').RedisClient;
 var Command = require('./command');
+var CommandOptions = require('./commandOptions');
 var noop = function () {};
 
 /**********************************************
@@ -12,6 +13,14 @@ All documented and exposed API belongs in here
 
 // Redirect calls to the appropriate function and use to send arbitrary / not supported commands
 RedisClient.prototype.send_command = RedisClient.prototype.sendCommand = function (command, args, callback) {
+    var options;
+    // The options of the call may be passed in front of the command name
+    if (command instanceof CommandOptions) {
+        options = command;
+        command = args;
+        args = callback;
+        callback = arguments[3];
+    }
     // Throw to fail early instead of relying in order in this case
     if (typeof command !== 'string') {
         throw new TypeError('Wrong input type "' + (command !== null && command !== undefined ? command.constructor.name : command) + '" for command name');
@@ -38,11 +47,14 @@ RedisClient.prototype.send_command = RedisClient.prototype.sendCommand = functio
     // but this might change from time to time and at the moment there's no good way to distinguish them
     // from each other, so let's just do it do it this way for the time being
     if (command === 'multi' || typeof this[command] !== 'function') {
-        return this.internal_send_command(new Command(command, args, callback));
+        return this.internal_send_command(new Command(command, args, callback, undefined, options));
     }
     if (typeof callback === 'function') {
         args = args.concat([callback]); // Prevent manipulating the input array
     }
+    if (options) {
+        args = [options].concat(args);
+    }
     return this[command].apply(this, args);
 };
 
@@ -64,14 +76,118 @@ RedisClient.prototype.end = function (flush) {
         clearTimeout(this.retry_timer);
         this.retry_timer = null;
     }
-    this.stream.removeAllListeners();
-    this.stream.on('error', noop);
+    if (this.sentinel) {
+        this.sentinel.end();
+    }
+    // Ends the subscriber of the invalidations with RESP2
+    if (this.cache !== null) {
+        this.cache.end();
+    }
+    if (this.circuit_breaker !== null) {
+        this.circuit_breaker.end();
+    }
+    this.stop_heartbeat();
+    this.stop_offline_queue_expiry();
+    RedisClient.clients.delete(this);
     this.connected = false;
     this.ready = false;
     this.closing = true;
+    // The stream does not exist yet if the sentinels did not reply so far
+    if (!this.stream) {
+        return;
+    }
+    this.stream.removeAllListeners();
+    this.stream.on('error', noop);
     return this.stream.destroySoon();
 };
 
+// Stops accepting new commands, waits until the pending commands are answered and quits afterwards.
+// If that takes longer than the timeout, the connection is ended forcefully
+RedisClient.prototype.close = function (options, callback) {
+    var self = this;
+    var deferred = null;
+    var finished = false;
+    var timer = null;
+    if (typeof options === 'function') {
+        callback = options;
+        options = undefined;
+    }
+    var timeout = options && options.timeout ? +options.timeout : 0;
+    if (typeof callback !== 'function') {
+        deferred = utils.deferred_promise();
+        callback = deferred.callback;
+    }
+    RedisClient.clients.delete(this);
+
+    var finish = function () {
+        if (finished) {
+            return;
+        }
+        finished = true;
+        clearTimeout(timer);
+        self.close_pending = null;
+        self.removeListener('ready', drain);
+        self.removeListener('end', finish);
+        callback(null);
+    };
+    var quit = function () {
+        debug('All pending commands are answered. Sending QUIT');
+        self.close_pending = null;
+        // QUIT has to be sent although new commands are rejected
+        self.ready = true;
+        self.quit(finish);
+    };
+    var drain = function () {
+        // The client does not accept any new commands from now on
+        self.ready = false;
+        if (self.command_queue.length === 0) {
+            quit();
+        } else {
+            self.close_pending = quit;
+        }
+    };
+
+    if (!this.connected) {
+        // The offline queue can not be sent
+        this.end(true);
+        process.nextTick(finish);
+    } else {
+        this.once('end', finish);
+        if (timeout > 0) {
+            timer = setTimeout(function () {
+                debug('The pending commands were not answered in time. Ending the connection');
+                self.end(true);
+                finish();
+            }, timeout);
+        }
+        if (this.ready) {
+            drain();
+        } else if (!this.closing) {
+            // The offline queue is sent as soon as the client is ready
+            this.once('ready', drain);
+        }
+    }
+    this.closing = true;
+
+    if (deferred) {
+        return deferred.promise;
+    }
+};
+
+// The middleware is called with the command, next and done for each command in the order it was added
+RedisClient.prototype.use = function (fn) {
+    if (typeof fn !== 'function') {
+        throw new TypeError('The middleware has to be a function and not ' + typeof fn);
+    }
+    this.middleware.push(fn);
+    return this;
+};
+
+// Returns a snapshot of the metrics. Null if the metrics option is not set
+RedisClient.prototype.metrics = function () {
+    return this.metrics_collector === null ? null : this.metrics_collector.snapshot();
+};
+
 RedisClient.prototype.unref = function () {
     if (this.connected) {
         debug("Unref'ing the socket connection");
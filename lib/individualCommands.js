@@ -4,6 +4,9 @@ const utils = require('./utils');
 const debug = require('./debug');
 const Multi = require('./multi');
 const Command = require('./command');
+const ScanIterator = require('./scanIterator');
+const StreamConsumer = require('./streamConsumer');
+const keywordArguments = require('./keywordArguments');
 const RedisClient = require('../').RedisClient;
 
 const {
@@ -12,7 +15,10 @@ const {
 } = require('./utils');
 
 const no_password_is_set = /no password is set/;
+// Errors of queued commands without callback are returned by exec instead of being emitted
+const noop = () => {};
 const loading = /LOADING/;
+const wrong_number_of_arguments = /wrong number of arguments/;
 
 /********************************************************************************************
  Replace built-in redis functions
@@ -38,6 +44,18 @@ RedisClient.prototype.batch = RedisClient.prototype.BATCH = function batch (args
     return new Multi(this, args);
 };
 
+// The callbacks of the following commands are wrapped, so internal_send_command does not return a promise.
+// The promise is created here instead if no callback is passed
+function callback_or_promise (callback, send) {
+    if (callback) {
+        return send(callback);
+    }
+
+    const deferred = utils.deferred_promise();
+    send(deferred.callback);
+    return deferred.promise;
+}
+
 function select_callback (self, db, callback) {
     return (err, res) => {
         if (err === null) {
@@ -49,11 +67,11 @@ function select_callback (self, db, callback) {
 }
 
 RedisClient.prototype.select = RedisClient.prototype.SELECT = function select (db, callback) {
-    return this.internal_send_command(new Command('select', [db], select_callback(this, db, callback)));
+    return callback_or_promise(callback, cb => this.internal_send_command(new Command('select', [db], select_callback(this, db, cb))));
 };
 
 Multi.prototype.select = Multi.prototype.SELECT = function select (db, callback) {
-    this.queue.push(new Command('select', [db], select_callback(this._client, db, callback)));
+    this.queue.push(new Command('select', [db], select_callback(this._client, db, callback || noop)));
     return this;
 };
 
@@ -97,7 +115,7 @@ function quit_callback (self, callback) {
             res = 'OK';
         }
         utils.callback_or_emit(self, callback, err, res);
-        if (self.stream.writable) {
+        if (self.stream && self.stream.writable) {
             // If the socket is still alive, kill it. This could happen if quit got a NR_CLOSED error code
             self.stream.destroy();
         }
@@ -108,11 +126,11 @@ RedisClient.prototype.QUIT = RedisClient.prototype.quit = function quit (callbac
     // TODO: Consider this for v.3
     // Allow the quit command to be fired as soon as possible to prevent it landing in the offline queue.
     // this.ready = this.offline_queue.length === 0;
-    const backpressure_indicator = this.internal_send_command(new Command('quit', [], quit_callback(this, callback)));
+    const result = callback_or_promise(callback, cb => this.internal_send_command(new Command('quit', [], quit_callback(this, cb))));
     // Calling quit should always end the connection, no matter if there's a connection or not
     this.closing = true;
     this.ready = false;
-    return backpressure_indicator;
+    return result;
 };
 
 // Only works with batch, not in a transaction
@@ -123,7 +141,7 @@ Multi.prototype.QUIT = Multi.prototype.quit = function quit (callback) {
         self.closing = true;
         self.ready = false;
     };
-    this.queue.push(new Command('quit', [], quit_callback(self, callback), call_on_write));
+    this.queue.push(new Command('quit', [], quit_callback(self, callback || noop), call_on_write));
     return this;
 };
 
@@ -188,7 +206,7 @@ RedisClient.prototype.info = RedisClient.prototype.INFO = function info (section
         args = Array.isArray(section) ? section : [section];
     }
 
-    return this.internal_send_command(new Command('info', args, info_callback(this, callback)));
+    return callback_or_promise(callback, cb => this.internal_send_command(new Command('info', args, info_callback(this, cb))));
 };
 
 Multi.prototype.info = Multi.prototype.INFO = function info (section, callback) {
@@ -200,12 +218,20 @@ Multi.prototype.info = Multi.prototype.INFO = function info (section, callback)
         args = Array.isArray(section) ? section : [section];
     }
 
-    this.queue.push(new Command('info', args, info_callback(this._client, callback)));
+    this.queue.push(new Command('info', args, info_callback(this._client, callback || noop)));
 
     return this;
 };
 
-function auth_callback (self, pass, callback) {
+// The username is optional. AUTH with a username is only supported by Redis 6 and later
+function auth_arguments (user, pass, callback) {
+    if (typeof pass === 'function' || pass === undefined) {
+        return [undefined, user, pass];
+    }
+    return [user, pass, callback];
+}
+
+function auth_callback (self, user, pass, callback) {
     return (err, res) => {
         if (err) {
             if (no_password_is_set.test(err.message)) {
@@ -218,9 +244,17 @@ function auth_callback (self, pass, callback) {
                 debug('Redis still loading, trying to authenticate later');
 
                 setTimeout(() => {
-                    self.auth(pass, callback);
+                    self.auth(user, pass, callback);
                 }, 100);
 
+                return;
+            } else if (user !== undefined && wrong_number_of_arguments.test(err.message)) {
+                self.warn('Warning: Redis server does not support ACL users. Authenticating with the password only.');
+                // The connection is established. Authenticate before any other queued command is sent
+                const ready = self.ready;
+                self.ready = true;
+                self.auth(pass, callback);
+                self.ready = ready;
                 return;
             }
         }
@@ -229,116 +263,124 @@ function auth_callback (self, pass, callback) {
     };
 }
 
-RedisClient.prototype.auth = RedisClient.prototype.AUTH = function auth (pass, callback) {
+RedisClient.prototype.auth = RedisClient.prototype.AUTH = function auth (user, pass, callback) {
     debug(`Sending auth to ${this.address} id ${this.connection_id}`);
 
+    [user, pass, callback] = auth_arguments(user, pass, callback);
+    const args = user === undefined ? [pass] : [user, pass];
+
     // Stash auth for connect and reconnect.
+    this.auth_user = user;
     this.auth_pass = pass;
 
     const ready = this.ready;
     this.ready = ready || this.offline_queue.length === 0;
 
-    const tmp = this.internal_send_command(new Command('auth', [pass], auth_callback(this, pass, callback)));
+    const result = callback_or_promise(callback, cb => this.internal_send_command(new Command('auth', args, auth_callback(this, user, pass, cb))));
 
     this.ready = ready;
 
-    return tmp;
+    return result;
 };
 
 // Only works with batch, not in a transaction
-Multi.prototype.auth = Multi.prototype.AUTH = function auth (pass, callback) {
+Multi.prototype.auth = Multi.prototype.AUTH = function auth (user, pass, callback) {
     debug(`Sending auth to ${this.address} id ${this.connection_id}`);
 
+    [user, pass, callback] = auth_arguments(user, pass, callback);
+    const args = user === undefined ? [pass] : [user, pass];
+
     // Stash auth for connect and reconnect.
+    this.auth_user = user;
     this.auth_pass = pass;
-    this.queue.push(new Command('auth', [pass], auth_callback(this._client, callback)));
+    this.queue.push(new Command('auth', args, auth_callback(this._client, user, pass, callback || noop)));
     return this;
 };
 
 RedisClient.prototype.client = RedisClient.prototype.CLIENT = function client (...args) {
-    const [arr, callback] = prepare_arguments_variable_length(args, false);
-
+    const [arr, callback, options] = prepare_arguments_variable_length(args, false);
+    // CLIENT KILL accepts an options object
+    const command_obj = keywordArguments.serialize_command(new Command('client', arr, callback, undefined, options));
     const self = this;
-    let call_on_write = undefined;
 
     // CLIENT REPLY ON|OFF|SKIP
     /* istanbul ignore next: TODO: Remove this as soon as Travis runs Redis 3.2 */
-    if (arr.length === 2 && arr[0].toString().toUpperCase() === 'REPLY') {
-        const reply_on_off = arr[1].toString().toUpperCase();
+    if (command_obj.args.length === 2 && command_obj.args[0].toString().toUpperCase() === 'REPLY') {
+        const reply_on_off = command_obj.args[1].toString().toUpperCase();
 
         if (reply_on_off === 'ON' || reply_on_off === 'OFF' || reply_on_off === 'SKIP') {
-            call_on_write = () => {
+            command_obj.call_on_write = () => {
                 self.reply = reply_on_off;
             };
         }
     }
 
-    return this.internal_send_command(new Command('client', arr, callback, call_on_write));
+    return this.internal_send_command(command_obj);
 };
 
 Multi.prototype.client = Multi.prototype.CLIENT = function client (...args) {
-    const [arr, callback] = prepare_arguments_variable_length(args, false);
-
+    const [arr, callback, options] = prepare_arguments_variable_length(args, false);
+    // CLIENT KILL accepts an options object
+    const command_obj = keywordArguments.serialize_command(new Command('client', arr, callback, undefined, options));
     const self = this._client;
-    let call_on_write = undefined;
 
     // CLIENT REPLY ON|OFF|SKIP
     /* istanbul ignore next: TODO: Remove this as soon as Travis runs Redis 3.2 */
-    if (arr.length === 2 && arr[0].toString().toUpperCase() === 'REPLY') {
-        const reply_on_off = arr[1].toString().toUpperCase();
+    if (command_obj.args.length === 2 && command_obj.args[0].toString().toUpperCase() === 'REPLY') {
+        const reply_on_off = command_obj.args[1].toString().toUpperCase();
 
         if (reply_on_off === 'ON' || reply_on_off === 'OFF' || reply_on_off === 'SKIP') {
-            call_on_write = () => {
+            command_obj.call_on_write = () => {
                 self.reply = reply_on_off;
             };
         }
     }
 
-    this.queue.push(new Command('client', arr, callback, call_on_write));
+    this.queue.push(command_obj);
 
     return this;
 };
 
 RedisClient.prototype.hmset = RedisClient.prototype.HMSET = function hmset (...args) {
-    const [arr, callback] = prepare_arguments_variable_length(args, true);
+    const [arr, callback, options] = prepare_arguments_variable_length(args, true);
 
-    return this.internal_send_command(new Command('hmset', arr, callback));
+    return this.internal_send_command(new Command('hmset', arr, callback, undefined, options));
 };
 
 Multi.prototype.hmset = Multi.prototype.HMSET = function hmset (...args) {
-    const [arr, callback] = prepare_arguments_variable_length(args, false);
+    const [arr, callback, options] = prepare_arguments_variable_length(args, false);
 
-    this.queue.push(new Command('hmset', arr, callback));
+    this.queue.push(new Command('hmset', arr, callback, undefined, options));
 
     return this;
 };
 
 RedisClient.prototype.subscribe = RedisClient.prototype.SUBSCRIBE = function subscribe (...args) {
-    let [arr, callback] = prepare_arguments_optional(args);
+    let [arr, callback, options] = prepare_arguments_optional(args);
 
     const self = this;
     const call_on_write = () => {
         self.pub_sub_mode = self.pub_sub_mode || self.command_queue.length + 1;
     };
 
-    return this.internal_send_command(new Command('subscribe', arr, callback, call_on_write));
+    return this.internal_send_command(new Command('subscribe', arr, callback, call_on_write, options));
 };
 
 Multi.prototype.subscribe = Multi.prototype.SUBSCRIBE = function subscribe (...args) {
-    let [arr, callback] = prepare_arguments_optional(args);
+    let [arr, callback, options] = prepare_arguments_optional(args);
 
     const self = this._client;
     const call_on_write = () => {
         self.pub_sub_mode = self.pub_sub_mode || self.command_queue.length + 1;
     };
 
-    this.queue.push(new Command('subscribe', arr, callback, call_on_write));
+    this.queue.push(new Command('subscribe', arr, callback, call_on_write, options));
 
     return this;
 };
 
 RedisClient.prototype.unsubscribe = RedisClient.prototype.UNSUBSCRIBE = function unsubscribe (...args) {
-    let [arr, callback] = prepare_arguments_optional(args);
+    let [arr, callback, options] = prepare_arguments_optional(args);
 
     const self = this;
     const call_on_write = () => {
@@ -346,11 +388,11 @@ RedisClient.prototype.unsubscribe = RedisClient.prototype.UNSUBSCRIBE = function
         self.pub_sub_mode = self.pub_sub_mode || self.command_queue.length + 1;
     };
 
-    return this.internal_send_command(new Command('unsubscribe', arr, callback, call_on_write));
+    return this.internal_send_command(new Command('unsubscribe', arr, callback, call_on_write, options));
 };
 
 Multi.prototype.unsubscribe = Multi.prototype.UNSUBSCRIBE = function unsubscribe (...args) {
-    let [arr, callback] = prepare_arguments_optional(args);
+    let [arr, callback, options] = prepare_arguments_optional(args);
 
     const self = this._client;
     const call_on_write = () => {
@@ -358,36 +400,36 @@ Multi.prototype.unsubscribe = Multi.prototype.UNSUBSCRIBE = function unsubscribe
         self.pub_sub_mode = self.pub_sub_mode || self.command_queue.length + 1;
     };
 
-    this.queue.push(new Command('unsubscribe', arr, callback, call_on_write));
+    this.queue.push(new Command('unsubscribe', arr, callback, call_on_write, options));
 
     return this;
 };
 
 RedisClient.prototype.psubscribe = RedisClient.prototype.PSUBSCRIBE = function psubscribe (...args) {
-    let [arr, callback] = prepare_arguments_optional(args);
+    let [arr, callback, options] = prepare_arguments_optional(args);
 
     const self = this;
     const call_on_write = () => {
         self.pub_sub_mode = self.pub_sub_mode || self.command_queue.length + 1;
     };
 
-    return this.internal_send_command(new Command('psubscribe', arr, callback, call_on_write));
+    return this.internal_send_command(new Command('psubscribe', arr, callback, call_on_write, options));
 };
 
 Multi.prototype.psubscribe = Multi.prototype.PSUBSCRIBE = function psubscribe (...args) {
-    let [arr, callback] = prepare_arguments_optional(args);
+    let [arr, callback, options] = prepare_arguments_optional(args);
 
     const self = this._client;
     const call_on_write = () => {
         self.pub_sub_mode = self.pub_sub_mode || self.command_queue.length + 1;
     };
 
-    this.queue.push(new Command('psubscribe', arr, callback, call_on_write));
+    this.queue.push(new Command('psubscribe', arr, callback, call_on_write, options));
     return this;
 };
 
 RedisClient.prototype.punsubscribe = RedisClient.prototype.PUNSUBSCRIBE = function punsubscribe (...args) {
-    let [arr, callback] = prepare_arguments_optional(args);
+    let [arr, callback, options] = prepare_arguments_optional(args);
 
     const self = this;
     const call_on_write = () => {
@@ -395,17 +437,39 @@ RedisClient.prototype.punsubscribe = RedisClient.prototype.PUNSUBSCRIBE = functi
         self.pub_sub_mode = self.pub_sub_mode || self.command_queue.length + 1;
     };
 
-    return this.internal_send_command(new Command('punsubscribe', arr, callback, call_on_write));
+    return this.internal_send_command(new Command('punsubscribe', arr, callback, call_on_write, options));
 };
 
 Multi.prototype.punsubscribe = Multi.prototype.PUNSUBSCRIBE = function punsubscribe (...args) {
-    let [arr, callback] = prepare_arguments_optional(args);
+    let [arr, callback, options] = prepare_arguments_optional(args);
 
     const self = this._client;
     const call_on_write = () => {
         // Pub sub has to be activated even if not in pub sub mode, as the return value is manipulated in the callback
         self.pub_sub_mode = self.pub_sub_mode || self.command_queue.length + 1;
     };
-    this.queue.push(new Command('punsubscribe', arr, callback, call_on_write));
+    this.queue.push(new Command('punsubscribe', arr, callback, call_on_write, options));
     return this;
 };
+
+// Async iterators that take care of the cursor handling of the scan commands
+RedisClient.prototype.scan_iterator = RedisClient.prototype.scanIterator = function scan_iterator (options) {
+    return new ScanIterator(this, 'scan', undefined, options);
+};
+
+RedisClient.prototype.sscan_iterator = RedisClient.prototype.sscanIterator = function sscan_iterator (key, options) {
+    return new ScanIterator(this, 'sscan', key, options);
+};
+
+RedisClient.prototype.hscan_iterator = RedisClient.prototype.hscanIterator = function hscan_iterator (key, options) {
+    return new ScanIterator(this, 'hscan', key, options);
+};
+
+RedisClient.prototype.zscan_iterator = RedisClient.prototype.zscanIterator = function zscan_iterator (key, options) {
+    return new ScanIterator(this, 'zscan', key, options);
+};
+
+// Starts a worker that consumes a stream as member of a consumer group
+RedisClient.prototype.stream_consumer = RedisClient.prototype.streamConsumer = function stream_consumer (options, handler) {
+    return new StreamConsumer(this, options, handler);
+};
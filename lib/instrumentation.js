@@ -0,0 +1,170 @@
+'use strict';
+
+let diagnostics_channel = null;
+try {
+    diagnostics_channel = require('diagnostics_channel');
+} catch (err) {
+    // Node.js < 14.17 does not have diagnostics_channel. The tracing option still works
+}
+
+const create_channel = name => diagnostics_channel === null ? null : diagnostics_channel.channel(name);
+
+const command_channels = {
+    start: create_channel('redis:command:start'),
+    end: create_channel('redis:command:end'),
+    error: create_channel('redis:command:error')
+};
+
+const connection_channels = {
+    connect: create_channel('redis:connection:connect'),
+    ready: create_channel('redis:connection:ready'),
+    reconnecting: create_channel('redis:connection:reconnecting'),
+    end: create_channel('redis:connection:end')
+};
+
+const has_subscribers = channel => channel !== null && channel.hasSubscribers;
+
+// The arguments of these commands contain passwords
+function redact_args (command, args) {
+    const redacted = args.slice();
+    let i = 0;
+    switch (command) {
+            case 'auth':
+                return redacted.fill('?');
+            case 'hello':
+            case 'migrate':
+                for (; i < redacted.length; i++) {
+                    const arg = `${redacted[i]}`.toLowerCase();
+                    if (arg === 'auth' || arg === 'auth2') {
+                        // HELLO and AUTH2 pass the username and the password, AUTH of MIGRATE only the password
+                        const count = command === 'hello' || arg === 'auth2' ? 2 : 1;
+                        redacted.fill('?', i + 1, i + 1 + count);
+                        i += count;
+                    }
+                }
+                return redacted;
+            case 'acl':
+                // The rules of ACL SETUSER may contain passwords
+                if (`${redacted[0]}`.toLowerCase() === 'setuser') {
+                    redacted.fill('?', 2);
+                }
+                return redacted;
+            case 'config':
+                if (`${redacted[0]}`.toLowerCase() === 'set') {
+                    for (i = 1; i < redacted.length - 1; i += 2) {
+                        const parameter = `${redacted[i]}`.toLowerCase();
+                        if (parameter === 'requirepass' || parameter === 'masterauth' || parameter === 'masteruser') {
+                            redacted[i + 1] = '?';
+                        }
+                    }
+                }
+                return redacted;
+            default:
+                return redacted;
+    }
+}
+
+// Publishes the commands and the connection lifecycle on diagnostics_channel and passes the commands to the tracing option
+// and to the metrics.
+// The duration of a command is measured from writing it to receiving its reply
+class Instrumentation {
+    constructor (client, tracing) {
+        if (tracing !== undefined && typeof tracing !== 'function') {
+            throw new TypeError('The tracing option has to be a function');
+        }
+        this.client = client;
+        this.tracing = tracing || null;
+    }
+
+    describe (extra) {
+        const client = this.client;
+        const info = {
+            connection_id: client.connection_id,
+            address: client.address,
+            db: +client.selected_db || 0
+        };
+        return extra ? Object.assign(info, extra) : info;
+    }
+
+    // Called as soon as the command is written. Wraps the callback to measure the duration
+    command_written (command_obj) {
+        const metrics = this.client.metrics_collector;
+        if (this.tracing === null && metrics === null &&
+            !has_subscribers(command_channels.start) && !has_subscribers(command_channels.end) && !has_subscribers(command_channels.error)) {
+            return;
+        }
+        // Commands that are retried after a reconnect are written twice
+        if (command_obj.instrumented === true) {
+            return;
+        }
+        command_obj.instrumented = true;
+        const info = this.describe({
+            command: command_obj.command,
+            args: redact_args(command_obj.command, command_obj.args),
+            queue_depth: this.client.command_queue.length,
+            duration: null
+        });
+        const start = process.hrtime();
+        let end = null;
+        if (this.tracing !== null) {
+            try {
+                end = this.tracing(info);
+            } catch (err) {
+                this.tracing_failed(err, info.command);
+            }
+        }
+        if (has_subscribers(command_channels.start)) {
+            command_channels.start.publish(info);
+        }
+
+        const callback = command_obj.callback;
+        command_obj.callback = (err, res) => {
+            const diff = process.hrtime(start);
+            info.duration = diff[0] * 1e3 + diff[1] / 1e6;
+            if (metrics !== null) {
+                metrics.command(info.command, err, info.duration);
+            }
+            if (err) {
+                info.error = err;
+                if (has_subscribers(command_channels.error)) {
+                    command_channels.error.publish(info);
+                }
+            } else if (has_subscribers(command_channels.end)) {
+                command_channels.end.publish(info);
+            }
+            if (typeof end === 'function') {
+                try {
+                    end(err || null, res);
+                } catch (tracing_err) {
+                    this.tracing_failed(tracing_err, info.command);
+                }
+            }
+            if (typeof callback === 'function') {
+                callback(err, res);
+            }
+        };
+    }
+
+    // A failing tracing hook must not break the command dispatch or the callback of the command
+    tracing_failed (err, command) {
+        const client = this.client;
+        process.nextTick(() => {
+            if (client.listeners('error').length !== 0) {
+                client.emit('error', err);
+            } else {
+                client.warn(`The tracing hook failed for ${command.toUpperCase()}: ${err.message}`);
+            }
+        });
+    }
+
+    connection_event (name, extra) {
+        const channel = connection_channels[name];
+        if (has_subscribers(channel)) {
+            channel.publish(this.describe(extra));
+        }
+    }
+}
+
+Instrumentation.redact_args = redact_args;
+
+module.exports = Instrumentation;
@@ -0,0 +1,191 @@
+'use strict';
+
+const commands = require('redis-commands');
+
+// Commands whose arguments are all channels or patterns
+const CHANNEL_COMMANDS = {
+    subscribe: true,
+    unsubscribe: true,
+    psubscribe: true,
+    punsubscribe: true
+};
+
+// The commands the client uses to set up the connection. Their arguments are never prefixed
+const CONNECTION_COMMANDS = {
+    hello: true,
+    auth: true,
+    client: true,
+    select: true
+};
+
+// Commands with a numkeys argument that are not known by redis-commands yet
+const NUMKEYS_COMMANDS = {
+    eval_ro: true,
+    evalsha_ro: true,
+    fcall: true,
+    fcall_ro: true
+};
+
+// The key positions of commands that are not known by redis-commands yet. Either the indexes or a function
+// returning them for commands with a numkeys argument
+const numkeys = (position, ...keys) => (args) => {
+    const indexes = keys.slice();
+    for (let i = position + 1; i < position + 1 + +args[position]; i++) {
+        indexes.push(i);
+    }
+    return indexes;
+};
+
+const KEY_INDEXES = {
+    getex: [0],
+    getdel: [0],
+    lpos: [0],
+    geosearch: [0],
+    zmscore: [0],
+    smismember: [0],
+    zrandmember: [0],
+    hrandfield: [0],
+    xautoclaim: [0],
+    expiretime: [0],
+    pexpiretime: [0],
+    sort_ro: [0],
+    bitfield_ro: [0],
+    lmove: [0, 1],
+    blmove: [0, 1],
+    copy: [0, 1],
+    lcs: [0, 1],
+    geosearchstore: [0, 1],
+    zrangestore: [0, 1],
+    zdiff: numkeys(0),
+    zinter: numkeys(0),
+    zunion: numkeys(0),
+    zintercard: numkeys(0),
+    sintercard: numkeys(0),
+    lmpop: numkeys(0),
+    zmpop: numkeys(0),
+    zdiffstore: numkeys(1, 0),
+    blmpop: numkeys(1),
+    bzmpop: numkeys(1)
+};
+
+// Commands whose replies contain key names
+const KEY_REPLY_COMMANDS = {
+    keys: true,
+    scan: true,
+    randomkey: true
+};
+
+function prefix_scan_match (args, prefix) {
+    // The cursor is the first argument. All other arguments are option value pairs
+    for (let i = 1; i < args.length - 1; i += 2) {
+        if (`${args[i]}`.toLowerCase() === 'match') {
+            args[i + 1] = prefix + args[i + 1];
+            return;
+        }
+    }
+    // Only return keys of this namespace
+    args.push('MATCH', `${prefix}*`);
+}
+
+function prefix_pubsub (args, prefix) {
+    const subcommand = `${args[0]}`.toLowerCase();
+    if (subcommand === 'channels' || subcommand === 'numsub') {
+        for (let i = 1; i < args.length; i++) {
+            args[i] = prefix + args[i];
+        }
+    }
+}
+
+function key_indexes (command, args) {
+    if (!commands.exists(command)) {
+        // redis-commands throws on unknown commands. All other unknown commands (e.g. HELLO or ACL) are passed through
+        const indexes = KEY_INDEXES[command];
+        if (indexes === undefined) {
+            return [];
+        }
+        return (typeof indexes === 'function' ? indexes(args) : indexes).filter(index => index < args.length);
+    }
+    const indexes = commands.getKeyIndexes(command, args);
+    if (command !== 'sort') {
+        return indexes;
+    }
+    // "BY nosort" skips the sorting and is not a pattern
+    return indexes.filter(index => !(`${args[index - 1]}`.toUpperCase() === 'BY' && `${args[index]}`.toLowerCase() === 'nosort'));
+}
+
+// Prefixes the arguments in place. Without the full option only key arguments are prefixed. The keys of commands not known
+// by redis-commands are only prefixed if they are listed in KEY_INDEXES.
+// The full option also prefixes patterns, channels and the keys of the scripts not known by redis-commands
+function prefix_arguments (command, args, prefix, full) {
+    let indexes;
+
+    if (CONNECTION_COMMANDS[command] === true) {
+        return;
+    }
+
+    if (full) {
+        if (command === 'keys') {
+            args[0] = prefix + args[0];
+            return;
+        }
+        if (command === 'scan') {
+            prefix_scan_match(args, prefix);
+            return;
+        }
+        if (command === 'publish') {
+            args[0] = prefix + args[0];
+            return;
+        }
+        if (command === 'pubsub') {
+            prefix_pubsub(args, prefix);
+            return;
+        }
+        if (CHANNEL_COMMANDS[command] === true) {
+            indexes = args.map((arg, index) => index);
+        } else if (NUMKEYS_COMMANDS[command] === true && !commands.exists(command)) {
+            indexes = [];
+            for (let i = 2; i < +args[1] + 2; i++) {
+                indexes.push(i);
+            }
+        }
+    }
+
+    if (indexes === undefined) {
+        indexes = key_indexes(command, args);
+    }
+
+    for (let i = indexes.pop(); i !== undefined; i = indexes.pop()) {
+        args[i] = prefix + args[i];
+    }
+}
+
+function strip_prefix (value, prefix) {
+    if (typeof value === 'string') {
+        return value.startsWith(prefix) ? value.slice(prefix.length) : value;
+    }
+    if (Buffer.isBuffer(value)) {
+        const length = Buffer.byteLength(prefix);
+        return value.slice(0, length).toString() === prefix ? value.slice(length) : value;
+    }
+    return value;
+}
+
+// Removes the prefix from the key names of KEYS, SCAN and RANDOMKEY replies
+function strip_reply (command, reply, prefix) {
+    if (KEY_REPLY_COMMANDS[command] !== true || reply === null || reply instanceof Error) {
+        return reply;
+    }
+    if (command === 'randomkey') {
+        return strip_prefix(reply, prefix);
+    }
+    if (command === 'scan') {
+        return [reply[0], reply[1].map(key => strip_prefix(key, prefix))];
+    }
+    return reply.map(key => strip_prefix(key, prefix));
+}
+
+module.exports = {
+    prefix_arguments,
+    strip_prefix,
+    strip_reply
+};
@@ -0,0 +1,264 @@
+'use strict';
+
+// The keyword arguments of the commands in the order Redis expects them. A trailing plain object is serialized
+// into those arguments, e.g. client.set(key, value, { EX: 10, NX: true }) sends SET key value NX EX 10.
+// The types are:
+// flag: Only the keyword if the value is true
+// value: The keyword and the value
+// values: The keyword and the values of an array or of the fields of an object, e.g. LIMIT [offset, count]
+// list: The keyword and all values of an array
+// repeat: The keyword in front of each value of an array
+// yes_no: The keyword and yes or no for a boolean
+// trim: The keyword and the threshold, or an object with threshold, approximate and LIMIT
+const SET_EXPIRY = ['EX', 'PX', 'EXAT', 'PXAT'];
+
+function spec (options) {
+    options.exclusive = options.exclusive || [];
+    options.index = {};
+    for (const keyword of options.keywords) {
+        options.index[keyword.name] = keyword;
+    }
+    return options;
+}
+
+const flag = name => ({ name, type: 'flag' });
+const value = name => ({ name, type: 'value' });
+
+const SPECS = {
+    set: spec({
+        keywords: [flag('NX'), flag('XX'), flag('GET')].concat(SET_EXPIRY.map(value), flag('KEEPTTL')),
+        exclusive: [['NX', 'XX'], SET_EXPIRY.concat('KEEPTTL')]
+    }),
+    getex: spec({
+        keywords: SET_EXPIRY.map(value).concat(flag('PERSIST')),
+        exclusive: [SET_EXPIRY.concat('PERSIST')]
+    }),
+    // The keywords are placed in front of the scores and members
+    zadd: spec({
+        position: 1,
+        keywords: [flag('NX'), flag('XX'), flag('GT'), flag('LT'), flag('CH'), flag('INCR')],
+        exclusive: [['NX', 'XX'], ['NX', 'GT', 'LT']]
+    }),
+    zrange: spec({
+        keywords: [flag('BYSCORE'), flag('BYLEX'), flag('REV'), { name: 'LIMIT', type: 'values', fields: ['offset', 'count'] }, flag('WITHSCORES')],
+        exclusive: [['BYSCORE', 'BYLEX']]
+    }),
+    scan: spec({
+        keywords: [value('MATCH'), value('COUNT'), value('TYPE')]
+    }),
+    // The trimming is placed in front of the id
+    xadd: spec({
+        position: 1,
+        keywords: [flag('NOMKSTREAM'), { name: 'MAXLEN', type: 'trim' }, { name: 'MINID', type: 'trim' }],
+        exclusive: [['MAXLEN', 'MINID']]
+    }),
+    // The keywords are placed in front of STREAMS
+    xreadgroup: spec({
+        position: 'STREAMS',
+        keywords: [value('COUNT'), value('BLOCK'), flag('NOACK')]
+    }),
+    geosearch: spec({
+        keywords: [
+            value('FROMMEMBER'),
+            { name: 'FROMLONLAT', type: 'values', fields: ['longitude', 'latitude'] },
+            { name: 'BYRADIUS', type: 'values', fields: ['radius', 'unit'] },
+            { name: 'BYBOX', type: 'values', fields: ['width', 'height', 'unit'] },
+            flag('ASC'),
+            flag('DESC'),
+            value('COUNT'),
+            flag('ANY'),
+            flag('WITHCOORD'),
+            flag('WITHDIST'),
+            flag('WITHHASH')
+        ],
+        exclusive: [['FROMMEMBER', 'FROMLONLAT'], ['BYRADIUS', 'BYBOX'], ['ASC', 'DESC']]
+    }),
+    sort: spec({
+        keywords: [
+            value('BY'),
+            { name: 'LIMIT', type: 'values', fields: ['offset', 'count'] },
+            { name: 'GET', type: 'repeat' },
+            flag('ASC'),
+            flag('DESC'),
+            flag('ALPHA'),
+            value('STORE')
+        ],
+        exclusive: [['ASC', 'DESC']]
+    }),
+    lpos: spec({
+        keywords: [value('RANK'), value('COUNT'), value('MAXLEN')]
+    }),
+    restore: spec({
+        keywords: [flag('REPLACE'), flag('ABSTTL'), value('IDLETIME'), value('FREQ')],
+        exclusive: [['IDLETIME', 'FREQ']]
+    }),
+    migrate: spec({
+        keywords: [
+            flag('COPY'),
+            flag('REPLACE'),
+            value('AUTH'),
+            { name: 'AUTH2', type: 'values', fields: ['username', 'password'] },
+            { name: 'KEYS', type: 'list' }
+        ],
+        exclusive: [['AUTH', 'AUTH2']]
+    }),
+    'client kill': spec({
+        keywords: [value('ID'), value('TYPE'), value('USER'), value('ADDR'), value('LADDR'), { name: 'SKIPME', type: 'yes_no' }, value('MAXAGE')]
+    })
+};
+
+function is_plain_object (arg) {
+    if (arg === null || typeof arg !== 'object') {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(arg);
+    return proto === Object.prototype || proto === null;
+}
+
+function is_argument (arg) {
+    return typeof arg === 'string' || typeof arg === 'number' || Buffer.isBuffer(arg);
+}
+
+function invalid (command, keyword, expected) {
+    return new TypeError(`The ${keyword} option of ${command.toUpperCase()} has to be ${expected}`);
+}
+
+function serialize_keyword (command, keyword, val, args) {
+    switch (keyword.type) {
+            case 'flag':
+                if (typeof val !== 'boolean') {
+                    throw invalid(command, keyword.name, 'a boolean');
+                }
+                if (val) {
+                    args.push(keyword.name);
+                }
+                return;
+            case 'value':
+                if (!is_argument(val)) {
+                    throw invalid(command, keyword.name, 'a string, number or buffer');
+                }
+                args.push(keyword.name, val);
+                return;
+            case 'values': {
+                const values = Array.isArray(val) ? val : keyword.fields.map(field => is_plain_object(val) ? val[field] : undefined);
+                if (values.length !== keyword.fields.length || !values.every(is_argument)) {
+                    throw invalid(command, keyword.name, `an array or an object of ${keyword.fields.join(', ')}`);
+                }
+                args.push(keyword.name, ...values);
+                return;
+            }
+            case 'list':
+            case 'repeat': {
+                const values = Array.isArray(val) ? val : [val];
+                if (values.length === 0 || !values.every(is_argument)) {
+                    throw invalid(command, keyword.name, 'a string, number, buffer or an array of those');
+                }
+                if (keyword.type === 'list') {
+                    args.push(keyword.name, ...values);
+                } else {
+                    for (const elem of values) {
+                        args.push(keyword.name, elem);
+                    }
+                }
+                return;
+            }
+            case 'yes_no':
+                if (typeof val !== 'boolean') {
+                    throw invalid(command, keyword.name, 'a boolean');
+                }
+                args.push(keyword.name, val ? 'yes' : 'no');
+                return;
+            case 'trim':
+                if (is_argument(val)) {
+                    args.push(keyword.name, val);
+                    return;
+                }
+                if (!is_plain_object(val) || !is_argument(val.threshold) || val.LIMIT !== undefined && !is_argument(val.LIMIT)) {
+                    throw invalid(command, keyword.name, 'a threshold or an object with threshold, approximate and LIMIT');
+                }
+                args.push(keyword.name, val.approximate ? '~' : '=', val.threshold);
+                if (val.LIMIT !== undefined) {
+                    args.push('LIMIT', val.LIMIT);
+                }
+    }
+}
+
+function find_spec (command, args) {
+    if (SPECS[command] !== undefined) {
+        return SPECS[command];
+    }
+    if (args.length !== 0 && is_argument(args[0])) {
+        return SPECS[`${command} ${args[0]}`.toLowerCase()];
+    }
+    return undefined;
+}
+
+// Serializes a trailing options object into the keyword arguments of the command.
+// Returns the arguments unchanged if the command does not support it or if the last argument is no plain object
+function serialize (command, args) {
+    const last = args[args.length - 1];
+    if (!is_plain_object(last)) {
+        return args;
+    }
+    const definition = find_spec(command, args);
+    if (definition === undefined) {
+        return args;
+    }
+
+    // The keywords are case insensitive
+    const options = {};
+    for (const name of Object.keys(last)) {
+        const keyword = name.toUpperCase();
+        if (definition.index[keyword] === undefined) {
+            throw new TypeError(`Unknown option "${name}" for ${command.toUpperCase()}`);
+        }
+        if (last[name] !== undefined) {
+            options[keyword] = last[name];
+        }
+    }
+    for (const group of definition.exclusive) {
+        const used = group.filter(keyword => options[keyword] !== undefined && options[keyword] !== false);
+        if (used.length > 1) {
+            throw new TypeError(`The options ${used.join(' and ')} of ${command.toUpperCase()} can not be combined`);
+        }
+    }
+
+    const keywords = [];
+    for (const keyword of definition.keywords) {
+        if (options[keyword.name] !== undefined) {
+            serialize_keyword(command, keyword, options[keyword.name], keywords);
+        }
+    }
+
+    // The passed array is not manipulated
+    const res = args.slice(0, -1);
+    let position = res.length;
+    if (typeof definition.position === 'number') {
+        position = Math.min(definition.position, res.length);
+    } else if (typeof definition.position === 'string') {
+        const index = res.findIndex(arg => is_argument(arg) && `${arg}`.toUpperCase() === definition.position);
+        if (index !== -1) {
+            position = index;
+        }
+    }
+    res.splice(position, 0, ...keywords);
+    return res;
+}
+
+// Serializes the keyword arguments of the command. Invalid options are not thrown. The error is stored as args_error
+// instead and the client rejects the command with it, just like invalid arguments of the strict_arguments option
+function serialize_command (command_obj) {
+    try {
+        command_obj.args = serialize(command_obj.command, command_obj.args);
+    } catch (err) {
+        err.command = command_obj.command.toUpperCase();
+        err.args = command_obj.args;
+        command_obj.args_error = err;
+    }
+    return command_obj;
+}
+
+module.exports = {
+    serialize,
+    serialize_command
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+// The default buckets of the Prometheus clients plus one for a millisecond. Redis answers most commands faster than 5 ms
+const BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function outcome (err) {
+    if (!err) {
+        return 'success';
+    }
+    return err.code === 'NR_TIMEOUT' ? 'timeout' : 'error';
+}
+
+// Collects the metrics of a client. The metrics of all clients are additionally collected by Metrics.registry
+class Metrics {
+    constructor (registry) {
+        this.registry = registry || null;
+        this.commands = {}; // command => outcome => count
+        this.latency = {}; // command => { buckets, sum, count }
+        this.reconnects = 0;
+        this.aborted = 0;
+        this.bytes_written = 0;
+        this.bytes_read = 0;
+    }
+
+    command (command, err, duration) {
+        const counts = this.commands[command] || (this.commands[command] = {});
+        const result = outcome(err);
+        counts[result] = (counts[result] || 0) + 1;
+
+        let histogram = this.latency[command];
+        if (histogram === undefined) {
+            histogram = this.latency[command] = { buckets: new Array(BUCKETS.length).fill(0), sum: 0, count: 0 };
+        }
+        const seconds = duration / 1e3;
+        for (let i = 0; i < BUCKETS.length; i++) {
+            if (seconds <= BUCKETS[i]) {
+                histogram.buckets[i]++;
+            }
+        }
+        histogram.sum += seconds;
+        histogram.count++;
+
+        if (this.registry !== null) {
+            this.registry.command(command, err, duration);
+        }
+    }
+
+    reconnect () {
+        this.reconnects++;
+        if (this.registry !== null) {
+            this.registry.reconnect();
+        }
+    }
+
+    abort () {
+        this.aborted++;
+        if (this.registry !== null) {
+            this.registry.abort();
+        }
+    }
+
+    written (data) {
+        const bytes = typeof data === 'string' ? Buffer.byteLength(data) : data.length;
+        this.bytes_written += bytes;
+        if (this.registry !== null) {
+            this.registry.bytes_written += bytes;
+        }
+    }
+
+    read (data) {
+        this.bytes_read += data.length;
+        if (this.registry !== null) {
+            this.registry.bytes_read += data.length;
+        }
+    }
+
+    // Returns a copy of the metrics. The buckets of the latency histograms are cumulative as in Prometheus.
+    // They are counted in the order of BUCKETS, the last one is +Inf
+    snapshot () {
+        const latency = {};
+        for (const command of Object.keys(this.latency)) {
+            const histogram = this.latency[command];
+            latency[command] = { buckets: histogram.buckets.concat(histogram.count), sum: histogram.sum, count: histogram.count };
+        }
+        const commands = {};
+        for (const command of Object.keys(this.commands)) {
+            commands[command] = Object.assign({}, this.commands[command]);
+        }
+        return {
+            commands,
+            latency,
+            reconnects: this.reconnects,
+            aborted: this.aborted,
+            bytes_written: this.bytes_written,
+            bytes_read: this.bytes_read
+        };
+    }
+}
+
+Metrics.registry = new Metrics();
+
+const escape_label = value => `${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function counter (lines, name, help, value) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`, `${name} ${value}`);
+}
+
+// Serializes a snapshot in the Prometheus text exposition format
+function to_prometheus (snapshot) {
+    const lines = [
+        '# HELP redis_commands_total Commands that were answered or failed by outcome.',
+        '# TYPE redis_commands_total counter'
+    ];
+    for (const command of Object.keys(snapshot.commands)) {
+        const counts = snapshot.commands[command];
+        for (const result of Object.keys(counts)) {
+            lines.push(`redis_commands_total{command="${escape_label(command)}",outcome="${result}"} ${counts[result]}`);
+        }
+    }
+    lines.push(
+        '# HELP redis_command_duration_seconds Seconds from writing a command to receiving its reply.',
+        '# TYPE redis_command_duration_seconds histogram'
+    );
+    for (const command of Object.keys(snapshot.latency)) {
+        const histogram = snapshot.latency[command];
+        const label = `command="${escape_label(command)}"`;
+        // Object keys would list the integer like bounds first
+        BUCKETS.concat('+Inf').forEach((le, i) => {
+            lines.push(`redis_command_duration_seconds_bucket{${label},le="${le}"} ${histogram.buckets[i]}`);
+        });
+        lines.push(
+            `redis_command_duration_seconds_sum{${label}} ${histogram.sum}`,
+            `redis_command_duration_seconds_count{${label}} ${histogram.count}`
+        );
+    }
+    counter(lines, 'redis_reconnects_total', 'Reconnect attempts.', snapshot.reconnects);
+    counter(lines, 'redis_aborted_commands_total', 'Commands that were aborted because the connection ended.', snapshot.aborted);
+    counter(lines, 'redis_written_bytes_total', 'Bytes written to the connection.', snapshot.bytes_written);
+    counter(lines, 'redis_read_bytes_total', 'Bytes read from the connection.', snapshot.bytes_read);
+    return `${lines.join('\n')}\n`;
+}
+
+Metrics.to_prometheus = to_prometheus;
+
+module.exports = Metrics;
@@ -0,0 +1,33 @@
+'use strict';
+
+const Command = require('./command');
+
+const noop = () => {};
+
+// Passes the command through the middleware functions added with client.use().
+// Each function receives the command, next and done:
+// next([callback]) passes the command on to the next function and finally to send. The reply is passed to the callback
+// or to done if no callback is passed. Calling next again retries the command.
+// done(err, reply) returns the reply to the previous function and finally to the callback of the command
+function run (middleware, command_obj, send) {
+    let sent = false;
+    const call = (index, callback) => {
+        if (index === middleware.length) {
+            // A retry sends a copy. Otherwise a late reply to the first try could be returned to the retry
+            const command = sent ? Object.assign(Object.create(Command.prototype), command_obj) : command_obj;
+            sent = true;
+            command.callback = callback;
+            send(command);
+            return;
+        }
+        const next = next_callback => {
+            call(index + 1, typeof next_callback === 'function' ? next_callback : callback);
+        };
+        middleware[index](command_obj, next, callback);
+    };
+    call(0, command_obj.callback || noop);
+}
+
+module.exports = {
+    run
+};
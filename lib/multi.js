@@ -3,6 +3,11 @@
 var Queue = require('denque');
 var utils = require('./utils');
 var Command = require('./command');
+var CommandOptions = require('./commandOptions');
+var keyPrefix = require('./keyPrefix');
+var middleware = require('./middleware');
+var replyTransformers = require('./replyTransformers');
+var RedisClient = require('../').RedisClient;
 
 function Multi (client, args) {
     this._client = client;
@@ -21,16 +26,30 @@ function Multi (client, args) {
     }
 }
 
-function pipeline_transaction_command (self, command_obj, index) {
+// The scripts of a transaction can not fall back to EVAL. They are loaded before the transaction starts
+function load_scripts (self) {
+    if (self.scripts) {
+        self.scripts.forEach(function (script) {
+            script.load(self._client);
+        });
+    }
+}
+
+function pipeline_transaction_command (self, command_obj, index, signal) {
     // Queueing is done first, then the commands are executed
     var tmp = command_obj.callback;
+    // The client side cache may not answer commands that are only queued
+    command_obj.in_transaction = true;
+    // A transaction may only be aborted as a whole
+    command_obj.signal = signal;
     command_obj.callback = function (err, reply) {
         // Ignore the multi command. This is applied by node_redis and the user does not benefit by it
         if (err && index !== -1) {
             if (tmp) {
                 tmp(err);
             }
-            err.position = index;
+            // Commands answered by the middleware are not part of the transaction
+            err.position = self.positions ? self.positions[index] : index;
             self.errors.push(err);
         }
         // Keep track of who wants buffer responses:
@@ -41,11 +60,15 @@ function pipeline_transaction_command (self, command_obj, index) {
     self._client.internal_send_command(command_obj);
 }
 
-Multi.prototype.exec_atomic = Multi.prototype.EXEC_ATOMIC = Multi.prototype.execAtomic = function exec_atomic (callback) {
+Multi.prototype.exec_atomic = Multi.prototype.EXEC_ATOMIC = Multi.prototype.execAtomic = function exec_atomic (options, callback) {
+    if (!(options instanceof CommandOptions)) {
+        callback = options;
+        options = undefined;
+    }
     if (this.queue.length < 2) {
-        return this.exec_batch(callback);
+        return this.exec_batch(options, callback);
     }
-    return this.exec(callback);
+    return this.exec(options, callback);
 };
 
 function multi_callback (self, err, replies) {
@@ -77,6 +100,15 @@ function multi_callback (self, err, replies) {
             } else {
                 // If we asked for strings, even in detect_buffers mode, then return strings:
                 replies[i] = RedisClient.handle_reply(replies[i], command_obj.command, self.wants_buffers[i]);
+                if (self._client.full_prefix) {
+                    replies[i] = keyPrefix.strip_reply(command_obj.command, replies[i], self._client.options.prefix);
+                }
+                if (self._client.parse_numbers) {
+                    replies[i] = replyTransformers.parse_numbers(command_obj.command, command_obj.args, replies[i]);
+                }
+                if (self._client.transform_replies) {
+                    replies[i] = replyTransformers.transform(command_obj.command, command_obj.args, replies[i]);
+                }
                 if (typeof command_obj.callback === 'function') {
                     command_obj.callback(null, replies[i]);
                 }
@@ -85,41 +117,170 @@ function multi_callback (self, err, replies) {
         }
     }
 
+    if (self.replies && replies) {
+        // The replies are returned as soon as the middleware passed all of them on
+        self.exec_done = true;
+        if (self.pending === 0) {
+            self.callback(null, self.replies);
+        }
+        return;
+    }
+
     if (self.callback) {
         self.callback(null, replies);
     }
 }
 
-Multi.prototype.exec_transaction = function exec_transaction (callback) {
+// Only the signal of the options is used. A timeout can be set for the single commands
+function exec_signal (options) {
+    return options instanceof CommandOptions ? options.signal : undefined;
+}
+
+Multi.prototype.exec_transaction = function exec_transaction (options, callback) {
+    var signal = exec_signal(options);
+    if (!(options instanceof CommandOptions)) {
+        callback = options;
+    }
+    // Without callback the replies are returned as promise
+    var deferred = null;
+    if (typeof callback !== 'function') {
+        deferred = utils.deferred_promise();
+        callback = deferred.callback;
+    }
     if (this.monitoring || this._client.monitoring) {
         var err = new RangeError(
             'Using transaction with a client that is in monitor mode does not work due to faulty return values of Redis.'
         );
         err.command = 'EXEC';
         err.code = 'EXECABORT';
-        return utils.reply_in_order(this._client, callback, err);
+        utils.reply_in_order(this._client, callback, err);
+        return deferred ? deferred.promise : undefined;
+    }
+    if (invalid_arguments(this, callback)) {
+        return deferred ? deferred.promise : undefined;
     }
     var self = this;
-    var len = self.queue.length;
     self.errors = [];
     self.callback = callback;
+    if (self._client.middleware.length !== 0 && self.queue.length !== 0) {
+        intercept_transaction(self, function () {
+            send_transaction(self, signal);
+        });
+    } else {
+        send_transaction(self, signal);
+    }
+    return deferred ? deferred.promise : !self._client.should_buffer;
+};
+
+// Like Redis, the whole transaction is discarded if a command is rejected before EXEC.
+// Otherwise the replies of EXEC would not match the queued commands
+function invalid_arguments (self, callback) {
+    var client = self._client;
+    var prepare = client.strict_arguments || client.argument_serializers !== null;
+    var errors = [];
+    self.queue.toArray().forEach(function (command_obj, index) {
+        // Invalid keyword options are rejected with and without the strict_arguments option
+        var err = command_obj.args_error !== undefined ? command_obj.args_error : prepare ? client.prepare_arguments(command_obj) : null;
+        if (err !== null) {
+            err.position = index;
+            errors.push(err);
+            if (typeof command_obj.callback === 'function') {
+                utils.reply_in_order(client, command_obj.callback, err);
+            }
+        }
+    });
+    if (errors.length === 0) {
+        return false;
+    }
+    var err = new Error('EXECABORT Transaction discarded because of previous errors.');
+    err.code = 'EXECABORT';
+    err.command = 'EXEC';
+    err.errors = errors;
+    utils.reply_in_order(client, callback, err);
+    return true;
+}
+
+function send_transaction (self, signal) {
+    var len = self.queue.length;
     self._client.cork();
+    load_scripts(self);
     self.wants_buffers = new Array(len);
-    pipeline_transaction_command(self, new Command('multi', []), -1);
+    pipeline_transaction_command(self, new Command('multi', []), -1, signal);
     // Drain queue, callback will catch 'QUEUED' or error
     for (var index = 0; index < len; index++) {
         // The commands may not be shifted off, since they are needed in the result handler
-        pipeline_transaction_command(self, self.queue.get(index), index);
+        pipeline_transaction_command(self, self.queue.get(index), index, signal);
     }
 
-    self._client.internal_send_command(new Command('exec', [], function (err, replies) {
+    var exec_command = new Command('exec', [], function (err, replies) {
         multi_callback(self, err, replies);
-    }));
+    });
+    exec_command.signal = signal;
+    // MULTI and EXEC are not passed to the middleware. The queued commands already were
+    exec_command.intercepted = true;
+    self._client.internal_send_command(exec_command);
     self._client.uncork();
-    return !self._client.should_buffer;
-};
+}
+
+// Passes the queued commands through the middleware before the transaction is sent.
+// Commands answered by the middleware without calling next are left out of the transaction.
+// The replies are collected after the middleware passed them on
+function intercept_transaction (self, send) {
+    var queue = self.queue;
+    var len = queue.length;
+    var included = new Array(len);
+    var decided = 0;
+    self.replies = new Array(len);
+    self.pending = len;
+    self.positions = [];
+    self.exec_done = false;
+
+    var decide = function () {
+        decided++;
+        if (decided !== len) {
+            return;
+        }
+        self.queue = new Queue();
+        for (var i = 0; i < len; i++) {
+            if (included[i] === true) {
+                self.positions.push(i);
+                self.queue.push(queue.get(i));
+            }
+        }
+        send();
+    };
 
-function batch_callback (self, cb, i) {
+    queue.toArray().forEach(function (command_obj, index) {
+        var callback = command_obj.callback;
+        command_obj.intercepted = true;
+        command_obj.callback = function (err, res) {
+            if (included[index] === undefined) {
+                included[index] = false;
+                decide();
+            }
+            self.replies[index] = err || res;
+            if (typeof callback === 'function') {
+                callback(err, res);
+            }
+            self.pending--;
+            if (self.pending === 0 && self.exec_done) {
+                self.callback(null, self.replies);
+            }
+        };
+        middleware.run(self._client.middleware, command_obj, function (command_obj) {
+            if (included[index] === undefined) {
+                included[index] = true;
+                decide();
+                return;
+            }
+            // A retry is sent on its own. The transaction is already sent
+            command_obj.in_transaction = false;
+            self._client.internal_send_command(command_obj);
+        });
+    });
+}
+
+function batch_callback (self, cb, i, finish) {
     return function batch_callback (err, res) {
         if (err) {
             self.results[i] = err;
@@ -128,60 +289,53 @@ function batch_callback (self, cb, i) {
         } else {
             self.results[i] = res;
         }
-        cb(err, res);
+        // Do not emit an error here. Otherwise each error would result in one emit.
+        // The errors will be returned in the result anyway
+        if (typeof cb === 'function') {
+            cb(err, res);
+        }
+        finish();
     };
 }
 
-Multi.prototype.exec = Multi.prototype.EXEC = Multi.prototype.exec_batch = function exec_batch (callback) {
+Multi.prototype.exec = Multi.prototype.EXEC = Multi.prototype.exec_batch = function exec_batch (options, callback) {
+    var signal = exec_signal(options);
+    if (!(options instanceof CommandOptions)) {
+        callback = options;
+    }
     var self = this;
     var len = self.queue.length;
     var index = 0;
     var command_obj;
+    // Without callback the results are returned as promise
+    var deferred = null;
+    if (typeof callback !== 'function') {
+        deferred = utils.deferred_promise();
+        callback = deferred.callback;
+    }
     if (len === 0) {
         utils.reply_in_order(self._client, callback, null, []);
-        return !self._client.should_buffer;
+        return deferred ? deferred.promise : !self._client.should_buffer;
     }
     self._client.cork();
-    if (!callback) {
-        while (command_obj = self.queue.shift()) {
-            self._client.internal_send_command(command_obj);
-        }
-        self._client.uncork();
-        return !self._client.should_buffer;
-    }
-    var callback_without_own_cb = function (err, res) {
-        if (err) {
-            self.results.push(err);
-            // Add the position to the error
-            var i = self.results.length - 1;
-            self.results[i].position = i;
-        } else {
-            self.results.push(res);
-        }
-        // Do not emit an error here. Otherwise each error would result in one emit.
-        // The errors will be returned in the result anyway
-    };
-    var last_callback = function (cb) {
-        return function (err, res) {
-            cb(err, res);
+    load_scripts(self);
+    // The results are collected by position. Commands answered by the middleware may finish out of order
+    var finished = 0;
+    var finish = function () {
+        finished++;
+        if (finished === len) {
             callback(null, self.results);
-        };
+        }
     };
-    self.results = [];
+    self.results = new Array(len);
     while (command_obj = self.queue.shift()) {
-        if (typeof command_obj.callback === 'function') {
-            command_obj.callback = batch_callback(self, command_obj.callback, index);
-        } else {
-            command_obj.callback = callback_without_own_cb;
-        }
-        if (typeof callback === 'function' && index === len - 1) {
-            command_obj.callback = last_callback(command_obj.callback);
-        }
+        command_obj.callback = batch_callback(self, command_obj.callback, index, finish);
+        command_obj.signal = command_obj.signal || signal;
         this._client.internal_send_command(command_obj);
         index++;
     }
     self._client.uncork();
-    return !self._client.should_buffer;
+    return deferred ? deferred.promise : !self._client.should_buffer;
 };
 
 module.exports = Multi;
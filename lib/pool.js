@@ -0,0 +1,349 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const utils = require('./utils');
+const debug = require('./debug');
+const errorClasses = require('./customErrors');
+
+// Options that only concern the pool and are not passed to the pooled clients
+const POOL_OPTIONS = ['min', 'max', 'idle_timeout', 'acquire_timeout', 'eviction_interval', 'test_on_borrow'];
+
+class Pool extends EventEmitter {
+    constructor (options, RedisClient) {
+        super();
+
+        // Copy the options so they are not mutated
+        options = utils.clone(options);
+
+        this.min = options.min === undefined ? 0 : options.min | 0;
+        this.max = options.max === undefined ? 10 : options.max | 0;
+        this.idle_timeout = options.idle_timeout === undefined ? 30000 : +options.idle_timeout;
+        this.acquire_timeout = options.acquire_timeout === undefined ? 10000 : +options.acquire_timeout;
+        this.test_on_borrow = options.test_on_borrow !== false;
+
+        if (this.max < 1 || this.min > this.max) {
+            throw new RangeError(`The pool size has to be between min (${this.min}) and max (${this.max}) and max has to be at least 1`);
+        }
+
+        this.client_options = {};
+        for (const option in options) {
+            if (POOL_OPTIONS.indexOf(option) === -1) {
+                this.client_options[option] = options[option];
+            }
+        }
+
+        this.RedisClient = RedisClient;
+        this.clients = []; // All clients, idle and borrowed ones
+        this.idle = []; // Holds { client, since } entries. The most recently released client is used first
+        this.waiting = []; // Holds the callbacks of acquire calls that wait for a free client
+        this.creating = 0; // Number of clients that are not yet ready
+        this.closing = false;
+
+        const eviction_interval = +options.eviction_interval || Math.max(this.idle_timeout / 2, 1000);
+        this.eviction_timer = setInterval(() => {
+            this.evict();
+        }, eviction_interval);
+        this.eviction_timer.unref();
+
+        for (let i = 0; i < this.min; i++) {
+            this.create((err, client) => {
+                if (err) {
+                    this.emit('error', err);
+                    return;
+                }
+                this.release(client);
+            });
+        }
+    }
+
+    // New clients are created with the same options, just like client.duplicate() does.
+    // That way the db, the password and the renamed commands apply to each client
+    create (callback) {
+        const client = new this.RedisClient(utils.clone(this.client_options));
+        let connecting = true;
+
+        this.creating++;
+        this.clients.push(client);
+        debug(`Pool created client ${client.connection_id}. Pool size ${this.clients.length}`);
+
+        client.on('error', err => {
+            if (connecting) {
+                connecting = false;
+                this.creating--;
+                callback(err);
+                this.destroy(client);
+                return;
+            }
+            this.emit('error', err);
+        });
+        client.once('ready', () => {
+            if (connecting) {
+                connecting = false;
+                this.creating--;
+                this.emit('create', client);
+                callback(null, client);
+            }
+        });
+    }
+
+    acquire (callback) {
+        const deferred = callback ? null : utils.deferred_promise();
+        callback = callback || deferred.callback;
+
+        if (this.closing) {
+            process.nextTick(callback, new errorClasses.AbortError({
+                message: 'The pool is already closed.',
+                code: 'NR_CLOSED'
+            }));
+        } else {
+            // The waiter might time out while a client is checked for it. Its callback is only called once
+            const waiter = { callback, timer: null, settled: false };
+
+            if (this.acquire_timeout > 0) {
+                waiter.timer = setTimeout(() => {
+                    const index = this.waiting.indexOf(waiter);
+                    if (index !== -1) {
+                        this.waiting.splice(index, 1);
+                    }
+                    settle(waiter, new errorClasses.AbortError({
+                        message: `No pooled client was available within ${this.acquire_timeout} ms.`,
+                        code: 'NR_POOL_TIMEOUT'
+                    }));
+                }, this.acquire_timeout);
+            }
+
+            this.waiting.push(waiter);
+            this.dispense();
+        }
+
+        return deferred ? deferred.promise : undefined;
+    }
+
+    // Hand out idle clients to the waiting acquire calls and create new clients if there is capacity left
+    dispense () {
+        while (this.waiting.length !== 0 && this.idle.length !== 0) {
+            const client = this.idle.pop().client;
+            const waiter = this.waiting.shift();
+            this.borrow(client, waiter);
+        }
+
+        let missing = this.waiting.length - this.creating;
+        while (missing > 0 && this.clients.length < this.max) {
+            missing--;
+            this.create((err, client) => {
+                if (err) {
+                    // Fail the longest waiting acquire call. Otherwise it would wait for a client that is never created
+                    const waiter = this.waiting.shift();
+                    if (waiter) {
+                        settle(waiter, err);
+                    }
+                    return;
+                }
+                this.release(client);
+            });
+        }
+    }
+
+    borrow (client, waiter) {
+        if (!this.test_on_borrow) {
+            settle(waiter, null, client);
+            return;
+        }
+
+        client.ping((err, res) => {
+            if (waiter.settled) {
+                // The acquire call timed out during the health check. Do not leak the client
+                if (err) {
+                    this.destroy(client);
+                } else {
+                    this.release(client);
+                }
+                return;
+            }
+            if (err) {
+                // The client is broken. Try the next one
+                debug(`Pool health check failed for client ${client.connection_id}: ${err.message}`);
+                this.destroy(client);
+                this.waiting.unshift(waiter);
+                this.dispense();
+                return;
+            }
+            settle(waiter, null, client);
+        });
+    }
+
+    release (client) {
+        if (this.clients.indexOf(client) === -1) {
+            return;
+        }
+
+        if (this.closing) {
+            this.clients.splice(this.clients.indexOf(client), 1);
+            client.quit();
+            return;
+        }
+
+        // Clients in a special mode, without replies or without a connection can not be reused
+        if (client.closing || client.pub_sub_mode || client.monitoring || client.reply !== 'ON') {
+            this.destroy(client);
+            return;
+        }
+
+        // Restore the db in case the borrower selected another one
+        if (`${client.selected_db || 0}` !== `${this.client_options.db || 0}`) {
+            client.select(this.client_options.db || 0, noop_error);
+        }
+        // Forget the keys the borrower watched and the name it set. Otherwise the next borrower inherits them
+        client.unwatch(noop_error);
+        client.client('setname', client.options.client_name || '', noop_error);
+
+        this.idle.push({ client, since: Date.now() });
+        this.dispense();
+    }
+
+    destroy (client) {
+        const index = this.clients.indexOf(client);
+        if (index === -1) {
+            return;
+        }
+
+        this.clients.splice(index, 1);
+        this.idle = this.idle.filter(entry => entry.client !== client);
+        client.end(true);
+        this.emit('destroy', client);
+        debug(`Pool destroyed client ${client.connection_id}. Pool size ${this.clients.length}`);
+
+        if (!this.closing) {
+            this.dispense();
+        }
+    }
+
+    // Remove clients that were idle for too long, as long as the minimum is kept
+    evict () {
+        const now = Date.now();
+
+        for (let i = 0; i < this.idle.length && this.clients.length > this.min; i++) {
+            if (now - this.idle[i].since >= this.idle_timeout) {
+                this.destroy(this.idle[i].client);
+                i--;
+            }
+        }
+    }
+
+    // Acquire a client, run the function and release the client afterwards, no matter if the returned promise rejects
+    use (fn, callback) {
+        const promise = this.acquire().then(client => {
+            let result;
+
+            try {
+                result = Promise.resolve(fn(client));
+            } catch (err) {
+                result = Promise.reject(err);
+            }
+
+            return result.then(res => {
+                this.release(client);
+                return res;
+            }, err => {
+                this.release(client);
+                throw err;
+            });
+        });
+
+        if (typeof callback === 'function') {
+            promise.then(res => callback(null, res), callback);
+            return;
+        }
+
+        return promise;
+    }
+
+    // Stop handing out clients. Idle clients quit right away, borrowed clients as soon as they are released
+    quit (callback) {
+        const deferred = callback ? null : utils.deferred_promise();
+        callback = callback || deferred.callback;
+
+        this.close();
+
+        const idle = this.idle.map(entry => entry.client);
+        let pending = idle.length;
+
+        if (pending === 0) {
+            process.nextTick(callback, null, 'OK');
+        }
+
+        idle.forEach(client => {
+            this.clients.splice(this.clients.indexOf(client), 1);
+            client.quit(() => {
+                pending--;
+                if (pending === 0) {
+                    callback(null, 'OK');
+                }
+            });
+        });
+        this.idle = [];
+
+        return deferred ? deferred.promise : undefined;
+    }
+
+    end (flush) {
+        this.close();
+
+        const clients = this.clients;
+        this.clients = [];
+        this.idle = [];
+
+        clients.forEach(client => {
+            client.end(flush);
+        });
+    }
+
+    close () {
+        this.closing = true;
+        clearInterval(this.eviction_timer);
+
+        const waiting = this.waiting;
+        this.waiting = [];
+
+        waiting.forEach(waiter => {
+            settle(waiter, new errorClasses.AbortError({
+                message: 'The pool was closed while waiting for a client.',
+                code: 'NR_CLOSED'
+            }));
+        });
+    }
+
+    get size () {
+        return this.clients.length;
+    }
+
+    get available () {
+        return this.idle.length;
+    }
+
+    get borrowed () {
+        return this.clients.length - this.idle.length;
+    }
+
+    get pending () {
+        return this.waiting.length;
+    }
+}
+
+function settle (waiter, err, client) {
+    if (waiter.settled) {
+        return;
+    }
+    waiter.settled = true;
+    clearTimeout(waiter.timer);
+    waiter.callback(err, client);
+}
+
+function noop_error (err) {
+    if (err) {
+        debug(`Resetting a released client failed: ${err.message}`);
+    }
+}
+
+module.exports = Pool;
@@ -0,0 +1,308 @@
+'use strict';
+
+const utils = require('./utils');
+
+// Each transformer is called with the reply and the arguments of the command if the transform_replies option is set.
+// The replies of RESP3 are already partly converted, e.g. maps are objects. The transformers have to accept both
+const transformers = {};
+
+function has_flag (args, flag) {
+    return args.some(arg => `${arg}`.toUpperCase() === flag);
+}
+
+function subcommand (args) {
+    return args.length === 0 ? '' : `${args[0]}`.toUpperCase();
+}
+
+// Redis returns inf, +inf and -inf for infinite scores
+function to_number (value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const str = `${value}`.toLowerCase();
+    if (str === 'inf' || str === '+inf') {
+        return Infinity;
+    }
+    if (str === '-inf') {
+        return -Infinity;
+    }
+    return +str;
+}
+
+// Flat [field, value, ...] replies and RESP3 maps
+function to_object (reply) {
+    if (reply === null || reply instanceof Error) {
+        return reply;
+    }
+    return utils.reply_to_object(reply) || {};
+}
+
+// [id, [field, value, ...]] to { id, fields }. The fields of deleted entries are null
+function to_entry (reply) {
+    if (!Array.isArray(reply)) {
+        return reply;
+    }
+    return {
+        id: reply[0].toString(),
+        fields: reply[1] === null ? null : utils.reply_to_object(reply[1])
+    };
+}
+
+function to_entries (reply) {
+    return Array.isArray(reply) ? reply.map(to_entry) : reply;
+}
+
+// XREAD and XREADGROUP return [[stream, entries], ...] or a map of the streams with RESP3
+function to_streams (reply) {
+    if (reply === null) {
+        return null;
+    }
+    const streams = {};
+    if (Array.isArray(reply)) {
+        for (const stream of reply) {
+            streams[stream[0].toString()] = to_entries(stream[1]);
+        }
+    } else {
+        for (const stream of Object.keys(reply)) {
+            streams[stream] = to_entries(reply[stream]);
+        }
+    }
+    return streams;
+}
+
+// XAUTOCLAIM returns the cursor, the claimed entries and since Redis 7 the ids of deleted entries
+function to_autoclaim (reply) {
+    return {
+        next_id: reply[0].toString(),
+        entries: to_entries(reply[1]),
+        deleted_ids: reply.length > 2 ? reply[2].map(id => id.toString()) : []
+    };
+}
+
+function to_stream_info (reply) {
+    const info = to_object(reply);
+    for (const field of ['first-entry', 'last-entry']) {
+        if (info[field] !== undefined) {
+            info[field] = to_entry(info[field]);
+        }
+    }
+    // XINFO STREAM FULL
+    if (Array.isArray(info.entries)) {
+        info.entries = to_entries(info.entries);
+    }
+    if (Array.isArray(info.groups) && info.groups.length !== 0 && Array.isArray(info.groups[0])) {
+        info.groups = info.groups.map((group) => {
+            group = to_object(group);
+            if (Array.isArray(group.consumers)) {
+                group.consumers = group.consumers.map(to_object);
+            }
+            return group;
+        });
+    }
+    return info;
+}
+
+function to_xinfo (reply, args) {
+    const sub = subcommand(args);
+    if (sub === 'STREAM') {
+        return to_stream_info(reply);
+    }
+    if (sub === 'GROUPS' || sub === 'CONSUMERS') {
+        return reply.map(to_object);
+    }
+    return reply;
+}
+
+// RESP2 returns a flat list of members and scores, RESP3 a list of [member, score] pairs
+function to_scored_members (reply) {
+    if (!Array.isArray(reply) || reply.length === 0) {
+        return reply;
+    }
+    if (Array.isArray(reply[0])) {
+        return reply.map(pair => [pair[0], to_number(pair[1])]);
+    }
+    const pairs = new Array(reply.length / 2);
+    for (let i = 0; i < reply.length; i += 2) {
+        pairs[i / 2] = [reply[i], to_number(reply[i + 1])];
+    }
+    return pairs;
+}
+
+function with_scores (reply, args) {
+    return has_flag(args, 'WITHSCORES') ? to_scored_members(reply) : reply;
+}
+
+function to_coordinates (reply) {
+    if (reply === null) {
+        return null;
+    }
+    return { longitude: to_number(reply[0]), latitude: to_number(reply[1]) };
+}
+
+// Each member is returned as [member, distance, hash, [longitude, latitude]] with only the requested fields
+function to_geo_members (reply, args) {
+    const with_dist = has_flag(args, 'WITHDIST');
+    const with_hash = has_flag(args, 'WITHHASH');
+    const with_coord = has_flag(args, 'WITHCOORD');
+    if (!with_dist && !with_hash && !with_coord) {
+        return reply;
+    }
+    return reply.map((item) => {
+        const member = { member: item[0] };
+        let i = 1;
+        if (with_dist) {
+            member.distance = to_number(item[i++]);
+        }
+        if (with_hash) {
+            member.hash = to_number(item[i++]);
+        }
+        if (with_coord) {
+            member.coordinates = to_coordinates(item[i]);
+        }
+        return member;
+    });
+}
+
+// CLIENT LIST and CLIENT INFO return one line of space separated field=value pairs per client
+function to_client (line) {
+    const client = {};
+    for (const pair of line.split(' ')) {
+        const index = pair.indexOf('=');
+        if (index !== -1) {
+            client[pair.slice(0, index)] = pair.slice(index + 1);
+        }
+    }
+    return client;
+}
+
+function to_client_reply (reply, args) {
+    const sub = subcommand(args);
+    if (sub === 'LIST') {
+        return reply.toString().split('\n').filter(line => line.trim() !== '').map(line => to_client(line.trim()));
+    }
+    if (sub === 'INFO') {
+        return to_client(reply.toString().trim());
+    }
+    return reply;
+}
+
+function to_config (reply, args) {
+    return subcommand(args) === 'GET' ? to_object(reply) : reply;
+}
+
+// Redis 4 added the client address and name to the entries
+function to_slowlog (reply, args) {
+    if (subcommand(args) !== 'GET') {
+        return reply;
+    }
+    return reply.map((entry) => {
+        const log = {
+            id: entry[0],
+            timestamp: entry[1],
+            duration: entry[2],
+            args: entry[3]
+        };
+        if (entry.length > 4) {
+            log.client_address = entry[4];
+            log.client_name = entry[5];
+        }
+        return log;
+    });
+}
+
+// Redis 7 added the acl categories, tips, key specs and subcommands
+const COMMAND_INFO_FIELDS = ['name', 'arity', 'flags', 'first_key', 'last_key', 'step', 'acl_categories', 'tips', 'key_specs', 'subcommands'];
+
+function to_command_info (info) {
+    if (info === null) {
+        return null;
+    }
+    const command = {};
+    for (let i = 0; i < info.length && i < COMMAND_INFO_FIELDS.length; i++) {
+        command[COMMAND_INFO_FIELDS[i]] = info[i];
+    }
+    return command;
+}
+
+function to_command (reply, args) {
+    const sub = subcommand(args);
+    if (sub === '' || sub === 'INFO') {
+        return reply.map(to_command_info);
+    }
+    return reply;
+}
+
+// The commands that return floats as strings. ZADD only with the INCR option
+const NUMBER_REPLIES = {
+    zscore: true,
+    zincrby: true,
+    zmscore: true,
+    zadd: true,
+    incrbyfloat: true,
+    hincrbyfloat: true,
+    geodist: true
+};
+
+// Used by the parse_numbers option. Independent of the transform_replies option
+function parse_numbers (command, args, reply) {
+    if (NUMBER_REPLIES[command] !== true || reply === null || reply instanceof Error) {
+        return reply;
+    }
+    if (command === 'zadd' && !has_flag(args, 'INCR')) {
+        return reply;
+    }
+    if (Array.isArray(reply)) {
+        return reply.map(value => value === null ? null : to_number(value));
+    }
+    return to_number(reply);
+}
+
+function add (command, transformer) {
+    if (typeof command !== 'string') {
+        throw new TypeError('The command of a reply transformer has to be a string');
+    }
+    if (typeof transformer !== 'function') {
+        throw new TypeError('The reply transformer has to be a function');
+    }
+    transformers[command.toLowerCase()] = transformer;
+}
+
+// Errors and nil replies are passed through. Only the commands with a transformer are converted
+function transform (command, args, reply) {
+    const transformer = transformers[command];
+    if (transformer === undefined || reply === null || reply instanceof Error) {
+        return reply;
+    }
+    return transformer(reply, args);
+}
+
+transformers.xrange = to_entries;
+transformers.xrevrange = to_entries;
+transformers.xclaim = (reply, args) => has_flag(args, 'JUSTID') ? reply : to_entries(reply);
+transformers.xread = to_streams;
+transformers.xreadgroup = to_streams;
+transformers.xautoclaim = (reply, args) => has_flag(args, 'JUSTID') ? reply : to_autoclaim(reply);
+transformers.xinfo = to_xinfo;
+for (const command of ['zrange', 'zrevrange', 'zrangebyscore', 'zrevrangebyscore', 'zunion', 'zinter', 'zdiff', 'zrandmember']) {
+    transformers[command] = with_scores;
+}
+// ZPOPMIN and ZPOPMAX always return the scores
+transformers.zpopmin = to_scored_members;
+transformers.zpopmax = to_scored_members;
+for (const command of ['georadius', 'georadius_ro', 'georadiusbymember', 'georadiusbymember_ro', 'geosearch']) {
+    transformers[command] = to_geo_members;
+}
+transformers.geopos = reply => reply.map(to_coordinates);
+transformers.config = to_config;
+transformers.client = to_client_reply;
+transformers.slowlog = to_slowlog;
+transformers.command = to_command;
+
+module.exports = {
+    transformers,
+    add,
+    transform,
+    parse_numbers,
+    to_entries,
+    to_streams
+};
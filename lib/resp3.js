@@ -0,0 +1,263 @@
+'use strict';
+
+const ReplyError = require('redis-parser').ReplyError;
+const ParserError = require('redis-parser/lib/parserError');
+
+// Returned by the parse functions if the buffer does not yet contain the whole reply
+const INCOMPLETE = undefined;
+// Returned by the parse functions if an aggregate or a blob was started. Their contents follow
+const NESTED = Symbol('nested');
+
+function to_integer (line) {
+    const number = +line;
+    return Number.isSafeInteger(number) ? number : BigInt(line);
+}
+
+// Parser for the RESP3 protocol. RESP2 is a subset of RESP3, so replies of a server
+// that does not support RESP3 are parsed as well. The interface matches the one of redis-parser.
+// The parse state is kept across chunks, so every byte is only parsed once. The aggregates that are
+// not complete yet are kept on a stack and the chunks of a blob are only concatenated once it is complete
+class Resp3Parser {
+    constructor (options) {
+        this.optionReturnBuffers = !!options.returnBuffers;
+        this.optionStringNumbers = !!options.stringNumbers;
+        // Integers outside of the safe range are returned as BigInt instead of losing precision
+        this.optionBigInts = !!options.bigInts;
+        this.returnReply = options.returnReply;
+        this.returnError = options.returnError;
+        this.returnFatalError = options.returnFatalError || options.returnError;
+        this.returnPush = options.returnPush || options.returnReply;
+        this.name = 'javascript';
+        this.reset();
+    }
+
+    reset () {
+        // The rest of the current chunk. Only an incomplete line is kept between chunks
+        this.buffer = null;
+        this.offset = 0;
+        // The type byte of the current top level reply
+        this.type = 0;
+        // The aggregates that are not complete yet, innermost last
+        this.stack = [];
+        // The type byte of the blob whose header was parsed already and the amount of bytes it needs including the \r\n
+        this.blob = null;
+        this.needed = 0;
+        // The chunks of the incomplete blob
+        this.chunks = null;
+        this.received = 0;
+    }
+
+    setReturnBuffers (returnBuffers) {
+        this.optionReturnBuffers = returnBuffers;
+    }
+
+    setStringNumbers (stringNumbers) {
+        this.optionStringNumbers = stringNumbers;
+    }
+
+    execute (buffer) {
+        if (this.chunks !== null) {
+            this.chunks.push(buffer);
+            this.received += buffer.length;
+            if (this.received < this.needed) {
+                return;
+            }
+            buffer = Buffer.concat(this.chunks, this.received);
+            this.chunks = null;
+        } else if (this.buffer !== null) {
+            buffer = Buffer.concat([this.buffer, buffer]);
+        }
+        this.buffer = buffer;
+        this.offset = 0;
+
+        for (;;) {
+            let reply;
+
+            try {
+                reply = this.parse_reply();
+            } catch (err) {
+                this.reset();
+                this.returnFatalError(err);
+                return;
+            }
+
+            if (reply === INCOMPLETE) {
+                return;
+            }
+
+            if (this.type === 45 || this.type === 33) { // - !
+                this.returnError(reply);
+            } else if (this.type === 62) { // >
+                this.returnPush(reply);
+            } else {
+                this.returnReply(reply);
+            }
+        }
+    }
+
+    // Returns the next complete top level reply or INCOMPLETE if the rest of the buffer was consumed
+    parse_reply () {
+        for (;;) {
+            const value = this.blob === null ? this.parse() : this.parse_blob();
+            if (value === INCOMPLETE) {
+                return INCOMPLETE;
+            }
+            if (value !== NESTED) {
+                const reply = this.complete(value);
+                if (reply !== NESTED) {
+                    return reply;
+                }
+            }
+        }
+    }
+
+    // Adds the value to the innermost aggregate. Returns the reply as soon as the outermost aggregate is complete
+    complete (value) {
+        for (;;) {
+            const frame = this.stack[this.stack.length - 1];
+            if (frame === undefined) {
+                return value;
+            }
+            if (!frame.map) {
+                frame.elements[frame.index] = value;
+            } else if (frame.index % 2 === 0) {
+                // Keys are always strings, no matter if returnBuffers is active
+                frame.key = value.toString();
+            } else {
+                frame.elements[frame.key] = value;
+            }
+            frame.index++;
+            if (frame.index < frame.length) {
+                return NESTED;
+            }
+            this.stack.pop();
+            // Attributes only carry meta data about the following reply. They are skipped
+            if (frame.attribute) {
+                return NESTED;
+            }
+            value = frame.elements;
+        }
+    }
+
+    // Maps are returned as objects
+    start_aggregate (length, map, attribute) {
+        if (length === 0) {
+            return attribute ? NESTED : map ? {} : [];
+        }
+        this.stack.push({
+            elements: map ? {} : new Array(length),
+            length: map ? length * 2 : length,
+            index: 0,
+            map,
+            attribute,
+            key: null
+        });
+        return NESTED;
+    }
+
+    start_blob (type, length) {
+        this.blob = type;
+        this.needed = length + 2;
+        return NESTED;
+    }
+
+    parse_blob () {
+        const start = this.offset;
+        const end = start + this.needed - 2;
+        if (end + 2 > this.buffer.length) {
+            // Collect the chunks until the whole blob arrived
+            this.chunks = [this.buffer.slice(start)];
+            this.received = this.buffer.length - start;
+            this.buffer = null;
+            this.offset = 0;
+            return INCOMPLETE;
+        }
+        const type = this.blob;
+        this.blob = null;
+        this.offset = end + 2;
+        if (type === 33) { // ! blob error
+            return new ReplyError(this.buffer.toString('utf8', start, end));
+        }
+        // The first three bytes of verbatim strings contain the format (txt or mkd) followed by a colon
+        const text_start = type === 61 ? start + 4 : start;
+        if (this.optionReturnBuffers) {
+            return this.buffer.slice(text_start, end);
+        }
+        return this.buffer.toString('utf8', text_start, end);
+    }
+
+    // Parses the next type byte and its line. Returns the value, NESTED or INCOMPLETE
+    parse () {
+        if (this.offset >= this.buffer.length) {
+            this.buffer = null;
+            this.offset = 0;
+            return INCOMPLETE;
+        }
+
+        const start = this.offset;
+        const end = this.buffer.indexOf(13, start + 1);
+        if (end === -1 || end + 1 >= this.buffer.length) {
+            // Keep the incomplete line for the next chunk
+            this.buffer = this.buffer.slice(start);
+            this.offset = 0;
+            return INCOMPLETE;
+        }
+        const type = this.buffer[start];
+        const line = this.buffer.toString('utf8', start + 1, end);
+        this.offset = end + 2;
+        if (this.stack.length === 0) {
+            this.type = type;
+        }
+
+        switch (type) {
+                case 43: // + simple string
+                    return this.optionReturnBuffers ? Buffer.from(line) : line;
+                case 45: // - simple error
+                    return new ReplyError(line);
+                case 58: // : integer
+                    if (this.optionStringNumbers) {
+                        return line;
+                    }
+                    return this.optionBigInts ? to_integer(line) : +line;
+                case 36: // $ bulk string
+                    return line === '-1' ? null : this.start_blob(type, +line);
+                case 42: // * array
+                    return line === '-1' ? null : this.start_aggregate(+line, false, false);
+                case 126: // ~ set
+                case 62: // > push
+                    return this.start_aggregate(+line, false, false);
+                case 37: // % map
+                    return this.start_aggregate(+line, true, false);
+                case 124: // | attribute
+                    return this.start_aggregate(+line, true, true);
+                case 95: // _ null
+                    return null;
+                case 44: // , double
+                    if (this.optionStringNumbers) {
+                        return line;
+                    }
+                    if (line === 'inf') {
+                        return Infinity;
+                    }
+                    if (line === '-inf') {
+                        return -Infinity;
+                    }
+                    return parseFloat(line);
+                case 35: // # boolean
+                    return line === 't';
+                case 40: // ( big number
+                    return this.optionStringNumbers ? line : BigInt(line);
+                case 33: // ! blob error
+                case 61: // = verbatim string
+                    return this.start_blob(type, +line);
+                default:
+                    throw new ParserError(
+                        `Protocol error, got ${JSON.stringify(String.fromCharCode(type))} as reply type byte`,
+                        JSON.stringify(this.buffer),
+                        this.offset
+                    );
+        }
+    }
+}
+
+module.exports = Resp3Parser;
@@ -0,0 +1,117 @@
+'use strict';
+
+const Command = require('./command');
+const { strip_prefix } = require('./keyPrefix');
+
+function noop () {}
+
+// The pairs of HSCAN and ZSCAN are converted the same way as utils.reply_to_object converts flat replies
+function to_pairs (reply) {
+    const pairs = new Array(reply.length / 2);
+
+    for (let i = 0; i < reply.length; i += 2) {
+        pairs[i / 2] = [reply[i].toString('binary'), reply[i + 1]];
+    }
+
+    return pairs;
+}
+
+// Async iterator over all elements of a SCAN, SSCAN, HSCAN or ZSCAN iteration. Each call of next()
+// returns the next element and only fetches another batch from Redis if the current batch is used up.
+// Redis may return elements multiple times. Those duplicates are skipped with the dedupe option
+class ScanIterator {
+    constructor (client, command, key, options) {
+        if (options === undefined || options === null) {
+            options = {};
+        }
+        if (typeof options !== 'object') {
+            throw new TypeError(`The options argument of the ${command} iterator has to be of type object`);
+        }
+
+        this.client = client;
+        this.command = command;
+        this.key = key;
+        this.cursor = '0';
+        this.finished = false;
+        this.elements = [];
+        this.seen = options.dedupe ? new Set() : null;
+        // Only the keys of SCAN carry the prefix. The elements of the other commands are not prefixed.
+        // The client takes care of the prefix itself with the full_prefix option
+        this.prefix = command === 'scan' && client.options.prefix && !client.full_prefix ? client.options.prefix : '';
+        this.pending = Promise.resolve();
+
+        this.options = [];
+        if (options.match !== undefined || this.prefix !== '') {
+            this.options.push('match', this.prefix + (options.match === undefined ? '*' : options.match));
+        }
+        if (options.count !== undefined) {
+            this.options.push('count', options.count);
+        }
+        if (options.type !== undefined) {
+            if (command !== 'scan') {
+                throw new TypeError('The type option is only supported by the scan iterator');
+            }
+            this.options.push('type', options.type);
+        }
+    }
+
+    // Calls are queued, so that concurrent calls do not use the same cursor twice
+    next () {
+        const result = this.pending.then(() => this.read());
+        this.pending = result.then(noop, noop);
+        return result;
+    }
+
+    read () {
+        if (this.elements.length !== 0) {
+            return { value: this.elements.shift(), done: false };
+        }
+        if (this.finished) {
+            return { value: undefined, done: true };
+        }
+        return this.fetch().then(() => this.read());
+    }
+
+    fetch () {
+        const args = this.key === undefined ? [this.cursor] : [this.key, this.cursor];
+
+        return this.client.internal_send_command(new Command(this.command, args.concat(this.options))).then((reply) => {
+            // A cursor of 0 ends the iteration. The elements of that last reply still have to be returned
+            this.cursor = reply[0].toString();
+            this.finished = this.cursor === '0';
+
+            let elements = reply[1];
+            if (this.command === 'hscan' || this.command === 'zscan') {
+                elements = to_pairs(elements);
+            } else if (this.prefix !== '') {
+                // The prefix of the match pattern takes care that only prefixed keys are returned
+                elements = elements.map(key => strip_prefix(key, this.prefix));
+            }
+            if (this.seen !== null) {
+                elements = elements.filter((element) => {
+                    const id = Array.isArray(element) ? element[0] : element.toString('binary');
+                    if (this.seen.has(id)) {
+                        return false;
+                    }
+                    this.seen.add(id);
+                    return true;
+                });
+            }
+            this.elements = elements;
+        });
+    }
+
+    // Called if a for await loop is left early
+    return () {
+        this.finished = true;
+        this.elements = [];
+        this.seen = null;
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    [Symbol.asyncIterator] () {
+        return this;
+    }
+}
+
+module.exports = ScanIterator;
@@ -0,0 +1,114 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const debug = require('./debug');
+const Multi = require('./multi');
+const Command = require('./command');
+const RedisClient = require('../').RedisClient;
+const {prepare_arguments_variable_length, deferred_promise} = require('./utils');
+
+class Script {
+    constructor (name, lua, number_of_keys) {
+        this.name = name;
+        this.lua = lua;
+        // If undefined, the number of keys is passed as first argument of each call
+        this.number_of_keys = number_of_keys;
+        this.sha = crypto.createHash('sha1').update(lua).digest('hex');
+    }
+
+    // Returns the arguments of EVAL and EVALSHA without the script
+    script_arguments (args) {
+        if (this.number_of_keys === undefined) {
+            return args;
+        }
+        return [this.number_of_keys].concat(args);
+    }
+
+    // Scripts are cached by Redis until it restarts or the script cache is flushed.
+    // The client loads them again on reconnect
+    load (client) {
+        client.scripts.set(this.name, this);
+        client.internal_send_command(new Command('script', ['load', this.lua], (err) => {
+            if (err) {
+                debug(`Loading the script ${this.name} failed: ${err.message}`);
+            }
+        }));
+    }
+}
+
+// The script is only sent along if Redis does not know it yet
+function send_script (client, script, args, callback, options) {
+    let out_deferred = null;
+
+    if (!callback) {
+        out_deferred = deferred_promise();
+        callback = out_deferred.callback;
+    }
+
+    client.scripts.set(script.name, script);
+    client.internal_send_command(new Command('evalsha', [script.sha].concat(script.script_arguments(args)), (err, res) => {
+        if (err && err.code === 'NOSCRIPT') {
+            debug(`Script ${script.name} is unknown. Sending it with EVAL`);
+            client.internal_send_command(new Command('eval', [script.lua].concat(script.script_arguments(args)), callback, undefined, options));
+            return;
+        }
+        callback(err, res);
+    }, undefined, options));
+
+    if (out_deferred) {
+        return out_deferred.promise;
+    }
+    return !client.should_buffer;
+}
+
+// Defines a method for the script on all clients and on multi / batch, similar to redis.add_command
+RedisClient.prototype.define_command = RedisClient.prototype.defineCommand = function define_command (name, definition) {
+    if (typeof name !== 'string' || name === '') {
+        throw new TypeError('The name of the command has to be a non empty string');
+    }
+    if (!definition || typeof definition.lua !== 'string') {
+        throw new TypeError(`The lua option of the ${name} command has to be a string`);
+    }
+    const existing = RedisClient.prototype[name];
+    if (existing !== undefined && existing.script === undefined) {
+        throw new Error(`The ${name} command already exists and may not be overridden by a script`);
+    }
+
+    let number_of_keys = definition.number_of_keys === undefined ? definition.numberOfKeys : definition.number_of_keys;
+    if (number_of_keys !== undefined) {
+        number_of_keys = +number_of_keys;
+        if (!(number_of_keys >= 0) || number_of_keys % 1 !== 0) {
+            throw new TypeError(`The numberOfKeys option of the ${name} command has to be a positive integer`);
+        }
+    }
+
+    const script = new Script(name, definition.lua, number_of_keys);
+
+    RedisClient.prototype[name] = function (...args) {
+        const [arr, callback, options] = prepare_arguments_variable_length(args, false);
+
+        return send_script(this, script, arr, callback, options);
+    };
+    RedisClient.prototype[name].script = script;
+
+    Multi.prototype[name] = function (...args) {
+        const [arr, callback, options] = prepare_arguments_variable_length(args, false);
+
+        // Redis can not fall back to EVAL in a transaction. The scripts are loaded before the transaction starts
+        this.scripts = this.scripts || new Map();
+        this.scripts.set(name, script);
+        this.queue.push(new Command('evalsha', [script.sha].concat(script.script_arguments(arr)), callback, undefined, options));
+        return this;
+    };
+
+    if (this.ready) {
+        script.load(this);
+    } else {
+        this.scripts.set(name, script);
+    }
+
+    return this;
+};
+
+module.exports = Script;
@@ -0,0 +1,247 @@
+'use strict';
+
+const net = require('net');
+
+const utils = require('./utils');
+const debug = require('./debug');
+const Command = require('./command');
+
+const SWITCH_MASTER = '+switch-master';
+
+// Replicas flagged like this are not used for reading
+const unavailable_replica = /(^|,)(s_down|o_down|disconnected)(,|$)/;
+
+function parse_node (node) {
+    if (typeof node === 'string') {
+        const index = node.lastIndexOf(':');
+        return { host: node.slice(0, index), port: +node.slice(index + 1) };
+    }
+    return { host: node.host || '127.0.0.1', port: +node.port || 26379 };
+}
+
+// Resolves the address of the master or of a replica by asking the sentinels
+// and keeps track of failovers by listening to the +switch-master channel
+class Sentinel {
+    constructor (client, options) {
+        if (!Array.isArray(options.sentinels) || options.sentinels.length === 0) {
+            throw new TypeError('The sentinels option has to contain at least one sentinel');
+        }
+        if (typeof options.name !== 'string') {
+            throw new TypeError('The name option is required to use sentinels');
+        }
+        if (options.role !== undefined && options.role !== 'master' && options.role !== 'slave') {
+            throw new TypeError(`The role option has to be either "master" or "slave" and not "${options.role}"`);
+        }
+
+        this.client = client;
+        this.sentinels = options.sentinels.map(parse_node);
+        this.name = options.name;
+        this.role = options.role || 'master';
+        this.timeout = +options.sentinel_timeout || 500;
+        this.password = options.sentinel_password;
+        this.subscriber = null;
+        this.closing = false;
+    }
+
+    // A new client is used for each query, as the long living sentinel client is in subscriber mode
+    create_sentinel_client (sentinel, options) {
+        options = options || {};
+        options.host = sentinel.host;
+        options.port = sentinel.port;
+        if (this.password !== undefined) {
+            options.password = this.password;
+        }
+        return new this.client.constructor(options);
+    }
+
+    query (sentinel, args, callback) {
+        const client = this.create_sentinel_client(sentinel, {
+            no_ready_check: true,
+            connect_timeout: this.timeout,
+            // Do not reconnect to a sentinel that is not reachable. The next one is asked instead
+            retry_strategy: () => undefined
+        });
+
+        let finished = false;
+        const done = (err, res) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            clearTimeout(timer);
+            client.end(true);
+            callback(err, res);
+        };
+        const timer = setTimeout(() => {
+            done(new Error(`Sentinel ${sentinel.host}:${sentinel.port} did not reply in time.`));
+        }, this.timeout);
+
+        client.internal_send_command(new Command('sentinel', args, done));
+    }
+
+    // Ask the sentinels one after the other for the address. The sentinel that replied is moved to the front
+    resolve (callback) {
+        const try_sentinel = (i, last_error) => {
+            if (i === this.sentinels.length) {
+                const err = new Error(`All sentinels are unreachable or do not know "${this.name}".`);
+                err.code = 'NR_SENTINEL';
+                if (last_error) {
+                    err.origin = last_error;
+                }
+                return callback(err);
+            }
+
+            const sentinel = this.sentinels[i];
+            const resolver = this.role === 'slave' ? this.resolve_replica : this.resolve_master;
+
+            resolver.call(this, sentinel, (err, address) => {
+                if (err || !address) {
+                    debug(`Sentinel ${sentinel.host}:${sentinel.port} failed to resolve ${this.name}: ${err}`);
+                    return try_sentinel(i + 1, err);
+                }
+
+                if (i !== 0) {
+                    this.sentinels.splice(i, 1);
+                    this.sentinels.unshift(sentinel);
+                }
+
+                this.subscribe(sentinel);
+                callback(null, address);
+            });
+        };
+
+        try_sentinel(0, null);
+    }
+
+    resolve_master (sentinel, callback) {
+        this.query(sentinel, ['get-master-addr-by-name', this.name], (err, res) => {
+            if (err || !res) {
+                return callback(err);
+            }
+            callback(null, { host: res[0].toString(), port: +res[1] });
+        });
+    }
+
+    // Pick a random available replica and fall back to the master if none is available
+    resolve_replica (sentinel, callback) {
+        this.query(sentinel, ['slaves', this.name], (err, res) => {
+            if (err) {
+                return callback(err);
+            }
+
+            const replicas = res.map(utils.reply_to_object).filter(replica => {
+                return replica && !unavailable_replica.test(replica.flags);
+            });
+
+            if (replicas.length === 0) {
+                debug(`No replica of ${this.name} is available. Using the master instead`);
+                return this.resolve_master(sentinel, callback);
+            }
+
+            const replica = replicas[Math.floor(Math.random() * replicas.length)];
+            callback(null, { host: replica.ip.toString(), port: +replica.port });
+        });
+    }
+
+    subscribe (sentinel) {
+        if (this.subscriber || this.closing) {
+            return;
+        }
+
+        this.subscriber = this.create_sentinel_client(sentinel);
+        this.subscriber.on('error', err => {
+            debug(`Sentinel subscriber error: ${err.message}`);
+        });
+        this.subscriber.on('message', (channel, message) => {
+            if (channel === SWITCH_MASTER) {
+                this.on_switch_master(message);
+            }
+        });
+        this.subscriber.subscribe(SWITCH_MASTER, err => {
+            if (err) {
+                debug(`Subscribing to ${SWITCH_MASTER} failed: ${err.message}`);
+            }
+        });
+    }
+
+    // Message format: <master name> <old ip> <old port> <new ip> <new port>
+    on_switch_master (message) {
+        const parts = message.split(' ');
+        if (parts[0] !== this.name) {
+            return;
+        }
+
+        const client = this.client;
+        const address = `${parts[3]}:${parts[4]}`;
+        debug(`Sentinel reported a failover of ${this.name} to ${address}`);
+
+        if (this.role === 'master') {
+            const previous_address = client.address;
+            this.set_address({ host: parts[3], port: +parts[4] });
+            if (client.connected && previous_address !== address) {
+                // Reconnect to the new master right away
+                client.stream.destroy();
+            }
+        } else if (client.address === address) {
+            // The replica got promoted. Find another replica
+            client.stream.destroy();
+        }
+
+        client.emit('failover', { name: this.name, host: parts[3], port: +parts[4] });
+    }
+
+    set_address (address) {
+        const cnx_options = this.client.connection_options;
+        cnx_options.host = address.host;
+        cnx_options.port = address.port;
+        cnx_options.family = net.isIP(address.host) === 6 ? 6 : 4;
+        delete cnx_options.path;
+        this.client.address = `${address.host}:${address.port}`;
+    }
+
+    // Resolve the address and create the stream afterwards. If that fails, the normal retry handling takes over
+    connect () {
+        const client = this.client;
+        this.resolve((err, address) => {
+            client.retry_timer = null;
+            if (client.closing) {
+                return;
+            }
+            if (err) {
+                // Only emit the error if the retry_stategy option is not set
+                if (!client.options.retry_strategy) {
+                    client.emit('error', err);
+                }
+                client.connection_gone('sentinel', err);
+                return;
+            }
+            this.set_address(address);
+            client.create_stream();
+        });
+    }
+
+    // Check that the node still has the expected role. A demoted master is a replica after a failover
+    check_role (callback) {
+        const client = this.client;
+        client.ready = true;
+        client.internal_send_command(new Command('role', [], (err, res) => {
+            if (err || res[0].toString() === this.role) {
+                // Old Redis versions do not know the ROLE command. Rely on the sentinels in that case
+                return callback();
+            }
+            debug(`Expected ${client.address} to be a ${this.role} but it is a ${res[0]}. Reconnecting`);
+            client.stream.destroy();
+        }));
+        client.ready = false;
+    }
+
+    end () {
+        this.closing = true;
+        if (this.subscriber) {
+            this.subscriber.end(true);
+            this.subscriber = null;
+        }
+    }
+}
+
+module.exports = Sentinel;
@@ -0,0 +1,240 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+const utils = require('./utils');
+const CommandOptions = require('./commandOptions');
+const debug = require('./debug');
+const { to_entries, to_streams } = require('./replyTransformers');
+
+// The failed reads are retried with an exponential backoff between these delays
+const MIN_RETRY_DELAY = 100;
+const MAX_RETRY_DELAY = 5000;
+
+// The replies are already converted if the client has the transform_replies option set.
+// The entries that were deleted from the stream in the meanwhile are null with older Redis versions
+function stream_entries (reply, stream) {
+    const streams = to_streams(reply);
+    return streams === null || streams[stream] === undefined ? [] : to_entries(streams[stream]).filter(entry => entry !== null);
+}
+
+// Consumes a stream as member of a consumer group. The blocking XREADGROUP loop runs on a duplicate of the client,
+// so the client itself stays usable. Each entry is passed to the handler and acknowledged as soon as the handler succeeded.
+// Entries that stay pending for min_idle_time (e.g. because the handler failed or a consumer crashed) are claimed again.
+// Entries that were delivered max_deliveries times are moved to the dead letter stream instead
+class StreamConsumer extends EventEmitter {
+    constructor (client, options, handler) {
+        super();
+
+        options = utils.clone(options);
+        if (typeof options.stream !== 'string' || typeof options.group !== 'string' || typeof options.consumer !== 'string') {
+            throw new TypeError('The stream, group and consumer options of the stream consumer have to be strings');
+        }
+        if (typeof handler !== 'function') {
+            throw new TypeError('The handler of the stream consumer has to be a function');
+        }
+
+        this.client = client;
+        this.handler = handler;
+        this.stream = options.stream;
+        this.group = options.group;
+        this.consumer = options.consumer;
+        this.start_id = options.start_id === undefined ? '$' : `${options.start_id}`;
+        this.count = options.count === undefined ? 10 : options.count | 0;
+        this.block = options.block === undefined ? 5000 : options.block | 0;
+        this.min_idle_time = options.min_idle_time === undefined ? 60000 : options.min_idle_time | 0;
+        this.claim_interval = options.claim_interval === undefined ? 30000 : +options.claim_interval;
+        this.max_deliveries = options.max_deliveries === undefined ? 5 : options.max_deliveries | 0;
+        this.dead_letter_stream = options.dead_letter_stream || `${this.stream}:dead`;
+
+        if (this.count < 1 || this.max_deliveries < 1) {
+            throw new RangeError('The count and max_deliveries options of the stream consumer have to be at least 1');
+        }
+
+        // The pending entries of this consumer (e.g. after a crash) are read first. Afterwards only new entries are read
+        this.last_id = '0';
+        this.stopped = false;
+        this.claiming = false;
+        this.group_created = false;
+        this.failures = 0; // Consecutive failures of the read loop
+        this.retry_timer = null;
+        this.wake = null; // Ends the backoff early on stop
+        this.processing = Promise.resolve(); // The entries are handled one after another
+
+        // The reader must not inherit the client cache or the circuit breaker of the client. Its blocking reads never time out
+        this.reader = client.duplicate({ client_cache: false, circuit_breaker: false });
+        this.reader.on('error', err => {
+            this.emit('error', err);
+        });
+        this.claim_timer = setInterval(() => {
+            this.claim();
+        }, this.claim_interval);
+
+        // Resolves as soon as the read loop ended. Failures are emitted and retried
+        this.reading = new Promise((resolve) => {
+            this.end_reading = resolve;
+        });
+        this.read();
+    }
+
+    // The errors are emitted outside of the promise chains. Otherwise a missing error listener would only
+    // cause an unhandled rejection instead of an uncaught exception
+    report (err) {
+        process.nextTick(() => {
+            this.emit('error', err);
+        });
+    }
+
+    // Reports the error and resolves after the backoff
+    retry (err) {
+        if (this.stopped) {
+            return Promise.resolve();
+        }
+        this.report(err);
+        const delay = Math.min(MIN_RETRY_DELAY * Math.pow(2, this.failures), MAX_RETRY_DELAY);
+        this.failures++;
+        debug(`Stream consumer of ${this.stream} retries in ${delay} ms after: ${err.message}`);
+        return new Promise((resolve) => {
+            this.wake = resolve;
+            this.retry_timer = setTimeout(resolve, delay);
+        }).then(() => {
+            this.retry_timer = null;
+            this.wake = null;
+        });
+    }
+
+    create_group () {
+        return this.client.xgroup('CREATE', this.stream, this.group, this.start_id, 'MKSTREAM').catch((err) => {
+            if (err.code !== 'BUSYGROUP') {
+                throw err;
+            }
+        });
+    }
+
+    // Each iteration starts the next one without returning it. Otherwise the promise chain would grow with every read
+    read () {
+        if (this.stopped) {
+            this.end_reading();
+            return;
+        }
+        const step = this.group_created ? this.read_entries() : this.create_group().then(() => {
+            this.group_created = true;
+        }, err => this.retry(err));
+        step.then(() => this.read());
+    }
+
+    read_entries () {
+        const args = ['GROUP', this.group, this.consumer, 'COUNT', this.count];
+        if (this.last_id === '>' && this.block !== 0) {
+            args.push('BLOCK', this.block);
+        }
+        args.push('STREAMS', this.stream, this.last_id);
+
+        return this.reader.xreadgroup(CommandOptions({ timeout: 0 }), args).then((reply) => {
+            this.failures = 0;
+            const entries = stream_entries(reply, this.stream);
+            if (this.last_id !== '>') {
+                this.last_id = entries.length === 0 ? '>' : entries[entries.length - 1].id;
+            }
+            return this.handle(entries);
+        }, (err) => {
+            // The group is gone, e.g. because the stream was deleted
+            if (err.code === 'NOGROUP') {
+                this.group_created = false;
+            }
+            // The reader reconnects by itself. Do not spin while the server is not available
+            return this.retry(err);
+        });
+    }
+
+    handle (entries, deliveries) {
+        this.processing = this.processing.then(() => {
+            let chain = Promise.resolve();
+            for (const entry of entries) {
+                chain = chain.then(() => this.process(entry, deliveries ? deliveries[entry.id] : 1));
+            }
+            // E.g. XACK failed. The entries stay pending and are claimed again
+            return chain.catch(err => this.report(err));
+        });
+        return this.processing;
+    }
+
+    process (entry, delivery) {
+        if (this.stopped) {
+            return;
+        }
+        // Deleted entries can not be handled anymore
+        if (entry.fields === null) {
+            return this.client.xack(this.stream, this.group, entry.id);
+        }
+        return new Promise(resolve => resolve(this.handler(entry))).then(() => {
+            return this.client.xack(this.stream, this.group, entry.id);
+        }, (err) => {
+            // The entry stays pending and is claimed again after min_idle_time
+            debug(`The handler failed for entry ${entry.id} of ${this.stream} on delivery ${delivery}`);
+            this.emit('failed', err, entry, delivery);
+        });
+    }
+
+    // Claims the entries that are pending for at least min_idle_time. XCLAIM increases the delivery count
+    claim () {
+        if (this.stopped || this.claiming) {
+            return Promise.resolve();
+        }
+        this.claiming = true;
+        return this.client.xpending(this.stream, this.group, '-', '+', this.count).then((pending) => {
+            const deliveries = {};
+            const dead = [];
+            const stale = [];
+            for (const entry of pending) {
+                if (entry[2] < this.min_idle_time) {
+                    continue;
+                }
+                const id = entry[0].toString();
+                deliveries[id] = entry[3] + 1;
+                (entry[3] >= this.max_deliveries ? dead : stale).push(id);
+            }
+            if (dead.length === 0 && stale.length === 0) {
+                return;
+            }
+            return this.client.xclaim([this.stream, this.group, this.consumer, this.min_idle_time].concat(dead, stale)).then((claimed) => {
+                const entries = to_entries(claimed).filter(entry => entry !== null);
+                return Promise.all(entries.filter(entry => dead.indexOf(entry.id) !== -1).map(entry => this.dead_letter(entry, deliveries[entry.id] - 1)))
+                    .then(() => this.handle(entries.filter(entry => stale.indexOf(entry.id) !== -1), deliveries));
+            });
+        }).catch((err) => {
+            this.report(err);
+        }).then(() => {
+            this.claiming = false;
+        });
+    }
+
+    dead_letter (entry, deliveries) {
+        debug(`Moving entry ${entry.id} of ${this.stream} to ${this.dead_letter_stream} after ${deliveries} deliveries`);
+        const args = [this.dead_letter_stream, '*'];
+        for (const field in entry.fields) {
+            args.push(field, entry.fields[field]);
+        }
+        const added = args.length === 2 ? Promise.resolve() : this.client.xadd(args);
+        return added.then(() => this.client.xack(this.stream, this.group, entry.id)).then(() => {
+            this.emit('dead_letter', entry, deliveries);
+        });
+    }
+
+    // Stops reading and claiming. Resolves as soon as the entry that is currently handled is done
+    stop () {
+        if (!this.stopped) {
+            this.stopped = true;
+            clearInterval(this.claim_timer);
+            clearTimeout(this.retry_timer);
+            if (this.wake !== null) {
+                this.wake();
+            }
+            // Aborts the blocking XREADGROUP
+            this.reader.end(true);
+        }
+        return this.processing.then(() => this.reading).then(() => {});
+    }
+}
+
+module.exports = StreamConsumer;
@@ -1,8 +1,15 @@
 'use strict';
 
+const CommandOptions = require('./commandOptions');
+
 // hgetall converts its replies to an Object. If the reply is empty, null is returned.
 // These function are only called with internal data and have therefore always the same instanceof X
 function reply_to_object (reply) {
+    // RESP3 returns maps that are already parsed into an object
+    if (is_map(reply)) {
+        return Object.keys(reply).length === 0 ? null : reply;
+    }
+
     // The reply might be a string or a buffer if this is called in a transaction (multi)
     if (reply.length === 0 || !(reply instanceof Array)) {
         return null;
@@ -33,9 +40,24 @@ function reply_to_strings (reply) {
         return res;
     }
 
+    if (is_map(reply)) {
+        const res = {};
+
+        for (const key in reply) {
+            res[key] = reply_to_strings(reply[key]);
+        }
+
+        return res;
+    }
+
     return reply;
 }
 
+// Maps are parsed into plain objects if RESP3 is used
+function is_map (reply) {
+    return Object.prototype.toString.call(reply) === '[object Object]';
+}
+
 function print (err, reply) {
     if (err) {
         // A error always begins with Error:
@@ -132,8 +154,8 @@ function reply_in_order (self, callback, err, res, queue) {
     if (command_obj.callback) {
         const fn = command_obj.callback;
 
-        command_obj.callback = (err, data) => {
-            fn(err, data);
+        command_obj.callback = (command_err, data) => {
+            fn(command_err, data);
 
             callback_or_emit(self, callback, err, res);
         };
@@ -141,16 +163,49 @@ function reply_in_order (self, callback, err, res, queue) {
         return;
     }
 
-    command_obj.callback = (err, data) => {
-        if (err) {
-            self.emit('error', err);
+    command_obj.callback = (command_err) => {
+        if (command_err) {
+            self.emit('error', command_err);
         }
 
         callback_or_emit(self, callback, err, res);
     };
 }
 
+// Creates a promise that is settled by the returned node style callback
+function deferred_promise () {
+    let resolve = null;
+    let reject = null;
+
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+
+    const callback = (err, data) => {
+        if (err) {
+            reject(err);
+            return;
+        }
+
+        resolve(data);
+    };
+
+    return {
+        promise,
+        resolve,
+        reject,
+        callback
+    };
+}
+
 const prepare_arguments_variable_length = (args, withObject) => {
+    // The options of the call are returned as third entry
+    if (args[0] instanceof CommandOptions) {
+        const [arr, callback] = prepare_arguments_variable_length(args.slice(1), withObject);
+        return [arr, callback, args[0]];
+    }
+
     let len = arguments.length;
 
     let arr;
@@ -229,6 +284,11 @@ const prepare_arguments_variable_length = (args, withObject) => {
 };
 
 const prepare_arguments_optional = (args) => {
+    if (args[0] instanceof CommandOptions) {
+        const [arr, callback] = prepare_arguments_optional(args.slice(1));
+        return [arr, callback, args[0]];
+    }
+
     let len = args.length;
 
     let arr;
@@ -275,6 +335,7 @@ module.exports = {
     print,
     callback_or_emit,
     reply_in_order,
+    deferred_promise,
 
     prepare_arguments_variable_length,
     prepare_arguments_optional,
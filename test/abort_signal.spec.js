@@ -0,0 +1,225 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The abort signal', function () {
+    var server;
+    var client;
+    var port;
+    var received;
+
+    function record (reply) {
+        return function (args) {
+            received.push(args.join(' '));
+            return reply;
+        };
+    }
+
+    before(function (done) {
+        server = fakeRedis.start({
+            info: '',
+            ping: 'PONG',
+            multi: record('OK'),
+            exec: record([]),
+            set: record('OK'),
+            // Commands for the "slow" key are answered after 50 ms including all commands sent in the meanwhile
+            get: function (args, socket) {
+                received.push(args.join(' '));
+                if (args[0] === 'slow') {
+                    socket.delayed = [];
+                    setTimeout(function () {
+                        socket.write(fakeRedis.encode('slow value'));
+                        socket.delayed.forEach(function (reply) {
+                            socket.write(fakeRedis.encode(reply));
+                        });
+                        socket.delayed = null;
+                    }, 50);
+                    return;
+                }
+                if (socket.delayed) {
+                    socket.delayed.push('value of ' + args[0]);
+                    return;
+                }
+                return 'value of ' + args[0];
+            }
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    beforeEach(function () {
+        received = [];
+    });
+
+    afterEach(function () {
+        if (client) {
+            client.end(true);
+            client = null;
+        }
+    });
+
+    it('throws on invalid signals', function () {
+        assert.throws(function () {
+            redis.commandOptions({ signal: {} });
+        }, TypeError);
+        assert.throws(function () {
+            redis.commandOptions({ signal: null });
+        }, TypeError);
+    });
+
+    it('rejects commands with an already aborted signal right away', function () {
+        var controller = new AbortController();
+        controller.abort('stop');
+        client = redis.createClient({ port: port });
+        return client.get(redis.commandOptions({ signal: controller.signal }), 'foo').then(function () {
+            throw new Error('The command should have been aborted');
+        }, function (err) {
+            assert(err instanceof redis.AbortError);
+            assert.strictEqual(err.code, 'NR_ABORTED');
+            assert.strictEqual(err.command, 'GET');
+            assert.deepStrictEqual(err.args, ['foo']);
+            assert.strictEqual(err.reason, 'stop');
+            return client.get('bar');
+        }).then(function (res) {
+            assert.strictEqual(res, 'value of bar');
+            assert.deepStrictEqual(received, ['bar']);
+        });
+    });
+
+    it('removes aborted commands from the offline queue', function (done) {
+        var controller = new AbortController();
+        client = redis.createClient({ port: port });
+        client.get(redis.commandOptions({ signal: controller.signal }), 'foo', function (err, res) {
+            assert.strictEqual(err.code, 'NR_ABORTED');
+            assert.strictEqual(client.offline_queue_length, 1);
+            client.get('bar', function (err, res) {
+                assert.strictEqual(res, 'value of bar');
+                assert.deepStrictEqual(received, ['baz', 'bar']);
+                done(err);
+            });
+        });
+        client.get('baz', function (err, res) {
+            assert.strictEqual(res, 'value of baz');
+        });
+        assert.strictEqual(client.offline_queue_length, 2);
+        controller.abort();
+    });
+
+    it('discards the reply of commands that were already sent', function (done) {
+        var controller = new AbortController();
+        var aborted = false;
+        client = redis.createClient({ port: port });
+        client.on('ready', function () {
+            client.get(redis.commandOptions({ signal: controller.signal }), 'slow', function (err, res) {
+                assert(!aborted);
+                aborted = true;
+                assert.strictEqual(err.code, 'NR_ABORTED');
+            });
+            controller.abort();
+            client.get('foo', function (err, res) {
+                assert(aborted);
+                assert.strictEqual(res, 'value of foo');
+                assert.deepStrictEqual(received, ['slow', 'foo']);
+                done(err);
+            });
+        });
+    });
+
+    it('removes aborted commands from the pipeline before they are written', function (done) {
+        var controller = new AbortController();
+        client = redis.createClient({ port: port });
+        client.on('ready', function () {
+            client.cork();
+            client.get(redis.commandOptions({ signal: controller.signal }), 'foo', function (err) {
+                assert.strictEqual(err.code, 'NR_ABORTED');
+            });
+            client.get('bar', function (err, res) {
+                assert.strictEqual(res, 'value of bar');
+                assert.deepStrictEqual(received, ['bar']);
+                done(err);
+            });
+            controller.abort();
+            assert.strictEqual(client.command_queue_length, 1);
+            client.uncork();
+        });
+    });
+
+    it('does not call the callback again if the signal aborts after the reply', function (done) {
+        var controller = new AbortController();
+        var calls = 0;
+        client = redis.createClient({ port: port });
+        client.get(redis.commandOptions({ signal: controller.signal }), 'foo', function (err, res) {
+            calls++;
+            assert.strictEqual(res, 'value of foo');
+            controller.abort();
+            setTimeout(function () {
+                assert.strictEqual(calls, 1);
+                done(err);
+            }, 10);
+        });
+    });
+
+    it('aborts commands sent with send_command', function (done) {
+        var controller = new AbortController();
+        client = redis.createClient({ port: port });
+        client.send_command(redis.commandOptions({ signal: controller.signal }), 'set', ['foo', 'bar'], function (err) {
+            assert.strictEqual(err.code, 'NR_ABORTED');
+            assert.strictEqual(err.command, 'SET');
+            client.ping(function (err) {
+                assert.deepStrictEqual(received, []);
+                done(err);
+            });
+        });
+        controller.abort();
+    });
+
+    it('aborts all commands of a batch', function (done) {
+        var controller = new AbortController();
+        var own_callback = false;
+        client = redis.createClient({ port: port });
+        client.batch().get('foo', function (err) {
+            own_callback = true;
+            assert.strictEqual(err.code, 'NR_ABORTED');
+        }).set('foo', 'bar').exec(redis.commandOptions({ signal: controller.signal }), function (err, res) {
+            assert(own_callback);
+            assert.strictEqual(res.length, 2);
+            assert.strictEqual(res[0].code, 'NR_ABORTED');
+            assert.strictEqual(res[1].command, 'SET');
+            client.ping(function (err) {
+                assert.deepStrictEqual(received, []);
+                done(err);
+            });
+        });
+        controller.abort();
+    });
+
+    it('aborts a transaction as a whole', function (done) {
+        var controller = new AbortController();
+        var command_controller = new AbortController();
+        client = redis.createClient({ port: port });
+        client.multi()
+            .set(redis.commandOptions({ signal: command_controller.signal }), 'foo', 'bar')
+            .get('foo')
+            .exec(redis.commandOptions({ signal: controller.signal }), function (err, res) {
+                assert.strictEqual(err.code, 'NR_ABORTED');
+                assert.strictEqual(err.command, 'EXEC');
+                assert.strictEqual(err.errors.length, 2);
+                assert.strictEqual(client.offline_queue_length, 0);
+                client.ping(function (err) {
+                    assert.deepStrictEqual(received, []);
+                    done(err);
+                });
+            });
+        // Signals of the single commands are ignored in a transaction
+        command_controller.abort();
+        assert.strictEqual(client.offline_queue_length, 4);
+        controller.abort();
+    });
+});
@@ -202,16 +202,15 @@ describe('client authentication', function () {
                 assert(async);
             });
 
-            it('should emit an error if the password is not correct and no callback has been provided', function (done) {
+            it('should reject the promise if the password is not correct and no callback has been provided', function (done) {
                 if (helper.redisProcess().spawnFailed()) this.skip();
 
                 client = redis.createClient.apply(null, args);
-                client.on('error', function (err) {
+                client.auth(234567).catch(function (err) {
                     assert.strictEqual(err.message, 'ERR invalid password');
                     assert.strictEqual(err.command, 'AUTH');
                     done();
                 });
-                client.auth(234567);
             });
 
             it('allows auth to be provided post-hoc with auth method again', function (done) {
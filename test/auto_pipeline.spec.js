@@ -0,0 +1,95 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The auto pipeline', function () {
+    var client;
+    var writes;
+
+    var fake = fakeRedis.setup({
+        info: '',
+        get: function (args) {
+            return args[0];
+        }
+    }, { auto_pipeline: true });
+
+    function createClient (options, done) {
+        client = fake.createClient(options, function () {
+            writes = 0;
+            var write = client.stream.write;
+            client.stream.write = function () {
+                writes++;
+                return write.apply(this, arguments);
+            };
+            done();
+        });
+    }
+
+    it('validates the max batch size', function (done) {
+        assert.throws(function () {
+            redis.createClient({ port: fake.port, auto_pipeline: true, auto_pipeline_max_batch: 0 });
+        }, RangeError);
+        createClient({}, done);
+    });
+
+    it('writes the commands of a tick at once', function () {
+        return new Promise(function (resolve) {
+            createClient({}, resolve);
+        }).then(function () {
+            var replies = [client.get('a'), client.get('b'), client.get('c')];
+            assert.strictEqual(writes, 0);
+            return Promise.all(replies);
+        }).then(function (res) {
+            assert.deepStrictEqual(res, ['a', 'b', 'c']);
+            assert.strictEqual(writes, 1);
+            return client.get('d');
+        }).then(function (res) {
+            assert.strictEqual(res, 'd');
+            assert.strictEqual(writes, 2);
+        });
+    });
+
+    it('writes the pipeline as soon as it reached the max batch size', function (done) {
+        createClient({ auto_pipeline_max_batch: 2 }, function () {
+            client.get('a');
+            client.get('b');
+            assert.strictEqual(writes, 1);
+            client.get('c');
+            client.get('d');
+            assert.strictEqual(writes, 2);
+            client.get('e', function (err, res) {
+                assert.strictEqual(res, 'e');
+                assert.strictEqual(writes, 3);
+                done(err);
+            });
+        });
+    });
+
+    it('is joined by batches', function (done) {
+        createClient({}, function () {
+            client.get('a');
+            client.batch().get('b').get('c').exec(function (err, res) {
+                assert.deepStrictEqual(res, ['b', 'c']);
+            });
+            assert.strictEqual(writes, 1);
+            client.get('d', function (err, res) {
+                assert.strictEqual(res, 'd');
+                assert.strictEqual(writes, 2);
+                done(err);
+            });
+        });
+    });
+
+    it('is not used by default', function (done) {
+        createClient({ auto_pipeline: false }, function () {
+            client.get('a');
+            client.get('b', function (err, res) {
+                assert.strictEqual(res, 'b');
+                assert.strictEqual(writes, 2);
+                done(err);
+            });
+        });
+    });
+});
@@ -256,8 +256,9 @@ describe("The 'batch' method", function () {
                 });
 
                 it('runs a batch without any further commands and without callback', function () {
-                    var buffering = client.batch().exec();
-                    assert.strictEqual(buffering, true);
+                    return client.batch().exec().then(function (res) {
+                        assert.deepStrictEqual(res, []);
+                    });
                 });
 
                 it('allows multiple operations to be performed using a chaining API', function (done) {
@@ -0,0 +1,150 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The circuit breaker', function () {
+    var client;
+    // Redis is unreachable while down is set. Each connection is closed before the client is ready
+    var down;
+
+    function reachable (reply) {
+        return function (args, socket) {
+            if (down) {
+                socket.destroy();
+                return;
+            }
+            return reply;
+        };
+    }
+
+    var fake = fakeRedis.setup({
+        info: reachable(''),
+        ping: reachable('PONG'),
+        get: reachable('bar'),
+        // Never answers
+        blpop: undefined
+    }, {
+        retry_strategy: function () {
+            return 10;
+        }
+    });
+
+    beforeEach(function () {
+        down = false;
+    });
+
+    function createClient (options, done) {
+        client = fake.createClient(options, done);
+        client.on('error', function () {});
+    }
+
+    it('is not used by default', function (done) {
+        createClient({}, function () {
+            assert.strictEqual(client.circuit_state, null);
+            done();
+        });
+    });
+
+    it('validates the options', function (done) {
+        assert.throws(function () {
+            redis.createClient({ port: fake.port, circuit_breaker: { max_failures: 0 } });
+        }, RangeError);
+        assert.throws(function () {
+            redis.createClient({ port: fake.port, circuit_breaker: { error_rate: 2 } });
+        }, RangeError);
+        assert.throws(function () {
+            redis.createClient({ port: fake.port, circuit_breaker: { reset_timeout: -1 } });
+        }, RangeError);
+        createClient({}, done);
+    });
+
+    it('opens after the connection got lost max_failures times in a row and rejects the commands', function (done) {
+        createClient({ circuit_breaker: { max_failures: 2, reset_timeout: 1000 } }, function () {
+            assert.strictEqual(client.circuit_state, 'closed');
+            down = true;
+            client.stream.destroy();
+            client.get('queued', function (err) {
+                assert(err instanceof redis.CircuitOpenError);
+                assert.strictEqual(err.code, 'NR_CIRCUIT_OPEN');
+                assert.strictEqual(err.command, 'GET');
+                assert.deepStrictEqual(err.args, ['queued']);
+            });
+            client.once('circuit_open', function () {
+                assert.strictEqual(client.circuitState, 'open');
+                assert.strictEqual(client.offline_queue_length, 0);
+                client.get('foo').then(assert.fail, function (err) {
+                    assert.strictEqual(err.message, "GET can't be processed. The circuit breaker is open.");
+                    assert.strictEqual(client.offline_queue_length, 0);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('closes after a successful probe', function (done) {
+        var events = [];
+        createClient({ circuit_breaker: { max_failures: 1, reset_timeout: 50 } }, function () {
+            client.on('circuit_open', function () {
+                events.push('open');
+                // Redis is available again. The breaker stays open until the probe succeeded
+                down = false;
+            });
+            client.on('circuit_half_open', function () {
+                events.push('half_open');
+                assert.strictEqual(client.circuit_state, 'half_open');
+                client.get('foo', function (err) {
+                    assert.strictEqual(err.code, 'NR_CIRCUIT_OPEN');
+                    assert(/half open/.test(err.message));
+                });
+            });
+            client.on('circuit_close', function () {
+                events.push('close');
+                assert.deepStrictEqual(events, ['open', 'half_open', 'close']);
+                client.get('foo', function (err, res) {
+                    assert.strictEqual(res, 'bar');
+                    done(err);
+                });
+            });
+            down = true;
+            client.stream.destroy();
+        });
+    });
+
+    it('opens again if the probe fails', function (done) {
+        var opened = 0;
+        createClient({ circuit_breaker: { max_failures: 1, reset_timeout: 20 } }, function () {
+            client.on('circuit_open', function () {
+                opened++;
+                if (opened === 2) {
+                    down = false;
+                }
+            });
+            client.on('circuit_close', function () {
+                assert.strictEqual(opened, 2);
+                done();
+            });
+            down = true;
+            client.stream.destroy();
+        });
+    });
+
+    it('opens if the error rate is exceeded', function (done) {
+        createClient({
+            command_timeout: 10,
+            circuit_breaker: { error_rate: 0.5, min_commands: 3, reset_timeout: 1000 }
+        }, function () {
+            client.get('foo');
+            client.blpop('list', 0).catch(function (err) {
+                assert.strictEqual(err.code, 'NR_TIMEOUT');
+                assert.strictEqual(client.circuit_state, 'closed');
+                client.blpop('list', 0).catch(function (err) {
+                    assert.strictEqual(err.code, 'NR_TIMEOUT');
+                    assert.strictEqual(client.circuit_state, 'open');
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,254 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The client side caching', function () {
+    var server;
+    var client;
+    var calls;
+    var tracking;
+
+    function startServer (replies, done) {
+        calls = {};
+        tracking = [];
+        var defaults = {
+            hello: function (args, socket) {
+                socket.write('%1\r\n+proto\r\n:3\r\n');
+            },
+            info: '',
+            client: function (args) {
+                if (args[0] === 'tracking') {
+                    tracking.push(args.slice(1));
+                }
+                return 'OK';
+            },
+            get: function (args) {
+                calls[args[0]] = (calls[args[0]] || 0) + 1;
+                return 'value:' + args[0];
+            },
+            hgetall: function (args, socket) {
+                calls[args[0]] = (calls[args[0]] || 0) + 1;
+                socket.write('%1\r\n+field\r\n+value\r\n');
+            },
+            set: 'OK'
+        };
+        Object.keys(replies).forEach(function (command) {
+            defaults[command] = replies[command];
+        });
+        server = fakeRedis.start(defaults, done);
+    }
+
+    afterEach(function () {
+        if (client) {
+            client.end(true);
+            client = null;
+        }
+        if (server) {
+            fakeRedis.stop(server);
+            server = null;
+        }
+    });
+
+    it('throws on an invalid max_entries option', function () {
+        assert.throws(function () {
+            redis.createClient({ clientCache: { maxEntries: 0 } });
+        }, RangeError);
+    });
+
+    it('serves repeated reads from the cache after enabling the tracking', function (done) {
+        startServer({}, function (port) {
+            client = redis.createClient({ port: port, protocol: 3, clientCache: true });
+            client.get('foo', function () {
+                client.get('foo', function (err, res) {
+                    assert.strictEqual(err, null);
+                    assert.strictEqual(res, 'value:foo');
+                    assert.strictEqual(calls.foo, 1);
+                    assert.deepEqual(tracking, [['on']]);
+                    assert.strictEqual(client.cache.hits, 1);
+                    assert.strictEqual(client.cache.misses, 1);
+                    assert.strictEqual(client.cache.size, 1);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('returns copies of the cached replies', function () {
+        return new Promise(function (resolve) {
+            startServer({}, resolve);
+        }).then(function (port) {
+            client = redis.createClient({ port: port, protocol: 3, clientCache: true });
+            return client.hgetall('hash');
+        }).then(function (res) {
+            res.field = 'changed';
+            return client.hgetall('hash');
+        }).then(function (res) {
+            assert.deepEqual(res, { field: 'value' });
+            assert.strictEqual(calls.hash, 1);
+        });
+    });
+
+    it('evicts keys on invalidation push frames', function (done) {
+        var socket;
+        startServer({
+            ping: function (args, _socket) {
+                socket = _socket;
+                return 'PONG';
+            }
+        }, function (port) {
+            client = redis.createClient({ port: port, protocol: 3, clientCache: true });
+            client.get('foo');
+            client.ping(function () {
+                assert.strictEqual(client.cache.size, 1);
+                socket.write('>2\r\n+invalidate\r\n*1\r\n$3\r\nfoo\r\n');
+                client.once('invalidate', function (keys) {
+                    assert.deepEqual(keys, ['foo']);
+                    assert.strictEqual(client.cache.size, 0);
+                    client.get('foo', function () {
+                        assert.strictEqual(calls.foo, 2);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('does not serve stale replies after a write of the same client', function (done) {
+        startServer({}, function (port) {
+            client = redis.createClient({ port: port, protocol: 3, clientCache: true });
+            client.get('foo');
+            client.set('foo', 'bar');
+            client.get('foo', function () {
+                assert.strictEqual(calls.foo, 2);
+                assert.strictEqual(client.cache.hits, 0);
+                done();
+            });
+        });
+    });
+
+    it('evicts the least recently used entry', function (done) {
+        startServer({}, function (port) {
+            client = redis.createClient({ port: port, protocol: 3, clientCache: { maxEntries: 2 } });
+            client.get('a');
+            client.get('b', function () {
+                // Mark a as recently used
+                client.get('a');
+                client.get('c', function () {
+                    assert.strictEqual(client.cache.size, 2);
+                    client.get('a');
+                    client.get('b', function () {
+                        assert.deepEqual(calls, { a: 1, b: 2, c: 1 });
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('does not cache commands in a transaction', function (done) {
+        startServer({
+            multi: 'OK',
+            get: 'QUEUED',
+            exec: [['value']]
+        }, function (port) {
+            client = redis.createClient({ port: port, protocol: 3, clientCache: true });
+            client.multi().get('foo').exec(function (err, res) {
+                assert.deepEqual(res, [['value']]);
+                assert.strictEqual(client.cache.size, 0);
+                assert.strictEqual(client.cache.misses, 0);
+                done();
+            });
+        });
+    });
+
+    it('clears the cache if the connection is lost', function (done) {
+        startServer({}, function (port) {
+            client = redis.createClient({ port: port, protocol: 3, clientCache: true });
+            client.get('foo', function () {
+                assert.strictEqual(client.cache.size, 1);
+                client.stream.destroy();
+                client.once('reconnecting', function () {
+                    assert.strictEqual(client.cache.size, 0);
+                    assert.strictEqual(client.cache.tracking, false);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('sends the bcast mode with the prefixes', function (done) {
+        startServer({}, function (port) {
+            client = redis.createClient({ port: port, protocol: 3, clientCache: { bcast: true, prefixes: ['user:'] } });
+            client.get('other');
+            client.get('other', function () {
+                assert.deepEqual(tracking, [['on', 'bcast', 'prefix', 'user:']]);
+                // Keys without a tracked prefix are never invalidated and therefore not cached
+                assert.strictEqual(calls.other, 2);
+                done();
+            });
+        });
+    });
+
+    it('redirects the invalidations to a subscriber with RESP2', function (done) {
+        var subscriber;
+        startServer({
+            client: function (args) {
+                if (args[0] === 'id') {
+                    return 42;
+                }
+                tracking.push(args.slice(1));
+                return 'OK';
+            },
+            subscribe: function (args, socket) {
+                assert.deepEqual(args, ['__redis__:invalidate']);
+                subscriber = socket;
+                return ['subscribe', args[0], 1];
+            }
+        }, function (port) {
+            client = redis.createClient({ port: port, clientCache: true });
+            var read = function () {
+                if (!client.cache.tracking) {
+                    return setTimeout(read, 5);
+                }
+                assert.deepEqual(tracking, [['off'], ['on', 'redirect', '42']]);
+                client.get('foo', function () {
+                    assert.strictEqual(client.cache.size, 1);
+                    client.cache.subscriber.once('invalidate', function (keys) {
+                        assert.deepEqual(keys, ['foo']);
+                        assert.strictEqual(client.cache.size, 0);
+                        done();
+                    });
+                    subscriber.write(fakeRedis.encode(['message', '__redis__:invalidate', ['foo']]));
+                });
+            };
+            read();
+        });
+    });
+
+    it('ends the subscriber together with the client', function (done) {
+        startServer({
+            client: function (args) {
+                return args[0] === 'id' ? 42 : 'OK';
+            },
+            subscribe: function (args) {
+                return ['subscribe', args[0], 1];
+            }
+        }, function (port) {
+            client = redis.createClient({ port: port, clientCache: true });
+            var end = function () {
+                if (!client.cache.tracking) {
+                    return setTimeout(end, 5);
+                }
+                var subscriber = client.cache.subscriber;
+                client.end(true);
+                assert.strictEqual(client.cache.subscriber, null);
+                assert.strictEqual(subscriber.closing, true);
+                assert(!redis.RedisClient.clients.has(subscriber));
+                done();
+            };
+            end();
+        });
+    });
+});
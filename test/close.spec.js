@@ -0,0 +1,105 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The graceful shutdown', function () {
+    var server;
+    var client;
+    var port;
+    var received;
+
+    before(function (done) {
+        server = fakeRedis.start({
+            info: '',
+            // Answers late
+            get: function (args, socket) {
+                received.push('get');
+                setTimeout(function () {
+                    socket.write(fakeRedis.encode('bar'));
+                }, 20);
+            },
+            // Never answers
+            blpop: function () {
+                received.push('blpop');
+            },
+            quit: function () {
+                received.push('quit');
+                return 'OK';
+            }
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    beforeEach(function (done) {
+        received = [];
+        client = redis.createClient({ port: port });
+        client.once('ready', function () {
+            done();
+        });
+    });
+
+    afterEach(function () {
+        client.end(true);
+    });
+
+    it('waits for the pending commands and quits afterwards', function () {
+        var pending = client.get('foo');
+        var closed = client.close();
+        assert.strictEqual(client.closing, true);
+        var rejected = client.get('foo').then(assert.fail, function (err) {
+            assert.strictEqual(err.code, 'NR_CLOSED');
+        });
+        return Promise.all([pending, closed, rejected]).then(function (res) {
+            assert.strictEqual(res[0], 'bar');
+            assert.deepStrictEqual(received, ['get', 'quit']);
+            assert(!redis.RedisClient.clients.has(client));
+        });
+    });
+
+    it('ends the connection if the pending commands are not answered in time', function (done) {
+        var start = Date.now();
+        client.blpop('list', 0, function (err) {
+            assert.strictEqual(err.code, 'NR_CLOSED');
+        });
+        client.close({ timeout: 30 }, function (err) {
+            assert(Date.now() - start >= 25);
+            assert.deepStrictEqual(received, ['blpop']);
+            assert.strictEqual(client.connected, false);
+            done(err);
+        });
+    });
+
+    it('rejects the offline queue if the client is not connected', function () {
+        client.end(true);
+        client = redis.createClient({ port: port });
+        var offline = client.get('foo').then(assert.fail, function (err) {
+            assert.strictEqual(err.code, 'NR_CLOSED');
+        });
+        return Promise.all([client.close({ timeout: 1000 }), offline]);
+    });
+
+    it('closes all clients with closeAll', function (done) {
+        var other = redis.createClient({ port: port });
+        assert(redis.RedisClient.clients.has(other));
+        other.once('ready', function () {
+            var pending = other.get('foo');
+            redis.closeAll({ timeout: 1000 }).then(function () {
+                assert(!redis.RedisClient.clients.has(client));
+                assert(!redis.RedisClient.clients.has(other));
+                return pending;
+            }).then(function (res) {
+                assert.strictEqual(res, 'bar');
+                assert.deepStrictEqual(received, ['get', 'quit', 'quit']);
+                done();
+            }).catch(done);
+        });
+    });
+});
@@ -0,0 +1,224 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var RedisCluster = redis.RedisCluster;
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The RedisCluster', function () {
+
+    describe('key_slot', function () {
+
+        it('calculates the slot of a key', function () {
+            assert.strictEqual(RedisCluster.key_slot('foo'), 12182);
+            assert.strictEqual(RedisCluster.key_slot('bar'), 5061);
+            assert.strictEqual(RedisCluster.key_slot('hello'), 866);
+            assert.strictEqual(RedisCluster.key_slot(Buffer.from('foo')), 12182);
+            assert.strictEqual(RedisCluster.key_slot(123456789), 12739);
+        });
+
+        it('only hashes the hash tag if present', function () {
+            assert.strictEqual(RedisCluster.key_slot('{user1000}.following'), RedisCluster.key_slot('user1000'));
+            assert.strictEqual(RedisCluster.key_slot('{user1000}.followers'), RedisCluster.key_slot('user1000'));
+            assert.strictEqual(RedisCluster.key_slot('foo{bar}{zap}'), RedisCluster.key_slot('bar'));
+        });
+
+        it('hashes the whole key if the hash tag is empty', function () {
+            assert.strictEqual(RedisCluster.key_slot('foo{}{bar}'), 8363);
+            assert.notStrictEqual(RedisCluster.key_slot('{}foo'), RedisCluster.key_slot('foo'));
+        });
+
+        it('camelCase version exists', function () {
+            assert.strictEqual(RedisCluster.keySlot, RedisCluster.key_slot);
+        });
+    });
+
+    describe('without a reachable node', function () {
+        var cluster;
+
+        afterEach(function () {
+            if (cluster) {
+                cluster.end(true);
+                cluster = null;
+            }
+        });
+
+        it('throws without any startup node', function () {
+            assert.throws(function () {
+                redis.createCluster({ nodes: [] });
+            }, /at least one cluster node/);
+        });
+
+        it('exposes the generated commands', function () {
+            cluster = redis.createCluster({ nodes: ['127.0.0.1:65535'] });
+            cluster.on('error', function () {});
+            assert.strictEqual(typeof cluster.get, 'function');
+            assert.strictEqual(typeof cluster.SET, 'function');
+            assert.strictEqual(typeof cluster.hmset, 'function');
+            assert.strictEqual(typeof cluster.multi, 'function');
+        });
+
+        it('queues commands until the slots are known and flushes them on end', function (done) {
+            cluster = redis.createCluster({
+                nodes: [{ host: '127.0.0.1', port: 65535 }],
+                retryStrategy: function () {
+                    return 1000;
+                }
+            });
+            cluster.on('error', function () {});
+            cluster.set('foo', 'bar', function (err, res) {
+                assert.strictEqual(err.code, 'NR_CLOSED');
+                assert.strictEqual(err.command, 'SET');
+                assert.deepEqual(err.args, ['foo', 'bar']);
+                done();
+            });
+            assert.strictEqual(cluster.offline_queue.length, 1);
+            cluster.end(true);
+        });
+
+        it('returns a promise without a callback', function () {
+            cluster = redis.createCluster({ nodes: [65535] });
+            cluster.on('error', function () {});
+            var promise = cluster.get('foo');
+            assert(promise instanceof Promise);
+            cluster.end(true);
+            return promise.then(function () {
+                throw new Error('failed');
+            }, function (err) {
+                assert.strictEqual(err.code, 'NR_CLOSED');
+            });
+        });
+
+        it('routes commands to the node serving the slot', function () {
+            cluster = redis.createCluster({ nodes: [65535] });
+            cluster.on('error', function () {});
+            cluster.update_slots([
+                [0, 8191, ['127.0.0.1', 65534, 'a']],
+                [8192, 16383, ['', 65533, 'b'], ['127.0.0.1', 65532, 'c']]
+            ], { host: '127.0.0.1', port: 65535 });
+            assert.deepEqual(Object.keys(cluster.nodes).sort(), ['127.0.0.1:65533', '127.0.0.1:65534']);
+            assert.strictEqual(cluster.client_for_slot(RedisCluster.key_slot('bar')).address, '127.0.0.1:65534');
+            assert.strictEqual(cluster.client_for_slot(RedisCluster.key_slot('foo')).address, '127.0.0.1:65533');
+            cluster.get('foo', function (err) {
+                assert.strictEqual(err.code, 'NR_CLOSED');
+            });
+            assert.strictEqual(cluster.nodes['127.0.0.1:65533'].offline_queue_length, 1);
+            assert.strictEqual(cluster.nodes['127.0.0.1:65534'].offline_queue_length, 0);
+        });
+
+        it('retries to fetch the slots and rejects the queued commands afterwards', function (done) {
+            var errors = 0;
+            cluster = redis.createCluster({
+                nodes: [65535],
+                slots_refresh_timeout: 20,
+                slotsRefreshAttempts: 2,
+                retryStrategy: function () {
+                    return 1000;
+                }
+            });
+            cluster.on('error', function (err) {
+                assert(/^Failed to refresh the cluster slots/.test(err.message));
+                errors++;
+            });
+            var multi = cluster.multi().get('foo').exec().then(assert.fail, function (err) {
+                assert.strictEqual(err.code, 'NR_CLUSTER_DOWN');
+            });
+            cluster.get('foo', function (err) {
+                assert.strictEqual(errors, 2);
+                assert.strictEqual(err.code, 'NR_CLUSTER_DOWN');
+                assert.strictEqual(err.message, 'The cluster slots could not be fetched after 2 attempts.');
+                assert.strictEqual(err.command, 'GET');
+                assert(/timed out/.test(err.origin.message));
+                assert.strictEqual(cluster.offline_queue.length, 0);
+                multi.then(function () {
+                    // New commands fetch the slots again
+                    cluster.get('bar', function (err) {
+                        assert.strictEqual(err.code, 'NR_CLOSED');
+                        done();
+                    });
+                    assert.notStrictEqual(cluster.refresh_callbacks, null);
+                    cluster.end(true);
+                });
+            });
+        });
+
+        it('validates the slots_refresh_attempts', function () {
+            assert.throws(function () {
+                redis.createCluster({ nodes: [65535], slots_refresh_attempts: 0 });
+            }, RangeError);
+        });
+
+        it('sends keyless commands to a startup node if no master is known', function () {
+            cluster = redis.createCluster({ nodes: ['127.0.0.1:65535'] });
+            cluster.on('error', function () {});
+            cluster.update_slots([], { host: '127.0.0.1', port: 65535 });
+            assert.deepEqual(Object.keys(cluster.nodes), []);
+            assert.strictEqual(cluster.client_for_slot(-1).address, '127.0.0.1:65535');
+            assert.strictEqual(cluster.client_for_slot(RedisCluster.key_slot('foo')).address, '127.0.0.1:65535');
+        });
+
+        it('rejects select', function () {
+            cluster = redis.createCluster({ nodes: [65535] });
+            cluster.on('error', function () {});
+            return cluster.select(1).then(function () {
+                throw new Error('failed');
+            }, function (err) {
+                assert.strictEqual(err.code, 'NR_CLUSTER');
+            });
+        });
+    });
+
+    describe('with a node', function () {
+        var server;
+        var port;
+        var cluster;
+
+        before(function (done) {
+            server = fakeRedis.start({
+                info: '',
+                cluster: function () {
+                    return [[0, 16383, ['127.0.0.1', port, 'a']]];
+                },
+                // GET never replies
+                get: undefined,
+                set: 'OK'
+            }, function (_port) {
+                port = _port;
+                done();
+            });
+        });
+
+        after(function () {
+            fakeRedis.stop(server);
+        });
+
+        afterEach(function () {
+            cluster.end(true);
+        });
+
+        it('passes the timeout of the call to the node', function () {
+            cluster = redis.createCluster({ nodes: [port] });
+            return cluster.set('foo', 'bar').then(function () {
+                return cluster.get(redis.commandOptions({ timeout: 20 }), 'foo');
+            }).then(assert.fail, function (err) {
+                assert(err instanceof redis.TimeoutError);
+                assert.strictEqual(err.command, 'GET');
+            });
+        });
+
+        it('passes the signal of the call to the node', function () {
+            cluster = redis.createCluster({ nodes: [port] });
+            var controller = new AbortController();
+            return cluster.set('foo', 'bar').then(function () {
+                var promise = cluster.get(redis.commandOptions({ signal: controller.signal }), 'foo');
+                setTimeout(function () {
+                    controller.abort();
+                }, 10);
+                return promise;
+            }).then(assert.fail, function (err) {
+                assert(err instanceof redis.AbortError);
+                assert.strictEqual(err.code, 'NR_ABORTED');
+            });
+        });
+    });
+});
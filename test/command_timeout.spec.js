@@ -0,0 +1,169 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The command timeouts', function () {
+    var server;
+    var client;
+    var port;
+    // The first GET of the "retried" key is never answered
+    var retried;
+
+    before(function (done) {
+        server = fakeRedis.start({
+            info: '',
+            ping: 'PONG',
+            // Commands for the "slow" key are answered after 50 ms including all commands sent in the meanwhile
+            get: function (args, socket) {
+                if (args[0] === 'slow') {
+                    socket.delayed = [];
+                    setTimeout(function () {
+                        socket.write(fakeRedis.encode('slow value'));
+                        socket.delayed.forEach(function (reply) {
+                            socket.write(fakeRedis.encode(reply));
+                        });
+                        socket.delayed = null;
+                    }, 50);
+                    return;
+                }
+                if (args[0] === 'never') {
+                    return;
+                }
+                if (args[0] === 'retried') {
+                    if (!retried) {
+                        retried = true;
+                        return;
+                    }
+                    setTimeout(function () {
+                        socket.write(fakeRedis.encode('value of retried'));
+                    }, 40);
+                    return;
+                }
+                if (socket.delayed) {
+                    socket.delayed.push('value of ' + args[0]);
+                    return;
+                }
+                return 'value of ' + args[0];
+            }
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    afterEach(function () {
+        if (client) {
+            client.end(true);
+            client = null;
+        }
+    });
+
+    it('rejects only the affected command and ignores its late reply', function (done) {
+        client = redis.createClient({ port: port, commandTimeout: 20 });
+        client.get('slow', function (err, res) {
+            assert(err instanceof redis.TimeoutError);
+            assert.strictEqual(err.code, 'NR_TIMEOUT');
+            assert.strictEqual(err.command, 'GET');
+            assert.deepEqual(err.args, ['slow']);
+            assert.strictEqual(err.timeout, 20);
+            assert.strictEqual(res, undefined);
+        });
+        // The reply of the timed out command arrives first and may not be passed to this command
+        client.get(redis.commandOptions({ timeout: 1000 }), 'fast', function (err, res) {
+            assert.strictEqual(err, null);
+            assert.strictEqual(res, 'value of fast');
+            assert.strictEqual(client.command_queue_length, 0);
+            done();
+        });
+    });
+
+    it('rejects the promise of a command', function () {
+        client = redis.createClient({ port: port, commandTimeout: 10 });
+        return client.get('never').then(function () {
+            throw new Error('failed');
+        }, function (err) {
+            assert.strictEqual(err.name, 'TimeoutError');
+            // The slot is kept until the reply arrives
+            assert.strictEqual(client.command_queue_length, 1);
+        });
+    });
+
+    it('accepts a timeout per call', function () {
+        client = redis.createClient({ port: port });
+        return client.get(redis.commandOptions({ timeout: 10 }), 'never').then(function () {
+            throw new Error('failed');
+        }, function (err) {
+            assert.strictEqual(err.timeout, 10);
+            assert.strictEqual(err.args[0], 'never');
+        });
+    });
+
+    it('disables the timeout of a single call with a timeout of 0', function () {
+        client = redis.createClient({ port: port, commandTimeout: 10 });
+        return client.get(redis.commandOptions({ timeout: 0 }), 'slow').then(function (res) {
+            assert.strictEqual(res, 'slow value');
+        });
+    });
+
+    it('accepts the options with send_command', function (done) {
+        client = redis.createClient({ port: port });
+        client.sendCommand(redis.commandOptions({ timeout: 1000 }), 'ping', function (err, res) {
+            assert.strictEqual(res, 'PONG');
+            client.send_command(redis.commandOptions({ timeout: 10 }), 'get', ['never'], function (err) {
+                assert.strictEqual(err.code, 'NR_TIMEOUT');
+                done();
+            });
+        });
+    });
+
+    it('reconnects after the configured number of consecutive timeouts', function (done) {
+        client = redis.createClient({ port: port, commandTimeout: 10, reconnectAfterTimeouts: 2 });
+        var errors = [];
+        var callback = function (err) {
+            errors.push(err.code);
+        };
+        client.get('never', callback);
+        client.get('never', callback);
+        client.get('never', callback);
+        client.once('reconnecting', function (params) {
+            // The third command is flushed as the connection is reset
+            assert.deepEqual(errors, ['NR_TIMEOUT', 'NR_TIMEOUT', 'UNCERTAIN_STATE']);
+            assert.strictEqual(params.error.code, 'NR_TIMEOUT');
+            client.once('ready', function () {
+                done();
+            });
+        });
+    });
+
+    it('restarts the timer of commands that are sent again after a reconnect', function (done) {
+        retried = false;
+        client = redis.createClient({ port: port, commandTimeout: 60, retryUnfulfilledCommands: true });
+        client.once('ready', function () {
+            client.get('retried', function (err, res) {
+                assert.strictEqual(err, null);
+                assert.strictEqual(res, 'value of retried');
+                assert.strictEqual(client.times_connected, 2);
+                done();
+            });
+            client.get(redis.commandOptions({ timeout: 20 }), 'never', function (err) {
+                // Timed out before the reconnect and therefore not sent again
+                assert.strictEqual(err.code, 'NR_TIMEOUT');
+            });
+            setTimeout(function () {
+                client.stream.destroy();
+            }, 40);
+        });
+    });
+
+    it('throws on invalid command options', function () {
+        assert.throws(function () {
+            redis.commandOptions(100);
+        }, TypeError);
+    });
+});
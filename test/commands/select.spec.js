@@ -92,16 +92,14 @@ describe("The 'select' method", function () {
                     });
 
                     describe('with an invalid db index', function () {
-                        it('emits an error when callback not provided', function (done) {
+                        it('rejects the promise when callback not provided', function (done) {
                             assert.strictEqual(client.selected_db, undefined, 'default db should be undefined');
 
-                            client.on('error', function (err) {
+                            client.select(9999).catch(function (err) {
                                 assert.strictEqual(err.command, 'SELECT');
                                 assert((err.message === 'ERR DB index is out of range' || err.message === 'ERR invalid DB index'));
                                 done();
                             });
-
-                            client.select(9999);
                         });
                     });
                 });
@@ -86,4 +86,27 @@ describe('errors', function () {
             assert.strictEqual(e.message, 'foobar');
         });
     });
+
+    describe('TimeoutError', function () {
+        it('should inherit from Error and from AbortError', function () {
+            var e = new errors.TimeoutError({});
+            assert.strictEqual(e.message, '');
+            assert.strictEqual(e.name, 'TimeoutError');
+            assert.strictEqual(Object.keys(e).length, 0);
+            assert(e instanceof Error);
+            assert(e instanceof errors.TimeoutError);
+            assert(e instanceof errors.AbortError);
+        });
+
+        it('should list options properties but not name and message', function () {
+            var e = new errors.TimeoutError({
+                message: 'hello world',
+                timeout: 100
+            });
+            assert.strictEqual(e.message, 'hello world');
+            assert.strictEqual(e.name, 'TimeoutError');
+            assert.strictEqual(e.timeout, 100);
+            assert.strictEqual(Object.keys(e).length, 1);
+        });
+    });
 });
@@ -0,0 +1,146 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The heartbeat', function () {
+    var client;
+    var pings;
+    // The connection is black holed while silent is set
+    var silent;
+    var on_ping;
+
+    var fake = fakeRedis.setup({
+        info: '',
+        get: function () {
+            return silent ? undefined : 'bar';
+        },
+        // Never answer
+        blpop: undefined,
+        xread: undefined,
+        subscribe: function (args, socket) {
+            socket.subscribed = true;
+            return ['subscribe', args[0], 1];
+        },
+        ping: function (args, socket) {
+            pings++;
+            if (on_ping) {
+                on_ping();
+            }
+            if (silent) {
+                return;
+            }
+            // Redis replies with an array in the pub sub mode of RESP2
+            return socket.subscribed ? ['pong', ''] : 'PONG';
+        }
+    });
+
+    beforeEach(function () {
+        pings = 0;
+        silent = false;
+        on_ping = null;
+    });
+
+    function createClient (options, done) {
+        client = fake.createClient(options, done);
+    }
+
+    it('is not used by default', function (done) {
+        createClient({}, function () {
+            setTimeout(function () {
+                assert.strictEqual(client.heartbeat_timer, null);
+                assert.strictEqual(pings, 0);
+                done();
+            }, 30);
+        });
+    });
+
+    it('sends PING while the connection is idle', function (done) {
+        createClient({ ping_interval: 15 }, function () {
+            client.on('reconnecting', assert.fail);
+            setTimeout(function () {
+                assert(pings >= 2, pings + ' pings');
+                done();
+            }, 80);
+        });
+    });
+
+    it('does not send PING while a blocking command is pending', function (done) {
+        createClient({ ping_interval: 15 }, function () {
+            client.on('reconnecting', assert.fail);
+            client.blpop('list', 0, function (err) {
+                // Rejected by end(true)
+                assert.strictEqual(err.code, 'NR_CLOSED');
+            });
+            client.xread('BLOCK', 0, 'STREAMS', 'events', '$', function (err) {
+                assert.strictEqual(err.code, 'NR_CLOSED');
+            });
+            setTimeout(function () {
+                assert.strictEqual(pings, 0);
+                done();
+            }, 60);
+        });
+    });
+
+    it('reconnects if nothing is received while a command is stalled', function (done) {
+        createClient({
+            ping_interval: 15,
+            ping_timeout: 30,
+            retry_unfulfilled_commands: true,
+            retry_strategy: function (options) {
+                assert(options.error instanceof redis.TimeoutError);
+                assert.strictEqual(options.error.command, 'PING');
+                assert.strictEqual(pings, 1);
+                silent = false;
+                return 10;
+            }
+        }, function () {
+            silent = true;
+            client.get('foo', function (err, res) {
+                assert.strictEqual(res, 'bar');
+                assert.strictEqual(client.times_connected, 2);
+                done(err);
+            });
+        });
+    });
+
+    it('sends PING in pub sub mode', function (done) {
+        createClient({ ping_interval: 15 }, function () {
+            client.on('reconnecting', assert.fail);
+            client.subscribe('news', function (err) {
+                assert.strictEqual(client.pub_sub_mode, 1);
+                setTimeout(function () {
+                    assert(pings >= 2, pings + ' pings');
+                    done(err);
+                }, 80);
+            });
+        });
+    });
+
+    it('reconnects if PING is not answered in time and retries the unfulfilled commands', function (done) {
+        createClient({
+            ping_interval: 15,
+            ping_timeout: 30,
+            retry_unfulfilled_commands: true,
+            retry_strategy: function (options) {
+                assert(options.error instanceof redis.TimeoutError);
+                assert.strictEqual(options.error.command, 'PING');
+                assert.strictEqual(options.error.timeout, 30);
+                silent = false;
+                return 10;
+            }
+        }, function () {
+            silent = true;
+            on_ping = function () {
+                on_ping = null;
+                // Sent while the connection is already dead
+                client.get('foo', function (err, res) {
+                    assert.strictEqual(res, 'bar');
+                    assert.strictEqual(client.times_connected, 2);
+                    done(err);
+                });
+            };
+        });
+    });
+});
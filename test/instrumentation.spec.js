@@ -0,0 +1,210 @@
+'use strict';
+
+var assert = require('assert');
+var diagnostics_channel = require('diagnostics_channel');
+var redis = require('../index');
+var Instrumentation = require('../lib/instrumentation');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The instrumentation', function () {
+    var server;
+    var client;
+    var port;
+    var published;
+    var subscriptions;
+
+    before(function (done) {
+        server = fakeRedis.start({
+            info: '',
+            auth: 'OK',
+            get: 'bar',
+            hget: new Error('WRONGTYPE Operation against a key holding the wrong kind of value')
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    beforeEach(function () {
+        client = null;
+        published = [];
+        subscriptions = [];
+    });
+
+    afterEach(function () {
+        if (client) {
+            client.end(true);
+        }
+        subscriptions.forEach(function (subscription) {
+            diagnostics_channel.channel(subscription.name).unsubscribe(subscription.listener);
+        });
+    });
+
+    function subscribe (name) {
+        var listener = function (message) {
+            published.push({ name: name, message: Object.assign({}, message) });
+        };
+        diagnostics_channel.channel(name).subscribe(listener);
+        subscriptions.push({ name: name, listener: listener });
+    }
+
+    it('redacts the passwords of the arguments', function () {
+        assert.deepStrictEqual(Instrumentation.redact_args('auth', ['user', 'secret']), ['?', '?']);
+        assert.deepStrictEqual(Instrumentation.redact_args('hello', [3, 'AUTH', 'user', 'secret', 'SETNAME', 'name']), [3, 'AUTH', '?', '?', 'SETNAME', 'name']);
+        assert.deepStrictEqual(Instrumentation.redact_args('migrate', ['host', 6379, '', 0, 10, 'AUTH', 'secret', 'KEYS', 'foo']), ['host', 6379, '', 0, 10, 'AUTH', '?', 'KEYS', 'foo']);
+        assert.deepStrictEqual(Instrumentation.redact_args('acl', ['SETUSER', 'user', 'on', '>secret']), ['SETUSER', 'user', '?', '?']);
+        assert.deepStrictEqual(Instrumentation.redact_args('config', ['SET', 'requirepass', 'secret']), ['SET', 'requirepass', '?']);
+        assert.deepStrictEqual(Instrumentation.redact_args('set', ['foo', 'bar']), ['foo', 'bar']);
+    });
+
+    it('publishes the start and the end of the commands', function (done) {
+        subscribe('redis:command:start');
+        subscribe('redis:command:end');
+        subscribe('redis:command:error');
+        client = redis.createClient({ port: port, password: 'secret' });
+        client.once('ready', function () {
+            // The password is not published
+            assert.deepStrictEqual(published[0].message.command, 'auth');
+            assert.deepStrictEqual(published[0].message.args, ['?']);
+            published = [];
+            client.get('foo');
+            client.hget('foo', 'bar', function (err) {
+                assert.strictEqual(err.code, 'WRONGTYPE');
+                assert.deepStrictEqual(published.map(function (entry) {
+                    return entry.name + ' ' + entry.message.command;
+                }), [
+                    'redis:command:start get',
+                    'redis:command:start hget',
+                    'redis:command:end get',
+                    'redis:command:error hget'
+                ]);
+                var start = published[1].message;
+                assert.deepStrictEqual(start.args, ['foo', 'bar']);
+                assert.strictEqual(start.connection_id, client.connection_id);
+                assert.strictEqual(start.address, '127.0.0.1:' + port);
+                assert.strictEqual(start.db, 0);
+                assert.strictEqual(start.queue_depth, 1);
+                assert.strictEqual(start.duration, null);
+                var end = published[3].message;
+                assert.strictEqual(typeof end.duration, 'number');
+                assert(end.duration >= 0);
+                assert.strictEqual(end.error, err);
+                done();
+            });
+        });
+    });
+
+    it('publishes the connection lifecycle', function (done) {
+        subscribe('redis:connection:connect');
+        subscribe('redis:connection:ready');
+        subscribe('redis:connection:reconnecting');
+        subscribe('redis:connection:end');
+        client = redis.createClient({ port: port });
+        client.once('ready', function () {
+            client.stream.destroy();
+            client.once('ready', function () {
+                assert.deepStrictEqual(published.map(function (entry) {
+                    return entry.name;
+                }), [
+                    'redis:connection:connect',
+                    'redis:connection:ready',
+                    'redis:connection:end',
+                    'redis:connection:reconnecting',
+                    'redis:connection:connect',
+                    'redis:connection:ready'
+                ]);
+                var reconnecting = published[3].message;
+                assert.strictEqual(reconnecting.connection_id, client.connection_id);
+                assert.strictEqual(reconnecting.attempt, 1);
+                assert.strictEqual(typeof reconnecting.delay, 'number');
+                done();
+            });
+        });
+    });
+
+    it('validates the tracing option', function (done) {
+        assert.throws(function () {
+            client = redis.createClient({ port: port, tracing: {} });
+        }, TypeError);
+        client = redis.createClient({ port: port });
+        client.once('ready', done);
+    });
+
+    it('passes the commands to the tracing option', function (done) {
+        var spans = [];
+        client = redis.createClient({
+            port: port,
+            tracing: function (command) {
+                var span = { name: command.command, args: command.args };
+                spans.push(span);
+                return function (err, reply) {
+                    span.duration = command.duration;
+                    span.reply = reply;
+                };
+            }
+        });
+        client.get('foo', function (err, res) {
+            assert.strictEqual(res, 'bar');
+            // The ready check is traced as well
+            assert.deepStrictEqual(spans.map(function (span) {
+                return span.name;
+            }), ['info', 'get']);
+            assert.strictEqual(spans[1].reply, 'bar');
+            assert.strictEqual(typeof spans[1].duration, 'number');
+            done(err);
+        });
+    });
+
+    it('emits the errors of the tracing hooks without breaking the commands', function (done) {
+        var errors = [];
+        client = redis.createClient({
+            port: port,
+            tracing: function (command) {
+                if (command.command === 'get') {
+                    throw new Error('start failed');
+                }
+                return function () {
+                    throw new Error('end failed');
+                };
+            }
+        });
+        client.on('error', function (err) {
+            errors.push(err.message);
+        });
+        client.get('foo', function (err, res) {
+            assert.strictEqual(err, null);
+            assert.strictEqual(res, 'bar');
+            client.hget('foo', 'bar', function (err) {
+                assert.strictEqual(err.code, 'WRONGTYPE');
+                setImmediate(function () {
+                    // The end hook of the ready check and of HGET
+                    assert.deepStrictEqual(errors, ['end failed', 'start failed', 'end failed']);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('warns about the errors of the tracing hooks without an error listener', function (done) {
+        client = redis.createClient({
+            port: port,
+            tracing: function () {
+                throw new Error('start failed');
+            }
+        });
+        var warnings = [];
+        client.on('warning', function (msg) {
+            warnings.push(msg);
+        });
+        client.once('ready', function () {
+            setImmediate(function () {
+                assert.deepStrictEqual(warnings, ['The tracing hook failed for INFO: start failed']);
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+var assert = require('assert');
+var keyPrefix = require('../lib/keyPrefix');
+
+describe('keyPrefix', function () {
+
+    describe('prefix_arguments', function () {
+        function prefix (command, args, full) {
+            keyPrefix.prefix_arguments(command, args, 'ns:', full);
+            return args;
+        }
+
+        it('only prefixes keys without the full option', function () {
+            assert.deepStrictEqual(prefix('mset', ['a', '1', 'b', '2']), ['ns:a', '1', 'ns:b', '2']);
+            assert.deepStrictEqual(prefix('keys', ['*']), ['*']);
+            assert.deepStrictEqual(prefix('publish', ['channel', 'message']), ['channel', 'message']);
+            assert.deepStrictEqual(prefix('eval', ['script', '1', 'key', 'arg']), ['script', '1', 'ns:key', 'arg']);
+        });
+
+        it('does not prefix the nosort argument of sort', function () {
+            assert.deepStrictEqual(prefix('sort', ['list', 'BY', 'nosort', 'GET', 'obj_*']), ['ns:list', 'BY', 'nosort', 'GET', 'ns:obj_*']);
+            assert.deepStrictEqual(prefix('sort', ['list', 'by', 'weight_*', 'GET', '#']), ['ns:list', 'by', 'ns:weight_*', 'GET', '#']);
+        });
+
+        it('prefixes patterns with the full option', function () {
+            assert.deepStrictEqual(prefix('keys', ['*'], true), ['ns:*']);
+            assert.deepStrictEqual(prefix('scan', ['0', 'COUNT', '10', 'MATCH', 'a*'], true), ['0', 'COUNT', '10', 'MATCH', 'ns:a*']);
+            assert.deepStrictEqual(prefix('scan', ['0'], true), ['0', 'MATCH', 'ns:*']);
+        });
+
+        it('prefixes channels with the full option', function () {
+            assert.deepStrictEqual(prefix('publish', ['channel', 'message'], true), ['ns:channel', 'message']);
+            assert.deepStrictEqual(prefix('subscribe', ['a', 'b'], true), ['ns:a', 'ns:b']);
+            assert.deepStrictEqual(prefix('punsubscribe', ['a*'], true), ['ns:a*']);
+            assert.deepStrictEqual(prefix('pubsub', ['numsub', 'a', 'b'], true), ['numsub', 'ns:a', 'ns:b']);
+            assert.deepStrictEqual(prefix('pubsub', ['numpat'], true), ['numpat']);
+        });
+
+        it('prefixes the keys of scripts unknown to redis-commands with the full option', function () {
+            assert.deepStrictEqual(prefix('fcall', ['fn', '2', 'a', 'b', 'arg'], true), ['fn', '2', 'ns:a', 'ns:b', 'arg']);
+        });
+
+        it('prefixes the keys of commands unknown to redis-commands', function () {
+            assert.deepStrictEqual(prefix('getex', ['key', 'EX', 10]), ['ns:key', 'EX', 10]);
+            assert.deepStrictEqual(prefix('lpos', ['list', 'a', 'RANK', 2]), ['ns:list', 'a', 'RANK', 2]);
+            assert.deepStrictEqual(prefix('geosearch', ['Sicily', 'FROMMEMBER', 'Palermo', 'BYRADIUS', 200, 'km']), ['ns:Sicily', 'FROMMEMBER', 'Palermo', 'BYRADIUS', 200, 'km']);
+            assert.deepStrictEqual(prefix('zmscore', ['scores', 'a', 'b']), ['ns:scores', 'a', 'b']);
+            assert.deepStrictEqual(prefix('zmscore', ['scores', 'a'], true), ['ns:scores', 'a']);
+            assert.deepStrictEqual(prefix('lmove', ['src', 'dst', 'LEFT', 'RIGHT']), ['ns:src', 'ns:dst', 'LEFT', 'RIGHT']);
+            assert.deepStrictEqual(prefix('blmove', ['src', 'dst', 'LEFT', 'RIGHT', 0]), ['ns:src', 'ns:dst', 'LEFT', 'RIGHT', 0]);
+            assert.deepStrictEqual(prefix('copy', ['src', 'dst', 'DB', 1, 'REPLACE']), ['ns:src', 'ns:dst', 'DB', 1, 'REPLACE']);
+            assert.deepStrictEqual(prefix('zunion', [2, 'a', 'b', 'WITHSCORES']), [2, 'ns:a', 'ns:b', 'WITHSCORES']);
+            assert.deepStrictEqual(prefix('zdiffstore', ['dst', 2, 'a', 'b']), ['ns:dst', 2, 'ns:a', 'ns:b']);
+            assert.deepStrictEqual(prefix('blmpop', [0, 2, 'a', 'b', 'LEFT']), [0, 2, 'ns:a', 'ns:b', 'LEFT']);
+        });
+
+        it('passes other commands unknown to redis-commands through', function () {
+            assert.deepStrictEqual(prefix('hello', ['3', 'AUTH', 'default', 'secret']), ['3', 'AUTH', 'default', 'secret']);
+            assert.deepStrictEqual(prefix('acl', ['whoami']), ['whoami']);
+            assert.deepStrictEqual(prefix('module.command', ['key', 'arg']), ['key', 'arg']);
+            assert.deepStrictEqual(prefix('module.command', []), []);
+            assert.deepStrictEqual(prefix('auth', ['user', 'secret']), ['user', 'secret']);
+            assert.deepStrictEqual(prefix('client', ['setname', 'worker']), ['setname', 'worker']);
+            assert.deepStrictEqual(prefix('hello', ['3', 'SETNAME', 'worker'], true), ['3', 'SETNAME', 'worker']);
+        });
+    });
+
+    describe('strip_reply', function () {
+        it('removes the prefix from key names', function () {
+            assert.deepStrictEqual(keyPrefix.strip_reply('keys', ['ns:a', 'ns:b'], 'ns:'), ['a', 'b']);
+            assert.deepStrictEqual(keyPrefix.strip_reply('scan', ['5', ['ns:a']], 'ns:'), ['5', ['a']]);
+            assert.strictEqual(keyPrefix.strip_reply('randomkey', 'ns:a', 'ns:'), 'a');
+            assert.strictEqual(keyPrefix.strip_reply('randomkey', null, 'ns:'), null);
+            assert.deepStrictEqual(keyPrefix.strip_reply('keys', [Buffer.from('ns:a')], 'ns:'), [Buffer.from('a')]);
+        });
+
+        it('does not change other replies', function () {
+            assert.strictEqual(keyPrefix.strip_reply('get', 'ns:a', 'ns:'), 'ns:a');
+            assert.strictEqual(keyPrefix.strip_prefix('other:a', 'ns:'), 'other:a');
+        });
+    });
+});
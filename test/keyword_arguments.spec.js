@@ -0,0 +1,160 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The options object of commands with keyword arguments', function () {
+    var server;
+    var client;
+    var port;
+    var received;
+
+    function record (args) {
+        received.push(args);
+        return 'OK';
+    }
+
+    before(function (done) {
+        var replies = { info: '' };
+        ['set', 'getex', 'zadd', 'zrange', 'scan', 'xadd', 'xreadgroup', 'geosearch', 'sort', 'lpos', 'restore', 'migrate', 'client', 'multi'].forEach(function (command) {
+            replies[command] = record;
+        });
+        replies.exec = function (args) {
+            record(args);
+            return ['OK', 'OK'];
+        };
+        server = fakeRedis.start(replies, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    beforeEach(function (done) {
+        received = [];
+        client = redis.createClient({ port: port });
+        client.once('ready', done);
+    });
+
+    afterEach(function () {
+        client.end(true);
+    });
+
+    it('are serialized in the order Redis expects', function () {
+        var input = ['key', 'value', { ex: 10, NX: true, GET: false }];
+        return Promise.all([
+            client.set(input),
+            client.set('key', 'value', { KEEPTTL: true, XX: true }),
+            client.getex('key', { PERSIST: true }),
+            client.zadd('scores', 1, 'a', 2, 'b', { CH: true, GT: true }),
+            client.zrange('scores', 0, 10, { WITHSCORES: true, LIMIT: { offset: 0, count: 5 }, BYSCORE: true }),
+            client.scan(0, { COUNT: 100, MATCH: 'user:*' }),
+            client.xadd('events', '*', 'name', 'a', { MAXLEN: { threshold: 1000, approximate: true, LIMIT: 10 }, NOMKSTREAM: true }),
+            client.xadd('events', '*', 'name', 'a', { MINID: '1-0' }),
+            client.xreadgroup('GROUP', 'workers', 'worker-1', 'STREAMS', 'events', '>', { BLOCK: 0, COUNT: 10 }),
+            client.geosearch('Sicily', { WITHDIST: true, BYRADIUS: [200, 'km'], FROMLONLAT: { longitude: 15, latitude: 37 }, ASC: true, COUNT: 3 }),
+            client.sort('list', { GET: ['#', 'weight_*'], ALPHA: true, LIMIT: [0, 10], BY: 'weight_*' }),
+            client.lpos('list', 'a', { RANK: -1, MAXLEN: 100 }),
+            client.restore('key', 0, 'payload', { REPLACE: true, IDLETIME: 10 }),
+            client.migrate('127.0.0.1', 6380, '', 0, 5000, { KEYS: ['a', 'b'], AUTH2: ['user', 'pass'], COPY: true }),
+            client.client('KILL', { SKIPME: false, TYPE: 'pubsub' })
+        ]).then(function () {
+            assert.deepStrictEqual(received, [
+                ['key', 'value', 'NX', 'EX', '10'],
+                ['key', 'value', 'XX', 'KEEPTTL'],
+                ['key', 'PERSIST'],
+                ['scores', 'GT', 'CH', '1', 'a', '2', 'b'],
+                ['scores', '0', '10', 'BYSCORE', 'LIMIT', '0', '5', 'WITHSCORES'],
+                ['0', 'MATCH', 'user:*', 'COUNT', '100'],
+                ['events', 'NOMKSTREAM', 'MAXLEN', '~', '1000', 'LIMIT', '10', '*', 'name', 'a'],
+                ['events', 'MINID', '1-0', '*', 'name', 'a'],
+                ['GROUP', 'workers', 'worker-1', 'COUNT', '10', 'BLOCK', '0', 'STREAMS', 'events', '>'],
+                ['Sicily', 'FROMLONLAT', '15', '37', 'BYRADIUS', '200', 'km', 'ASC', 'COUNT', '3', 'WITHDIST'],
+                ['list', 'BY', 'weight_*', 'LIMIT', '0', '10', 'GET', '#', 'GET', 'weight_*', 'ALPHA'],
+                ['list', 'a', 'RANK', '-1', 'MAXLEN', '100'],
+                ['key', '0', 'payload', 'REPLACE', 'IDLETIME', '10'],
+                ['127.0.0.1', '6380', '', '0', '5000', 'COPY', 'AUTH2', 'user', 'pass', 'KEYS', 'a', 'b'],
+                ['KILL', 'TYPE', 'pubsub', 'SKIPME', 'no']
+            ]);
+            // The passed array is not manipulated
+            assert.strictEqual(input.length, 3);
+        });
+    });
+
+    it('keep the positional arguments working', function (done) {
+        client.set('key', 'value', 'EX', 10, 'NX');
+        client.zadd(['scores', 'NX', 1, 'a']);
+        client.scan('0', 'MATCH', 'user:*', function (err) {
+            assert.strictEqual(err, null);
+            assert.deepStrictEqual(received, [
+                ['key', 'value', 'EX', '10', 'NX'],
+                ['scores', 'NX', '1', 'a'],
+                ['0', 'MATCH', 'user:*']
+            ]);
+            done();
+        });
+    });
+
+    it('are applied to the commands of a transaction', function () {
+        return client.multi().set('key', 'value', { PX: 100 }).client('KILL', { ID: 5 }).exec().then(function () {
+            assert.deepStrictEqual(received, [
+                [],
+                ['key', 'value', 'PX', '100'],
+                ['KILL', 'ID', '5'],
+                []
+            ]);
+        });
+    });
+
+    it('work together with the prefix option', function () {
+        var prefixed = redis.createClient({ port: port, prefix: 'ns:' });
+        return Promise.all([
+            prefixed.getex('key', { EX: 10 }),
+            prefixed.lpos('list', 'a', { RANK: 2 }),
+            prefixed.geosearch('Sicily', { FROMMEMBER: 'Palermo', BYRADIUS: [200, 'km'] })
+        ]).then(function () {
+            prefixed.end(true);
+            assert.deepStrictEqual(received, [
+                ['ns:key', 'EX', '10'],
+                ['ns:list', 'a', 'RANK', '2'],
+                ['ns:Sicily', 'FROMMEMBER', 'Palermo', 'BYRADIUS', '200', 'km']
+            ]);
+        });
+    });
+
+    it('are validated', function () {
+        function rejected (message) {
+            return function (err) {
+                assert(err instanceof TypeError);
+                assert.strictEqual(err.message, message);
+                return err;
+            };
+        }
+        return Promise.all([
+            client.set('key', 'value', { EXPIRE: 10 }).then(assert.fail, rejected('Unknown option "EXPIRE" for SET')),
+            client.set('key', 'value', { EX: 10, PX: 100 }).then(assert.fail, rejected('The options EX and PX of SET can not be combined')),
+            client.set('key', 'value', { NX: 'yes' }).then(assert.fail, rejected('The NX option of SET has to be a boolean')),
+            client.zrange('scores', 0, 10, { LIMIT: { offset: 0 } }).then(assert.fail, rejected('The LIMIT option of ZRANGE has to be an array or an object of offset, count'))
+        ]).then(function (errors) {
+            assert.strictEqual(errors[0].command, 'SET');
+            assert.deepStrictEqual(errors[0].args, ['key', 'value', { EXPIRE: 10 }]);
+            assert.deepStrictEqual(received, []);
+        });
+    });
+
+    it('discard the transaction if an option is invalid', function (done) {
+        client.multi().set('key', 'value').xadd('events', '*', 'name', 'a', { MAXLEN: {} }, function (err) {
+            assert(err instanceof TypeError);
+        }).exec(function (err) {
+            assert.strictEqual(err.code, 'EXECABORT');
+            assert.strictEqual(err.errors[0].command, 'XADD');
+            assert.strictEqual(err.errors[0].position, 1);
+            assert.deepStrictEqual(received, []);
+            done();
+        });
+    });
+});
@@ -0,0 +1,140 @@
+'use strict';
+
+var net = require('net');
+var redis = require('../../index');
+
+// Minimal RESP server that answers the commands used by the client with canned replies
+function encode (reply) {
+    if (reply === null) {
+        return '$-1\r\n';
+    }
+    if (reply instanceof Error) {
+        return '-' + reply.message + '\r\n';
+    }
+    if (Array.isArray(reply)) {
+        return '*' + reply.length + '\r\n' + reply.map(encode).join('');
+    }
+    if (typeof reply === 'number' || Object.prototype.toString.call(reply) === '[object BigInt]') {
+        return ':' + reply + '\r\n';
+    }
+    return '$' + Buffer.byteLength(reply) + '\r\n' + reply + '\r\n';
+}
+
+function fakeServer (replies, callback) {
+    var server = net.createServer(function (socket) {
+        server.sockets.push(socket);
+        // Redis disables Nagle's algorithm as well. Otherwise pipelined replies are delayed
+        socket.setNoDelay(true);
+        // The client may close the connection before all replies are written
+        socket.on('error', function () {});
+        socket.on('data', function (data) {
+            // The client always sends multi bulk commands. Only the command name and the arguments are of interest
+            var lines = data.toString().split('\r\n');
+            var i = 0;
+            while (i < lines.length && lines[i][0] === '*') {
+                var len = +lines[i].slice(1);
+                var args = [];
+                for (var j = 0; j < len; j++) {
+                    args.push(lines[i + 2 + j * 2]);
+                }
+                i += 1 + len * 2;
+                var reply = replies[args[0].toLowerCase()];
+                if (typeof reply === 'function') {
+                    reply = reply(args.slice(1), socket);
+                }
+                if (reply !== undefined) {
+                    socket.write(encode(reply));
+                }
+            }
+        });
+    });
+    server.sockets = [];
+    server.listen(0, '127.0.0.1', function () {
+        callback(server.address().port);
+    });
+    return server;
+}
+
+function closeServer (server) {
+    server.sockets.forEach(function (socket) {
+        socket.destroy();
+    });
+    server.close();
+}
+
+// Adds MULTI and EXEC to the replies. The replies of the other commands are queued while a transaction is open
+function transactions (replies) {
+    var queued = {
+        multi: function (args, socket) {
+            socket.transaction = [];
+            return 'OK';
+        },
+        exec: function (args, socket) {
+            var res = socket.transaction;
+            socket.transaction = null;
+            return res;
+        }
+    };
+    Object.keys(replies).forEach(function (command) {
+        var reply = replies[command];
+        queued[command] = function (args, socket) {
+            var res = typeof reply === 'function' ? reply(args, socket) : reply;
+            if (socket.transaction) {
+                socket.transaction.push(res);
+                return 'QUEUED';
+            }
+            return res;
+        };
+    });
+    return queued;
+}
+
+// Starts a fake server for the tests of the surrounding describe block and stops it afterwards.
+// fake.createClient(options, done) connects a client with the default options to it and calls done
+// as soon as the client is ready. The last created client is ended after each test
+function setup (replies, default_options) {
+    var fake = {
+        server: null,
+        port: 0,
+        client: null
+    };
+
+    before(function (done) {
+        fake.server = fakeServer(replies, function (port) {
+            fake.port = port;
+            done();
+        });
+    });
+
+    after(function () {
+        closeServer(fake.server);
+    });
+
+    afterEach(function () {
+        if (fake.client !== null) {
+            fake.client.end(true);
+            fake.client = null;
+        }
+    });
+
+    fake.createClient = function (options, done) {
+        var client = redis.createClient(Object.assign({ port: fake.port }, default_options, options));
+        fake.client = client;
+        if (done) {
+            client.once('ready', function () {
+                done();
+            });
+        }
+        return client;
+    };
+
+    return fake;
+}
+
+module.exports = {
+    encode: encode,
+    start: fakeServer,
+    stop: closeServer,
+    transactions: transactions,
+    setup: setup
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The metrics', function () {
+    var client;
+
+    var fake = fakeRedis.setup({
+        info: '',
+        get: 'bar',
+        hget: new Error('WRONGTYPE Operation against a key holding the wrong kind of value'),
+        // Never answers
+        blpop: undefined
+    });
+
+    function createClient (options, done) {
+        client = fake.createClient(options, done);
+    }
+
+    it('are not collected by default', function (done) {
+        createClient({}, function () {
+            assert.strictEqual(client.metrics(), null);
+            done();
+        });
+    });
+
+    it('count the commands by outcome and measure their latency', function (done) {
+        createClient({ metrics: true, command_timeout: 50 }, function () {
+            client.get('foo');
+            client.hget('foo', 'bar', function () {});
+            client.blpop('list', 0, function (err) {
+                assert.strictEqual(err.code, 'NR_TIMEOUT');
+                var metrics = client.metrics();
+                assert.deepStrictEqual(metrics.commands, {
+                    info: { success: 1 },
+                    get: { success: 1 },
+                    hget: { error: 1 },
+                    blpop: { timeout: 1 }
+                });
+                var latency = metrics.latency.blpop;
+                assert.strictEqual(latency.count, 1);
+                assert(latency.sum >= 0.045, latency.sum);
+                // 0.025, 0.1 and +Inf
+                assert.strictEqual(latency.buckets.length, 13);
+                assert.strictEqual(latency.buckets[3], 0);
+                assert.strictEqual(latency.buckets[5], 1);
+                assert.strictEqual(latency.buckets[12], 1);
+                assert(metrics.bytes_written > 0);
+                assert(metrics.bytes_read > 0);
+                done();
+            });
+        });
+    });
+
+    it('count the reconnects and the aborted commands', function (done) {
+        createClient({ metrics: true }, function () {
+            client.once('reconnecting', function () {
+                client.get('foo', function (err) {
+                    assert.strictEqual(err.code, 'NR_CLOSED');
+                    var metrics = client.metrics();
+                    assert.strictEqual(metrics.reconnects, 1);
+                    assert.strictEqual(metrics.aborted, 1);
+                    done();
+                });
+                // The stream is recreated right after the event
+                process.nextTick(function () {
+                    client.end(true);
+                });
+            });
+            client.stream.destroy();
+        });
+    });
+
+    it('are aggregated for all clients and serialized for Prometheus', function (done) {
+        var before = redis.metrics();
+        var other = redis.createClient({ port: fake.port, metrics: true });
+        createClient({ metrics: true }, function () {
+            other.get('foo', function () {
+                client.get('foo', function () {
+                    other.end(true);
+                    var metrics = redis.metrics();
+                    assert.strictEqual(metrics.commands.get.success - (before.commands.get ? before.commands.get.success : 0), 2);
+
+                    var text = redis.toPrometheus();
+                    assert.strictEqual(text, redis.to_prometheus(redis.metrics()));
+                    assert(text.indexOf('# TYPE redis_commands_total counter\n') !== -1);
+                    assert(text.indexOf('redis_commands_total{command="get",outcome="success"} ' + metrics.commands.get.success + '\n') !== -1);
+                    assert(text.indexOf('# TYPE redis_command_duration_seconds histogram\n') !== -1);
+                    assert(/\nredis_command_duration_seconds_bucket\{command="get",le="\+Inf"\} \d+\n/.test(text));
+                    assert(text.indexOf('redis_command_duration_seconds_count{command="get"} ' + metrics.latency.get.count + '\n') !== -1);
+                    assert(text.indexOf('redis_reconnects_total ' + metrics.reconnects + '\n') !== -1);
+                    assert(/\nredis_read_bytes_total \d+\n$/.test(text));
+
+                    var bounds = text.split('\n').filter(function (line) {
+                        return line.indexOf('redis_command_duration_seconds_bucket{command="get"') === 0;
+                    }).map(function (line) {
+                        return /le="([^"]+)"/.exec(line)[1];
+                    });
+                    assert.deepStrictEqual(bounds, ['0.001', '0.005', '0.01', '0.025', '0.05', '0.1', '0.25', '0.5', '1', '2.5', '5', '10', '+Inf']);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+var assert = require('assert');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The middleware', function () {
+    var client;
+    var received;
+    var failures;
+
+    var fake = fakeRedis.setup(fakeRedis.transactions({
+        info: '',
+        get: function (args) {
+            received.push(args[0]);
+            if (args[0] === 'flaky' && failures-- > 0) {
+                return new Error('ERR try again');
+            }
+            return args[0] === 'foo' ? 'bar' : null;
+        }
+    }));
+
+    beforeEach(function (done) {
+        received = [];
+        failures = 0;
+        client = fake.createClient({}, done);
+    });
+
+    it('has to be a function', function () {
+        assert.throws(function () {
+            client.use('log');
+        }, TypeError);
+        assert.strictEqual(client.use(function () {}), client);
+    });
+
+    it('receives the command before it is sent and the reply afterwards', function (done) {
+        var log = [];
+        client.end(true);
+        client = fake.createClient({});
+        client.use(function (command, next, done) {
+            log.push(command.command + ' ' + command.args.join(' '));
+            next(function (err, res) {
+                log.push(res);
+                done(err, res);
+            });
+        });
+        client.get('foo', function (err, res) {
+            assert.strictEqual(res, 'bar');
+            // The commands that set up the connection are not passed to the middleware
+            assert.deepStrictEqual(log, ['get foo', 'bar']);
+            done(err);
+        });
+    });
+
+    it('passes the command through the middleware in the order it was added', function () {
+        client.use(function (command, next, done) {
+            command.args[0] = 'foo';
+            next(function (err, res) {
+                done(err, res && res.toUpperCase());
+            });
+        });
+        client.use(function (command, next) {
+            assert.deepStrictEqual(command.args, ['foo']);
+            next();
+        });
+        return client.get('renamed').then(function (res) {
+            assert.strictEqual(res, 'BAR');
+            assert.deepStrictEqual(received, ['foo']);
+        });
+    });
+
+    it('answers the command without sending it', function () {
+        client.use(function (command, next, done) {
+            if (command.args[0] === 'cached') {
+                done(null, 'hit');
+            } else {
+                next();
+            }
+        });
+        return Promise.all([client.get('cached'), client.get('foo')]).then(function (res) {
+            assert.deepStrictEqual(res, ['hit', 'bar']);
+            assert.deepStrictEqual(received, ['foo']);
+        });
+    });
+
+    it('retries the command', function () {
+        failures = 2;
+        client.use(function (command, next, done) {
+            var attempts = 0;
+            var retry = function (err, res) {
+                if (err && attempts++ < 3) {
+                    next(retry);
+                } else {
+                    done(err, res);
+                }
+            };
+            next(retry);
+        });
+        return client.get('flaky').then(function (res) {
+            assert.strictEqual(res, null);
+            assert.deepStrictEqual(received, ['flaky', 'flaky', 'flaky']);
+        });
+    });
+
+    it('passes the commands of a batch', function (done) {
+        client.use(function (command, next, done) {
+            if (command.args[0] === 'cached') {
+                done(null, 'hit');
+            } else {
+                next();
+            }
+        });
+        client.batch().get('foo').get('cached', function (err, res) {
+            assert.strictEqual(res, 'hit');
+        }).get('flaky').exec(function (err, res) {
+            assert.deepStrictEqual(res, ['bar', 'hit', null]);
+            assert.deepStrictEqual(received, ['foo', 'flaky']);
+            done(err);
+        });
+    });
+
+    it('passes the commands of a transaction and leaves the answered commands out', function () {
+        failures = 1;
+        client.use(function (command, next, done) {
+            if (command.args[0] === 'cached') {
+                setTimeout(done, 5, null, 'hit');
+            } else {
+                next(function (err, res) {
+                    done(err, res && res.toUpperCase());
+                });
+            }
+        });
+        return client.multi().get('flaky').get('cached').get('foo').exec().then(function (res) {
+            assert.strictEqual(res[0].code, 'ERR');
+            assert.strictEqual(res[0].command, 'GET');
+            assert.deepStrictEqual(res.slice(1), ['hit', 'BAR']);
+            assert.deepStrictEqual(received, ['flaky', 'foo']);
+        });
+    });
+});
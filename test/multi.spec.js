@@ -135,14 +135,13 @@ describe("The 'multi' method", function () {
                     it('results in a execabort', function (done) {
                         // Check that transactions in combination with monitor result in an error
                         client.monitor(function (e) {
-                            client.on('error', function (err) {
+                            var multi = client.multi();
+                            multi.set('hello', 'world');
+                            multi.exec().catch(function (err) {
                                 assert.strictEqual(err.code, 'EXECABORT');
                                 client.end(false);
                                 done();
                             });
-                            var multi = client.multi();
-                            multi.set('hello', 'world');
-                            multi.exec();
                         });
                     });
 
@@ -249,7 +248,10 @@ describe("The 'multi' method", function () {
                         }
                     });
 
-                    client.multi([['set', 'foo', 'bar'], ['get', 'foo']]).exec();
+                    client.multi([['set', 'foo', 'bar'], ['get', 'foo']]).exec().catch(function (err) {
+                        // The rejection is not emitted as well
+                        assert(err instanceof redis.AbortError);
+                    });
                 });
             });
 
@@ -587,14 +589,13 @@ describe("The 'multi' method", function () {
                     });
                 });
 
-                it('emits an error if no callback has been provided and execabort error occured', function (done) {
+                it('rejects the promise if no callback has been provided and execabort error occured', function (done) {
                     var multi = client.multi();
                     multi.config('bar');
                     multi.set('foo');
-                    multi.exec();
-
-                    client.on('error', function (err) {
+                    multi.exec().catch(function (err) {
                         assert.equal(err.code, 'EXECABORT');
+                        assert.strictEqual(err.errors.length, 2);
                         done();
                     });
                 });
@@ -665,19 +666,17 @@ describe("The 'multi' method", function () {
                     });
                 });
 
-                it('emits error once if reconnecting after multi has been executed but not yet returned without callback', function (done) {
+                it('rejects once if reconnecting after multi has been executed but not yet returned without callback', function (done) {
                     // NOTE: If uncork is called async by postponing it to the next tick, this behavior is going to change.
                     // The command won't be processed anymore two errors are returned instead of one
-                    client.on('error', function (err) {
+                    // The commands should still be fired, no matter that the socket is destroyed on the same tick
+                    client.multi().set('foo', 'bar').get('foo').exec().catch(function (err) {
                         assert.strictEqual(err.code, 'UNCERTAIN_STATE');
                         client.get('foo', function (err, res) {
                             assert.strictEqual(res, 'bar');
                             done();
                         });
                     });
-
-                    // The commands should still be fired, no matter that the socket is destroyed on the same tick
-                    client.multi().set('foo', 'bar').get('foo').exec();
                     // Abort connection before the value returned
                     client.stream.destroy();
                 });
@@ -0,0 +1,117 @@
+'use strict';
+
+var assert = require('assert');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The number reply options', function () {
+    var client;
+
+    // The fake server encodes numbers as integer replies
+    var fake = fakeRedis.setup(fakeRedis.transactions({
+        info: '',
+        incrby: function (args) {
+            return args[1] === '1' ? 42 : BigInt('9007199254740993');
+        },
+        pfcount: BigInt('-9007199254740993'),
+        zscore: '1.5',
+        zmscore: ['2', null, '-inf'],
+        zadd: function (args) {
+            return args.indexOf('INCR') === -1 ? 1 : '3.25';
+        },
+        incrbyfloat: '10.5',
+        hincrbyfloat: '0.1',
+        geodist: function (args) {
+            return args[1] === 'Atlantis' ? null : '166274.1516';
+        },
+        get: '1.5'
+    }));
+
+    function createClient (options, done) {
+        client = fake.createClient(options, done);
+    }
+
+    it('lose the precision of big integers by default', function (done) {
+        createClient({}, function () {
+            client.incrby('counter', BigInt('9007199254740993'), function (err, res) {
+                assert.strictEqual(err, null);
+                assert.strictEqual(res, 9007199254740992);
+                done();
+            });
+        });
+    });
+
+    it('return integers outside of the safe range as BigInt with bigint_replies', function () {
+        return new Promise(function (resolve) {
+            createClient({ bigint_replies: true }, resolve);
+        }).then(function () {
+            return Promise.all([
+                client.incrby('counter', 1),
+                client.incrby('counter', BigInt('9007199254740992')),
+                client.pfcount('visitors'),
+                client.multi().incrby('counter', 1).incrby('counter', 2).exec()
+            ]);
+        }).then(function (res) {
+            assert.deepStrictEqual(res, [
+                42,
+                BigInt('9007199254740993'),
+                BigInt('-9007199254740993'),
+                [42, BigInt('9007199254740993')]
+            ]);
+        });
+    });
+
+    it('warn that bigint_replies replaces the parser option', function (done) {
+        var warned = false;
+        createClient({ bigint_replies: true, parser: 'hiredis' }, function () {
+            assert(warned);
+            done();
+        });
+        client.once('warning', function (msg) {
+            assert.strictEqual(msg, 'WARNING: The hiredis parser can not be used together with bigint_replies. The built-in RESP3 parser is used instead.');
+            warned = true;
+        });
+    });
+
+    it('return the replies of float commands as strings by default', function (done) {
+        createClient({}, function () {
+            client.zscore('scores', 'a', function (err, res) {
+                assert.strictEqual(err, null);
+                assert.strictEqual(res, '1.5');
+                done();
+            });
+        });
+    });
+
+    it('convert the replies of float commands to numbers with parse_numbers', function () {
+        return new Promise(function (resolve) {
+            createClient({ parseNumbers: true }, resolve);
+        }).then(function () {
+            return Promise.all([
+                client.zscore('scores', 'a'),
+                client.zmscore('scores', 'a', 'b', 'c'),
+                client.zadd('scores', 1, 'a'),
+                client.zadd('scores', 1, 'a', { INCR: true }),
+                client.incrbyfloat('float', 0.5),
+                client.hincrbyfloat('hash', 'field', 0.1),
+                client.geodist('Sicily', 'Palermo', 'Catania'),
+                client.geodist('Sicily', 'Atlantis', 'Catania'),
+                client.get('float')
+            ]);
+        }).then(function (res) {
+            assert.deepStrictEqual(res, [1.5, [2, null, -Infinity], 1, 3.25, 10.5, 0.1, 166274.1516, null, '1.5']);
+        });
+    });
+
+    it('convert the float replies of multi and batch', function () {
+        return new Promise(function (resolve) {
+            createClient({ parse_numbers: true }, resolve);
+        }).then(function () {
+            return Promise.all([
+                client.multi().zscore('scores', 'a').get('float').exec(),
+                client.batch().incrbyfloat('float', 1).get('float').exec()
+            ]);
+        }).then(function (res) {
+            assert.deepStrictEqual(res, [[1.5, '1.5'], [10.5, '1.5']]);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The bounded offline queue', function () {
+    var server;
+    var client;
+    var port;
+    // Delays the ready check, so the commands stay in the offline queue meanwhile
+    var ready_delay;
+
+    before(function (done) {
+        server = fakeRedis.start({
+            info: function (args, socket) {
+                if (ready_delay === 0) {
+                    return '';
+                }
+                setTimeout(function () {
+                    socket.write(fakeRedis.encode(''));
+                }, ready_delay);
+            },
+            get: function (args) {
+                return args[0];
+            }
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    beforeEach(function () {
+        ready_delay = 0;
+    });
+
+    afterEach(function () {
+        client.end(true);
+    });
+
+    // The commands are queued until the client is ready
+    function createClient (options) {
+        client = redis.createClient(Object.assign({ port: port }, options));
+        return client;
+    }
+
+    function wait (ms) {
+        return new Promise(function (resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    function rejected (code) {
+        return function (err) {
+            assert(err instanceof redis.AbortError);
+            assert.strictEqual(err.code, code);
+            assert.strictEqual(err.command, 'GET');
+            return err.args[0];
+        };
+    }
+
+    it('validates the options', function (done) {
+        assert.throws(function () {
+            redis.createClient({ port: port, offline_queue_max_length: -1 });
+        }, RangeError);
+        assert.throws(function () {
+            redis.createClient({ port: port, offline_queue_policy: 'drop-newest' });
+        }, TypeError);
+        createClient({}).once('ready', done);
+    });
+
+    it('rejects new commands while the queue is full', function () {
+        var full = 0;
+        createClient({ offline_queue_max_length: 2 });
+        client.on('offline_queue_full', function () {
+            full++;
+        });
+        return Promise.all([
+            client.get('a'),
+            client.get('b'),
+            client.get('c').then(assert.fail, rejected('NR_OFFLINE_QUEUE_FULL')),
+            client.get('d').then(assert.fail, function (err) {
+                assert.strictEqual(err.message, "GET can't be processed. The offline queue is full.");
+                return 'd';
+            })
+        ]).then(function (res) {
+            assert.deepStrictEqual(res, ['a', 'b', 'c', 'd']);
+            assert.strictEqual(full, 1);
+            assert.strictEqual(client.offline_queue_shedding, false);
+        });
+    });
+
+    it('drops the oldest commands with the drop-oldest policy', function () {
+        createClient({ offline_queue_max_length: 2, offline_queue_policy: 'drop-oldest' });
+        return Promise.all([
+            client.get('a').then(assert.fail, rejected('NR_OFFLINE_QUEUE_FULL')),
+            client.get('b'),
+            client.get('c')
+        ]).then(function (res) {
+            assert.deepStrictEqual(res, ['a', 'b', 'c']);
+        });
+    });
+
+    it('drops the expired commands with the drop-expired policy', function () {
+        ready_delay = 200;
+        createClient({ offline_queue_max_length: 2, offline_queue_max_age: 100, offline_queue_policy: 'drop-expired' });
+        var a = client.get('a').then(assert.fail, rejected('NR_OFFLINE_QUEUE_EXPIRED'));
+        var b = client.get('b').then(assert.fail, rejected('NR_OFFLINE_QUEUE_EXPIRED'));
+        return wait(150).then(function () {
+            assert.strictEqual(client.ready, false);
+            var c = client.get('c');
+            var d = client.get('d');
+            // Nothing expired since
+            var e = client.get('e').then(assert.fail, rejected('NR_OFFLINE_QUEUE_FULL'));
+            return Promise.all([a, b, c, d, e]);
+        }).then(function (res) {
+            assert.deepStrictEqual(res, ['a', 'b', 'c', 'd', 'e']);
+        });
+    });
+
+    it('does not send expired commands after connecting', function () {
+        ready_delay = 200;
+        createClient({ offline_queue_max_age: 100 });
+        var a = client.get('a').then(assert.fail, function (err) {
+            assert.strictEqual(err.message, 'GET waited longer than 100 ms in the offline queue.');
+            return rejected('NR_OFFLINE_QUEUE_EXPIRED')(err);
+        });
+        return wait(150).then(function () {
+            assert.strictEqual(client.ready, false);
+            return Promise.all([a, client.get('b')]);
+        }).then(function (res) {
+            assert.deepStrictEqual(res, ['a', 'b']);
+        });
+    });
+
+    it('rejects the commands as soon as they expired while the client is disconnected', function () {
+        createClient({
+            port: 65535,
+            offline_queue_max_age: 50,
+            retry_strategy: function () {
+                return 1000;
+            }
+        });
+        client.on('error', function () {});
+        var start = Date.now();
+        var a = client.get('a').then(assert.fail, rejected('NR_OFFLINE_QUEUE_EXPIRED'));
+        return wait(30).then(function () {
+            var b = client.get('b').then(assert.fail, rejected('NR_OFFLINE_QUEUE_EXPIRED'));
+            return Promise.all([a, b]);
+        }).then(function (res) {
+            assert.deepStrictEqual(res, ['a', 'b']);
+            assert(Date.now() - start < 200);
+            assert.strictEqual(client.ready, false);
+            assert.strictEqual(client.offline_queue_timer, null);
+        });
+    });
+});
@@ -0,0 +1,282 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The connection pool', function () {
+    var server;
+    var port;
+    var pool;
+    var ping_delay = 0;
+
+    before(function (done) {
+        server = fakeRedis.start({
+            info: '',
+            ping: function (args, socket) {
+                if (ping_delay === 0) {
+                    return 'PONG';
+                }
+                setTimeout(function () {
+                    socket.write(fakeRedis.encode('PONG'));
+                }, ping_delay);
+            },
+            select: 'OK',
+            unwatch: function (args, socket) {
+                socket.watching = false;
+                return 'OK';
+            },
+            watch: function (args, socket) {
+                socket.watching = true;
+                return 'OK';
+            },
+            client: function (args, socket) {
+                if (args[0] === 'getname') {
+                    return socket.name || null;
+                }
+                if (args[0] === 'setname') {
+                    socket.name = args[1];
+                }
+                return 'OK';
+            },
+            get: function (args, socket) {
+                if (socket.watching) {
+                    return 'watching';
+                }
+                return 'value:' + args[0];
+            }
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    afterEach(function () {
+        ping_delay = 0;
+        if (pool) {
+            pool.end(true);
+            pool = null;
+        }
+    });
+
+    it('throws on invalid sizes', function () {
+        assert.throws(function () {
+            redis.createPool({ max: 0 });
+        }, RangeError);
+        assert.throws(function () {
+            redis.createPool({ min: 3, max: 2 });
+        }, RangeError);
+    });
+
+    it('creates the minimum amount of clients', function (done) {
+        pool = redis.createPool(port, { min: 2, max: 4 });
+        var created = 0;
+        pool.on('create', function () {
+            created++;
+            if (created === 2) {
+                assert.strictEqual(pool.size, 2);
+                done();
+            }
+        });
+    });
+
+    it('acquires and releases clients', function () {
+        pool = redis.createPool({ port: port, max: 2 });
+        return pool.acquire().then(function (client) {
+            assert(client instanceof redis.RedisClient);
+            assert.strictEqual(pool.borrowed, 1);
+            pool.release(client);
+            assert.strictEqual(pool.available, 1);
+            return pool.acquire().then(function (again) {
+                // The idle client is reused
+                assert.strictEqual(again, client);
+                pool.release(again);
+            });
+        });
+    });
+
+    it('passes the client options to each client', function () {
+        pool = redis.createPool({ port: port, db: 2, renameCommands: { get: 'get' } });
+        return pool.acquire().then(function (client) {
+            assert.strictEqual(client.selected_db, 2);
+            assert.strictEqual(client.options.port, port);
+            assert.deepEqual(client.options.rename_commands, { get: 'get' });
+            pool.release(client);
+        });
+    });
+
+    it('waits for a released client if the maximum is reached', function (done) {
+        pool = redis.createPool({ port: port, max: 1 });
+        pool.acquire(function (err, client) {
+            assert.strictEqual(err, null);
+            pool.acquire(function (err, second) {
+                assert.strictEqual(err, null);
+                assert.strictEqual(second, client);
+                done();
+            });
+            assert.strictEqual(pool.pending, 1);
+            assert.strictEqual(pool.size, 1);
+            setTimeout(function () {
+                pool.release(client);
+            }, 10);
+        });
+    });
+
+    it('rejects acquire calls after the acquire_timeout', function () {
+        pool = redis.createPool({ port: port, max: 1, acquireTimeout: 20 });
+        return pool.acquire().then(function () {
+            return pool.acquire();
+        }).then(function () {
+            throw new Error('failed');
+        }, function (err) {
+            assert(err instanceof redis.AbortError);
+            assert.strictEqual(err.code, 'NR_POOL_TIMEOUT');
+            assert.strictEqual(pool.pending, 0);
+        });
+    });
+
+    it('calls back only once if the acquire_timeout passes during the health check', function (done) {
+        pool = redis.createPool({ port: port, max: 1, acquireTimeout: 20 });
+        pool.acquire(function (err, client) {
+            assert.strictEqual(err, null);
+            pool.release(client);
+            ping_delay = 40;
+            var calls = 0;
+            pool.acquire(function (err) {
+                calls++;
+                assert.strictEqual(err.code, 'NR_POOL_TIMEOUT');
+            });
+            setTimeout(function () {
+                assert.strictEqual(calls, 1);
+                // The checked client is returned to the pool instead of leaking
+                assert.strictEqual(pool.available, 1);
+                assert.strictEqual(pool.borrowed, 0);
+                ping_delay = 0;
+                pool.acquire(function (err, again) {
+                    assert.strictEqual(again, client);
+                    done(err);
+                });
+            }, 80);
+        });
+    });
+
+    it('use releases the client after the promise resolved', function () {
+        pool = redis.createPool({ port: port });
+        return pool.use(function (client) {
+            assert.strictEqual(pool.borrowed, 1);
+            return client.get('foo');
+        }).then(function (res) {
+            assert.strictEqual(res, 'value:foo');
+            assert.strictEqual(pool.borrowed, 0);
+            assert.strictEqual(pool.available, 1);
+        });
+    });
+
+    it('use releases the client after the promise rejected', function () {
+        pool = redis.createPool({ port: port });
+        return pool.use(function (client) {
+            throw new Error('failed in use');
+        }).then(function () {
+            throw new Error('failed');
+        }, function (err) {
+            assert.strictEqual(err.message, 'failed in use');
+            assert.strictEqual(pool.borrowed, 0);
+            assert.strictEqual(pool.available, 1);
+        });
+    });
+
+    it('use accepts a callback', function (done) {
+        pool = redis.createPool({ port: port });
+        pool.use(function (client) {
+            return client.get('bar');
+        }, function (err, res) {
+            assert.strictEqual(err, null);
+            assert.strictEqual(res, 'value:bar');
+            done();
+        });
+    });
+
+    it('restores the db of released clients', function () {
+        pool = redis.createPool({ port: port, db: 1 });
+        return pool.use(function (client) {
+            return new Promise(function (resolve, reject) {
+                client.select(3, function (err) {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve();
+                });
+            });
+        }).then(function () {
+            var client = pool.idle[0].client;
+            assert.strictEqual(client.selected_db, 3);
+            return new Promise(function (resolve) {
+                client.ping(resolve);
+            }).then(function () {
+                assert.strictEqual(client.selected_db, 1);
+            });
+        });
+    });
+
+    it('resets the watched keys and the name of released clients', function () {
+        pool = redis.createPool({ port: port, max: 1, client_name: 'pooled' });
+        return pool.use(function (client) {
+            return Promise.all([client.watch('foo'), client.client('setname', 'borrower')]);
+        }).then(function () {
+            return pool.use(function (client) {
+                return Promise.all([client.get('foo'), client.client('getname')]);
+            });
+        }).then(function (res) {
+            assert.deepStrictEqual(res, ['value:foo', 'pooled']);
+        });
+    });
+
+    it('closes released clients whose replies are switched off', function () {
+        pool = redis.createPool({ port: port });
+        var destroyed = null;
+        pool.on('destroy', function (client) {
+            destroyed = client;
+        });
+        return pool.acquire().then(function (client) {
+            client.client('reply', 'off');
+            pool.release(client);
+            assert.strictEqual(destroyed, client);
+            assert.strictEqual(pool.size, 0);
+        });
+    });
+
+    it('evicts idle clients', function (done) {
+        pool = redis.createPool({ port: port, min: 1, idleTimeout: 10, evictionInterval: 20 });
+        pool.acquire(function (err, first) {
+            pool.acquire(function (err, second) {
+                pool.release(first);
+                pool.release(second);
+                assert.strictEqual(pool.size, 2);
+                pool.on('destroy', function () {
+                    assert.strictEqual(pool.size, 1);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('rejects waiting and new acquire calls after quit', function (done) {
+        pool = redis.createPool({ port: port, max: 1 });
+        pool.acquire(function (err, client) {
+            pool.acquire(function (err) {
+                assert.strictEqual(err.code, 'NR_CLOSED');
+                pool.acquire(function (err) {
+                    assert.strictEqual(err.code, 'NR_CLOSED');
+                    pool.release(client);
+                    assert.strictEqual(pool.size, 0);
+                    done();
+                });
+            });
+            pool.quit();
+        });
+    });
+});
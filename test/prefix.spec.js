@@ -115,5 +115,97 @@ describe('prefix key names', function () {
             });
 
         });
+
+        describe('using ' + parser + ' and ' + ip + ' with the full_prefix option', function () {
+            var client = null;
+            var unprefixed = null;
+
+            beforeEach(function (done) {
+                unprefixed = redis.createClient({
+                    parser: parser
+                });
+                client = redis.createClient({
+                    parser: parser,
+                    prefix: 'test:prefix:',
+                    fullPrefix: true
+                });
+                client.on('ready', function () {
+                    unprefixed.flushdb(function (err) {
+                        unprefixed.set('other', 'value');
+                        done(err);
+                    });
+                });
+            });
+
+            afterEach(function () {
+                client.end(true);
+                unprefixed.end(true);
+            });
+
+            it('prefixes the keys pattern and strips the prefix from the reply', function (done) {
+                client.mset('key', 'value', 'key2', 'value2');
+                client.keys('key*', function (err, res) {
+                    assert.deepStrictEqual(res.sort(), ['key', 'key2']);
+                });
+                client.randomkey(function (err, res) {
+                    assert.strictEqual(res.slice(0, 3), 'key');
+                });
+                client.scan(0, 'COUNT', 100, function (err, res) {
+                    assert.strictEqual(res[0], '0');
+                    assert.deepStrictEqual(res[1].sort(), ['key', 'key2']);
+                });
+                client.multi().keys('*').exec(function (err, res) {
+                    assert.deepStrictEqual(res[0].sort(), ['key', 'key2']);
+                    unprefixed.keys('*', function (err, res) {
+                        assert.deepStrictEqual(res.sort(), ['other', 'test:prefix:key', 'test:prefix:key2']);
+                        done(err);
+                    });
+                });
+            });
+
+            it('prefixes the keys of scripts and sort patterns', function (done) {
+                client.eval('return redis.call("set", KEYS[1], ARGV[1])', 1, 'key', 'value');
+                client.rpush('list', 2, 1);
+                client.mset('weight_1', 2, 'weight_2', 1);
+                client.sort('list', 'BY', 'weight_*', function (err, res) {
+                    assert.deepStrictEqual(res, ['2', '1']);
+                });
+                client.sort('list', 'BY', 'nosort', function (err, res) {
+                    assert.deepStrictEqual(res, ['2', '1']);
+                });
+                unprefixed.get('test:prefix:key', function (err, res) {
+                    assert.strictEqual(res, 'value');
+                    done(err);
+                });
+            });
+
+            it('prefixes channels and strips the prefix from pub sub events', function (done) {
+                var sub = redis.createClient({
+                    parser: parser,
+                    prefix: 'test:prefix:',
+                    full_prefix: true
+                });
+                sub.psubscribe('chan*', function (err, pattern) {
+                    assert.strictEqual(pattern, 'chan*');
+                    sub.subscribe('channel');
+                });
+                sub.on('subscribe', function (channel) {
+                    assert.strictEqual(channel, 'channel');
+                    unprefixed.publish('channel', 'not namespaced');
+                    client.publish('channel', 'message');
+                });
+                sub.on('message', function (channel, message) {
+                    assert.strictEqual(channel, 'channel');
+                    assert.strictEqual(message, 'message');
+                });
+                sub.on('pmessage', function (pattern, channel, message) {
+                    assert.strictEqual(pattern, 'chan*');
+                    assert.strictEqual(channel, 'channel');
+                    assert.strictEqual(message, 'message');
+                    sub.end(true);
+                    done();
+                });
+            });
+        });
     });
 });
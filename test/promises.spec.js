@@ -0,0 +1,142 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The promises of the individual commands', function () {
+    var server;
+    var client;
+    var port;
+
+    function queue (reply) {
+        return function (args, socket) {
+            if (socket.queued) {
+                socket.queued.push(reply);
+                return 'QUEUED';
+            }
+            return reply;
+        };
+    }
+
+    before(function (done) {
+        server = fakeRedis.start({
+            info: 'redis_version:6.0.1\r\ndb0:keys=1,expires=0\r\n',
+            ping: 'PONG',
+            select: function (args, socket) {
+                if (+args[0] > 15) {
+                    // Redis discards a transaction if a command could not be queued
+                    socket.discarded = !!socket.queued;
+                    return new Error('ERR DB index is out of range');
+                }
+                return 'OK';
+            },
+            auth: 'OK',
+            quit: 'OK',
+            client: 'id=1 addr=127.0.0.1:1234',
+            get: queue('bar'),
+            set: queue('OK'),
+            incr: queue(new Error('ERR value is not an integer or out of range')),
+            multi: function (args, socket) {
+                socket.queued = [];
+                return 'OK';
+            },
+            exec: function (args, socket) {
+                var replies = socket.queued;
+                socket.queued = null;
+                if (socket.discarded) {
+                    socket.discarded = false;
+                    return new Error('EXECABORT Transaction discarded because of previous errors.');
+                }
+                return replies;
+            }
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    beforeEach(function () {
+        client = redis.createClient({ port: port });
+    });
+
+    afterEach(function () {
+        client.end(true);
+    });
+
+    it('resolves select and stores the selected db', function () {
+        return client.select(2).then(function (res) {
+            assert.strictEqual(res, 'OK');
+            assert.strictEqual(client.selected_db, 2);
+            return client.select(99);
+        }).then(assert.fail, function (err) {
+            assert.strictEqual(err.command, 'SELECT');
+            assert.strictEqual(client.selected_db, 2);
+        });
+    });
+
+    it('resolves info and parses the server info', function () {
+        return client.info('server').then(function (res) {
+            assert.strictEqual(typeof res, 'string');
+            assert.deepStrictEqual(client.server_info.versions, [6, 0, 1]);
+            assert.deepStrictEqual(client.server_info.db0, { keys: 1, expires: 0 });
+        });
+    });
+
+    it('resolves auth', function () {
+        return client.auth('secret').then(function (res) {
+            assert.strictEqual(res, 'OK');
+        });
+    });
+
+    it('resolves client', function () {
+        return client.client('list').then(function (res) {
+            assert.strictEqual(res, 'id=1 addr=127.0.0.1:1234');
+        });
+    });
+
+    it('resolves quit', function () {
+        return client.quit().then(function (res) {
+            assert.strictEqual(res, 'OK');
+        });
+    });
+
+    it('resolves the replies of a transaction', function () {
+        return client.multi().set('foo', 'bar').get('foo').exec().then(function (res) {
+            assert.deepStrictEqual(res, ['OK', 'bar']);
+            return client.multi().get('foo').exec_atomic();
+        }).then(function (res) {
+            assert.deepStrictEqual(res, ['bar']);
+        });
+    });
+
+    it('rejects a failed transaction with the errors of the queued commands', function () {
+        return client.multi().set('foo', 'bar').select(99).exec().then(assert.fail, function (err) {
+            assert.strictEqual(err.code, 'EXECABORT');
+            assert.strictEqual(err.errors.length, 1);
+            assert.strictEqual(err.errors[0].position, 1);
+            assert.strictEqual(err.errors[0].command, 'SELECT');
+        });
+    });
+
+    it('resolves the results of a batch including the errors', function () {
+        return client.batch().set('foo', 'bar').incr('foo').get('foo').exec().then(function (res) {
+            assert.strictEqual(res.length, 3);
+            assert.strictEqual(res[0], 'OK');
+            assert.strictEqual(res[1].position, 1);
+            assert.strictEqual(res[1].command, 'INCR');
+            assert.strictEqual(res[2], 'bar');
+        });
+    });
+
+    it('returns the backpressure indicator if a callback is passed', function (done) {
+        assert.strictEqual(typeof client.select(1, function () {}), 'boolean');
+        assert.strictEqual(typeof client.batch().get('foo').exec(function (err) {
+            done(err);
+        }), 'boolean');
+    });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The reply transformers', function () {
+    var client;
+
+    var fake = fakeRedis.setup(fakeRedis.transactions({
+        info: '',
+        xrange: [['1-0', ['name', 'a', 'count', '1']], ['2-0', ['name', 'b']]],
+        xread: [['events', [['1-0', ['name', 'a']]]]],
+        xinfo: [['name', 'workers', 'consumers', 1, 'pending', 0, 'last-delivered-id', '1-0']],
+        zrange: function (args) {
+            return args.length > 3 ? ['a', '1.5', 'b', 'inf'] : ['a', 'b'];
+        },
+        config: ['maxmemory', '0', 'maxmemory-policy', 'noeviction'],
+        client: function (args) {
+            if (args[0] === 'LIST') {
+                return 'id=1 addr=127.0.0.1:50001 name= db=0\nid=2 addr=127.0.0.1:50002 name=worker db=1\n';
+            }
+            return 'id=3 addr=127.0.0.1:50003 name=me db=0\n';
+        },
+        slowlog: [[7, 1700000000, 1200, ['keys', '*'], '127.0.0.1:50001', 'worker']],
+        command: [['get', 2, ['readonly', 'fast'], 1, 1, 1], null],
+        georadius: [['Palermo', '190.4424', ['13.361389', '38.115556']]],
+        'nr.run': ['a', 'b', 'c']
+    }));
+
+    function createClient (options, done) {
+        client = fake.createClient(options, done);
+    }
+
+    it('are not applied by default', function (done) {
+        createClient({}, function () {
+            client.config('get', 'maxmemory*', function (err, res) {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(res, ['maxmemory', '0', 'maxmemory-policy', 'noeviction']);
+                done();
+            });
+        });
+    });
+
+    it('convert the stream replies into entries', function (done) {
+        createClient({ transform_replies: true }, function () {
+            client.xrange('events', '-', '+', function (err, res) {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(res, [
+                    { id: '1-0', fields: { name: 'a', count: '1' } },
+                    { id: '2-0', fields: { name: 'b' } }
+                ]);
+            });
+            client.xread('STREAMS', 'events', '0', function (err, res) {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(res, { events: [{ id: '1-0', fields: { name: 'a' } }] });
+            });
+            client.xinfo('GROUPS', 'events', function (err, res) {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(res, [{ name: 'workers', consumers: 1, pending: 0, 'last-delivered-id': '1-0' }]);
+                done();
+            });
+        });
+    });
+
+    it('convert the sorted set, geo, config, client, slowlog and command replies', function () {
+        return new Promise(function (resolve) {
+            createClient({ transformReplies: true }, resolve);
+        }).then(function () {
+            return Promise.all([
+                client.zrange('scores', 0, -1, 'WITHSCORES'),
+                client.zrange('scores', 0, -1),
+                client.georadius('Sicily', 15, 37, 200, 'km', 'WITHDIST', 'WITHCOORD'),
+                client.config('GET', 'maxmemory*'),
+                client.client('LIST'),
+                client.client('INFO'),
+                client.slowlog('GET', 1),
+                client.command('INFO', 'get', 'unknown')
+            ]);
+        }).then(function (res) {
+            assert.deepStrictEqual(res[0], [['a', 1.5], ['b', Infinity]]);
+            assert.deepStrictEqual(res[1], ['a', 'b']);
+            assert.deepStrictEqual(res[2], [{ member: 'Palermo', distance: 190.4424, coordinates: { longitude: 13.361389, latitude: 38.115556 } }]);
+            assert.deepStrictEqual(res[3], { maxmemory: '0', 'maxmemory-policy': 'noeviction' });
+            assert.deepStrictEqual(res[4], [
+                { id: '1', addr: '127.0.0.1:50001', name: '', db: '0' },
+                { id: '2', addr: '127.0.0.1:50002', name: 'worker', db: '1' }
+            ]);
+            assert.deepStrictEqual(res[5], { id: '3', addr: '127.0.0.1:50003', name: 'me', db: '0' });
+            assert.deepStrictEqual(res[6], [{
+                id: 7,
+                timestamp: 1700000000,
+                duration: 1200,
+                args: ['keys', '*'],
+                client_address: '127.0.0.1:50001',
+                client_name: 'worker'
+            }]);
+            assert.deepStrictEqual(res[7], [
+                { name: 'get', arity: 2, flags: ['readonly', 'fast'], first_key: 1, last_key: 1, step: 1 },
+                null
+            ]);
+        });
+    });
+
+    it('are applied to the replies of a transaction', function (done) {
+        createClient({ transform_replies: true }, function () {
+            client.multi().config('GET', 'maxmemory*').zrange('scores', 0, -1, 'WITHSCORES', function (err, res) {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(res, [['a', 1.5], ['b', Infinity]]);
+            }).exec(function (err, res) {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(res, [
+                    { maxmemory: '0', 'maxmemory-policy': 'noeviction' },
+                    [['a', 1.5], ['b', Infinity]]
+                ]);
+                done();
+            });
+        });
+    });
+
+    it('can be registered for module commands', function (done) {
+        assert.throws(function () {
+            redis.add_reply_transformer('nr.run');
+        }, TypeError);
+        redis.add_command('nr.run');
+        redis.addReplyTransformer('NR.RUN', function (reply, args) {
+            return { args: args, length: reply.length };
+        });
+        createClient({ transform_replies: true }, function () {
+            client.nr_run('job', function (err, res) {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(res, { args: ['job'], length: 3 });
+                done();
+            });
+        });
+    });
+});
@@ -0,0 +1,246 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var Resp3Parser = require('../lib/resp3');
+var fakeRedis = require('./lib/fake-redis');
+
+function createParser (options) {
+    var parser = new Resp3Parser(Object.assign({
+        returnReply: function (reply) {
+            parser.replies.push(reply);
+        },
+        returnError: function (err) {
+            parser.errors.push(err);
+        },
+        returnFatalError: function (err) {
+            parser.fatal.push(err);
+        },
+        returnPush: function (reply) {
+            parser.pushes.push(reply);
+        }
+    }, options));
+    parser.replies = [];
+    parser.errors = [];
+    parser.fatal = [];
+    parser.pushes = [];
+    return parser;
+}
+
+describe('The RESP3 support', function () {
+
+    describe('parser', function () {
+
+        it('parses the RESP2 types', function () {
+            var parser = createParser();
+            parser.execute(Buffer.from('+OK\r\n:123\r\n$3\r\nfoo\r\n$-1\r\n*2\r\n$1\r\na\r\n:1\r\n*-1\r\n-ERR failed\r\n'));
+            assert.deepEqual(parser.replies, ['OK', 123, 'foo', null, ['a', 1], null]);
+            assert.strictEqual(parser.errors.length, 1);
+            assert.strictEqual(parser.errors[0].name, 'ReplyError');
+            assert.strictEqual(parser.errors[0].message, 'ERR failed');
+        });
+
+        it('parses the RESP3 types into native types', function () {
+            var parser = createParser();
+            parser.execute(Buffer.from(
+                '%2\r\n+a\r\n:1\r\n$1\r\nb\r\n~2\r\n+x\r\n+y\r\n' +
+                '~1\r\n:5\r\n' +
+                '_\r\n' +
+                ',3.14\r\n,inf\r\n,-inf\r\n' +
+                '#t\r\n#f\r\n' +
+                '(3492890328409238509324850943850943825024385\r\n' +
+                '=15\r\ntxt:Some string\r\n' +
+                '|1\r\n+key-popularity\r\n%1\r\n$1\r\na\r\n,0.19\r\n:42\r\n'
+            ));
+            assert.deepEqual(parser.replies.slice(0, 3), [{ a: 1, b: ['x', 'y'] }, [5], null]);
+            assert.deepEqual(parser.replies.slice(3), [
+                3.14, Infinity, -Infinity, true, false,
+                BigInt('3492890328409238509324850943850943825024385'),
+                'Some string',
+                42
+            ]);
+        });
+
+        it('parses blob errors and push frames', function () {
+            var parser = createParser();
+            parser.execute(Buffer.from('!21\r\nSYNTAX invalid syntax\r\n>3\r\n+message\r\n+channel\r\n+hello\r\n'));
+            assert.strictEqual(parser.errors[0].message, 'SYNTAX invalid syntax');
+            assert.deepEqual(parser.pushes, [['message', 'channel', 'hello']]);
+            assert.strictEqual(parser.replies.length, 0);
+        });
+
+        it('handles replies split into multiple chunks', function () {
+            var parser = createParser();
+            var data = Buffer.from('*3\r\n%1\r\n+a\r\n$5\r\nhello\r\n,1.5\r\n$6\r\nfoobar\r\n+OK\r\n');
+            for (var i = 0; i < data.length; i++) {
+                parser.execute(data.slice(i, i + 1));
+            }
+            assert.deepEqual(parser.replies, [[{ a: 'hello' }, 1.5, 'foobar'], 'OK']);
+        });
+
+        it('keeps the parse state of nested aggregates and blobs across chunks', function () {
+            var parser = createParser({ returnBuffers: true });
+            var value = Buffer.alloc(100000, 'a');
+            var data = Buffer.concat([
+                Buffer.from('*2\r\n*2\r\n|1\r\n+ttl\r\n:3\r\n:7\r\n$100000\r\n'),
+                value,
+                Buffer.from('\r\n%0\r\n*0\r\n>2\r\n$7\r\nmessage\r\n=7\r\ntxt:abc\r\n')
+            ]);
+            for (var i = 0; i < data.length; i += 1000) {
+                parser.execute(data.slice(i, i + 1000));
+                // Only the incomplete line is kept. The chunks of the blob are collected instead
+                assert(parser.buffer === null || parser.buffer.length < 1000);
+            }
+            assert.strictEqual(parser.replies.length, 2);
+            assert.deepStrictEqual(parser.replies[0], [[7, value], {}]);
+            assert.deepStrictEqual(parser.replies[1], []);
+            assert.deepStrictEqual(parser.pushes, [[Buffer.from('message'), Buffer.from('abc')]]);
+        });
+
+        it('returns buffers and string numbers if requested', function () {
+            var parser = createParser({ returnBuffers: true, stringNumbers: true });
+            parser.execute(Buffer.from('%1\r\n$1\r\na\r\n$1\r\nb\r\n:10\r\n,1.5\r\n(12345678901234567890\r\n'));
+            assert.deepEqual(Object.keys(parser.replies[0]), ['a']);
+            assert(Buffer.isBuffer(parser.replies[0].a));
+            assert.deepEqual(parser.replies.slice(1), ['10', '1.5', '12345678901234567890']);
+        });
+
+        it('returns integers outside of the safe range as BigInt if requested', function () {
+            var parser = createParser({ bigInts: true });
+            parser.execute(Buffer.from(':9007199254740991\r\n:9007199254740992\r\n:-18446744073709551616\r\n'));
+            assert.deepStrictEqual(parser.replies, [9007199254740991, BigInt('9007199254740992'), BigInt('-18446744073709551616')]);
+        });
+
+        it('returns a fatal error on unknown types', function () {
+            var parser = createParser();
+            parser.execute(Buffer.from('+OK\r\n?foo\r\n'));
+            assert.deepEqual(parser.replies, ['OK']);
+            assert.strictEqual(parser.fatal.length, 1);
+            assert.strictEqual(parser.fatal[0].name, 'ParserError');
+        });
+    });
+
+    describe('client', function () {
+        var server;
+        var client;
+
+        afterEach(function () {
+            if (client) {
+                client.end(true);
+                client = null;
+            }
+            if (server) {
+                fakeRedis.stop(server);
+                server = null;
+            }
+        });
+
+        it('throws on an invalid protocol', function () {
+            assert.throws(function () {
+                redis.createClient({ protocol: 4 });
+            }, /protocol option/);
+        });
+
+        it('sends HELLO including AUTH and SETNAME', function (done) {
+            server = fakeRedis.start({
+                hello: function (args, socket) {
+                    assert.deepEqual(args, ['3', 'AUTH', 'default', 'secret', 'SETNAME', 'worker']);
+                    socket.write('%2\r\n+server\r\n+redis\r\n+proto\r\n:3\r\n');
+                },
+                auth: function () {
+                    throw new Error('AUTH should be part of HELLO');
+                },
+                info: '',
+                hgetall: function (args, socket) {
+                    socket.write('%2\r\n+a\r\n$1\r\n1\r\n+b\r\n$1\r\n2\r\n');
+                }
+            }, function (port) {
+                client = redis.createClient({ port: port, protocol: 3, password: 'secret', clientName: 'worker' });
+                client.hgetall('hash', function (err, res) {
+                    assert.strictEqual(err, null);
+                    assert.strictEqual(client.protocol, 3);
+                    assert.deepEqual(res, { a: '1', b: '2' });
+                    done();
+                });
+            });
+        });
+
+        it('emits pub sub messages from push frames while running commands', function (done) {
+            server = fakeRedis.start({
+                hello: function (args, socket) {
+                    socket.write('%1\r\n+proto\r\n:3\r\n');
+                },
+                info: '',
+                subscribe: function (args, socket) {
+                    socket.write('>3\r\n+subscribe\r\n+news\r\n:1\r\n>3\r\n+message\r\n+news\r\n+hello\r\n');
+                },
+                get: 'bar'
+            }, function (port) {
+                client = redis.createClient({ port: port, protocol: 3 });
+                var messages = [];
+                client.on('message', function (channel, message) {
+                    messages.push([channel, message]);
+                });
+                client.subscribe('news', function (err, channel) {
+                    assert.strictEqual(channel, 'news');
+                });
+                client.get('foo', function (err, res) {
+                    assert.strictEqual(err, null);
+                    assert.strictEqual(res, 'bar');
+                    assert.deepEqual(messages, [['news', 'hello']]);
+                    assert.deepEqual(client.subscription_set, { subscribe_news: 'news' });
+                    done();
+                });
+            });
+        });
+
+        it('emits other push frames as push event', function (done) {
+            server = fakeRedis.start({
+                hello: function (args, socket) {
+                    socket.write('%1\r\n+proto\r\n:3\r\n');
+                },
+                info: '',
+                ping: function (args, socket) {
+                    socket.write('>2\r\n+tracking-redir-broken\r\n:7\r\n+PONG\r\n');
+                }
+            }, function (port) {
+                client = redis.createClient({ port: port, protocol: 3 });
+                client.on('push', function (type, data) {
+                    assert.strictEqual(type, 'tracking-redir-broken');
+                    assert.deepEqual(data, [7]);
+                    done();
+                });
+                client.ping();
+            });
+        });
+
+        it('falls back to RESP2 if the server does not know HELLO', function (done) {
+            var sent = [];
+            server = fakeRedis.start({
+                hello: new Error("ERR unknown command 'HELLO'"),
+                auth: function (args) {
+                    sent.push(['auth'].concat(args));
+                    return 'OK';
+                },
+                client: function (args) {
+                    sent.push(['client'].concat(args));
+                    return 'OK';
+                },
+                info: '',
+                hgetall: ['a', '1']
+            }, function (port) {
+                client = redis.createClient({ port: port, protocol: 3, password: 'secret', clientName: 'worker' });
+                client.on('warning', function (msg) {
+                    assert(/does not support RESP3/.test(msg));
+                });
+                client.hgetall('hash', function (err, res) {
+                    assert.strictEqual(err, null);
+                    assert.strictEqual(client.protocol, 2);
+                    assert.deepEqual(res, { a: '1' });
+                    assert.deepEqual(sent, [['auth', 'secret'], ['client', 'setname', 'worker']]);
+                    done();
+                });
+            });
+        });
+    });
+});
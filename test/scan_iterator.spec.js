@@ -0,0 +1,168 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The scan iterators', function () {
+    var server;
+    var client;
+    var port;
+    var received;
+
+    // Returns all remaining elements of the iterator
+    function collect (iterator, elements) {
+        elements = elements || [];
+        return iterator.next().then(function (result) {
+            if (result.done) {
+                return elements;
+            }
+            elements.push(result.value);
+            return collect(iterator, elements);
+        });
+    }
+
+    before(function (done) {
+        server = fakeRedis.start({
+            info: '',
+            // The second batch repeats one key of the first batch, as Redis might do
+            scan: function (args) {
+                received.push(args.join(' '));
+                var prefix = args[2] === 'p:*' ? 'p:' : '';
+                if (args[0] === '0') {
+                    return ['7', [prefix + 'a', prefix + 'b']];
+                }
+                if (args[0] === '7') {
+                    return ['3', []];
+                }
+                return ['0', [prefix + 'b', prefix + 'c']];
+            },
+            sscan: function (args) {
+                received.push(args.join(' '));
+                return ['0', ['one', 'two']];
+            },
+            hscan: function (args) {
+                received.push(args.join(' '));
+                if (args[1] === '0') {
+                    return ['1', ['field', 'value', 'other', 'value']];
+                }
+                return ['0', ['field', 'value']];
+            },
+            zscan: function (args) {
+                received.push(args.join(' '));
+                return ['0', ['member', '1.5']];
+            }
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    beforeEach(function (done) {
+        received = [];
+        client = redis.createClient({ port: port });
+        client.once('ready', function () {
+            done();
+        });
+    });
+
+    afterEach(function () {
+        client.end(true);
+    });
+
+    it('iterates over all keys until the cursor is 0', function () {
+        return collect(client.scanIterator()).then(function (keys) {
+            assert.deepStrictEqual(keys, ['a', 'b', 'b', 'c']);
+            assert.deepStrictEqual(received, ['0', '7', '3']);
+        });
+    });
+
+    it('passes the match, count and type options', function () {
+        return collect(client.scan_iterator({ match: 'a*', count: 100, type: 'string' })).then(function () {
+            assert.strictEqual(received[0], '0 match a* count 100 type string');
+        });
+    });
+
+    it('deduplicates the keys with the dedupe option', function () {
+        return collect(client.scanIterator({ dedupe: true })).then(function (keys) {
+            assert.deepStrictEqual(keys, ['a', 'b', 'c']);
+        });
+    });
+
+    it('respects the prefix option', function () {
+        client.end(true);
+        client = redis.createClient({ port: port, prefix: 'p:' });
+        return collect(client.scanIterator()).then(function (keys) {
+            assert.deepStrictEqual(keys, ['a', 'b', 'b', 'c']);
+            assert.strictEqual(received[0], '0 match p:*');
+        });
+    });
+
+    it('strips the prefix from buffer keys', function () {
+        client.end(true);
+        client = redis.createClient({ port: port, prefix: 'p:', return_buffers: true });
+        return collect(client.scanIterator({ dedupe: true })).then(function (keys) {
+            assert.deepStrictEqual(keys, [Buffer.from('a'), Buffer.from('b'), Buffer.from('c')]);
+        });
+    });
+
+    it('yields the members of a set', function () {
+        client.end(true);
+        client = redis.createClient({ port: port, prefix: 'p:' });
+        return collect(client.sscanIterator('set', { match: 't*' })).then(function (members) {
+            assert.deepStrictEqual(members, ['one', 'two']);
+            assert.deepStrictEqual(received, ['p:set 0 match t*']);
+        });
+    });
+
+    it('yields field value pairs of a hash', function () {
+        return collect(client.hscanIterator('hash', { dedupe: true })).then(function (pairs) {
+            assert.deepStrictEqual(pairs, [['field', 'value'], ['other', 'value']]);
+            assert.deepStrictEqual(received, ['hash 0', 'hash 1']);
+        });
+    });
+
+    it('yields member score pairs of a sorted set', function () {
+        return collect(client.zscanIterator('zset')).then(function (pairs) {
+            assert.deepStrictEqual(pairs, [['member', '1.5']]);
+        });
+    });
+
+    it('supports concurrent calls of next', function () {
+        var iterator = client.scanIterator();
+        return Promise.all([iterator.next(), iterator.next(), iterator.next()]).then(function (results) {
+            assert.deepStrictEqual(results.map(function (result) {
+                return result.value;
+            }), ['a', 'b', 'b']);
+            assert.deepStrictEqual(received, ['0', '7', '3']);
+        });
+    });
+
+    it('stops fetching after return is called', function () {
+        var iterator = client.scanIterator();
+        assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+        return iterator.next().then(function (result) {
+            assert.strictEqual(result.value, 'a');
+            return iterator.return();
+        }).then(function (result) {
+            assert.strictEqual(result.done, true);
+            return iterator.next();
+        }).then(function (result) {
+            assert.strictEqual(result.done, true);
+            assert.deepStrictEqual(received, ['0']);
+        });
+    });
+
+    it('rejects the type option for other commands than scan', function () {
+        assert.throws(function () {
+            client.hscanIterator('hash', { type: 'hash' });
+        }, TypeError);
+        assert.throws(function () {
+            client.scanIterator('*');
+        }, TypeError);
+    });
+});
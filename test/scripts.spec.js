@@ -0,0 +1,158 @@
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The script manager', function () {
+    var server;
+    var client;
+    var port;
+    var received;
+    var scripts;
+    var forget_scripts;
+
+    function sha1 (lua) {
+        return crypto.createHash('sha1').update(lua).digest('hex');
+    }
+
+    // The scripts return their arguments
+    function run (args, socket) {
+        var reply = args.slice(1);
+        if (socket.queued) {
+            socket.queued.push(reply);
+            return 'QUEUED';
+        }
+        return reply;
+    }
+
+    before(function (done) {
+        server = fakeRedis.start({
+            info: '',
+            ping: 'PONG',
+            script: function (args) {
+                received.push('script ' + args[0]);
+                if (!forget_scripts) {
+                    scripts[sha1(args[1])] = args[1];
+                }
+                return sha1(args[1]);
+            },
+            evalsha: function (args, socket) {
+                received.push('evalsha ' + args.join(' '));
+                if (!scripts[args[0]]) {
+                    return new Error('NOSCRIPT No matching script. Please use EVAL.');
+                }
+                return run(args, socket);
+            },
+            eval: function (args, socket) {
+                received.push('eval ' + args.slice(1).join(' '));
+                scripts[sha1(args[0])] = args[0];
+                return run(args, socket);
+            },
+            multi: function (args, socket) {
+                received.push('multi');
+                socket.queued = [];
+                return 'OK';
+            },
+            exec: function (args, socket) {
+                received.push('exec');
+                var replies = socket.queued;
+                socket.queued = null;
+                return replies;
+            }
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    beforeEach(function (done) {
+        received = [];
+        scripts = {};
+        forget_scripts = false;
+        client = redis.createClient({ port: port });
+        client.once('ready', function () {
+            done();
+        });
+    });
+
+    afterEach(function () {
+        client.end(true);
+    });
+
+    it('falls back to EVAL if the script is unknown', function () {
+        // Simulate a restart of Redis that lost the script
+        forget_scripts = true;
+        client.defineCommand('scriptFallback', { lua: 'return ARGV', numberOfKeys: 1 });
+        return client.scriptFallback('key', 'arg').then(function (res) {
+            assert.deepStrictEqual(res, ['1', 'key', 'arg']);
+            var sha = sha1('return ARGV');
+            assert.deepStrictEqual(received, ['script load', 'evalsha ' + sha + ' 1 key arg', 'eval 1 key arg']);
+        });
+    });
+
+    it('uses EVALSHA for known scripts', function (done) {
+        client.defineCommand('scriptLoaded', { lua: 'return KEYS', number_of_keys: 2 });
+        client.scriptLoaded('a', 'b', 'c', function (err, res) {
+            assert.deepStrictEqual(res, ['2', 'a', 'b', 'c']);
+            assert.deepStrictEqual(received, ['script load', 'evalsha ' + sha1('return KEYS') + ' 2 a b c']);
+            done(err);
+        });
+    });
+
+    it('passes the number of keys as first argument if numberOfKeys is not defined', function () {
+        client.defineCommand('scriptNumkeys', { lua: 'return 1' });
+        return client.scriptNumkeys(0, 'arg').then(function (res) {
+            assert.deepStrictEqual(res, ['0', 'arg']);
+        });
+    });
+
+    it('loads the defined scripts again on reconnect', function (done) {
+        client.defineCommand('scriptReconnect', { lua: 'return 2', numberOfKeys: 0 });
+        client.ping(function () {
+            received = [];
+            client.once('ready', function () {
+                client.ping(function (err) {
+                    assert.deepStrictEqual(received, ['script load']);
+                    done(err);
+                });
+            });
+            client.stream.destroy();
+        });
+    });
+
+    it('loads the scripts before a transaction starts', function (done) {
+        client.defineCommand('scriptMulti', { lua: 'return 3', numberOfKeys: 1 });
+        client.ping(function () {
+            received = [];
+            scripts = {};
+            client.multi().scriptMulti('key', function (err, res) {
+                assert.deepStrictEqual(res, ['1', 'key']);
+            }).exec(function (err, res) {
+                assert.deepStrictEqual(res, [['1', 'key']]);
+                assert.deepStrictEqual(received, ['script load', 'multi', 'evalsha ' + sha1('return 3') + ' 1 key', 'exec']);
+                done(err);
+            });
+        });
+    });
+
+    it('validates the definition', function () {
+        assert.throws(function () {
+            client.defineCommand('', { lua: 'return 1' });
+        }, TypeError);
+        assert.throws(function () {
+            client.defineCommand('scriptInvalid', {});
+        }, TypeError);
+        assert.throws(function () {
+            client.defineCommand('scriptInvalid', { lua: 'return 1', numberOfKeys: -1 });
+        }, TypeError);
+        assert.throws(function () {
+            client.defineCommand('get', { lua: 'return 1' });
+        }, /may not be overridden/);
+    });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+var encode = fakeRedis.encode;
+var fakeServer = fakeRedis.start;
+var closeServer = fakeRedis.stop;
+
+describe('The sentinel support', function () {
+    var servers = [];
+    var client;
+
+    afterEach(function () {
+        if (client) {
+            client.end(true);
+            client = null;
+        }
+        servers.forEach(closeServer);
+        servers = [];
+    });
+
+    it('throws on invalid options', function () {
+        assert.throws(function () {
+            redis.createClient({ sentinels: [], name: 'mymaster' });
+        }, /at least one sentinel/);
+        assert.throws(function () {
+            redis.createClient({ sentinels: [{ port: 26379 }] });
+        }, /name option is required/);
+        assert.throws(function () {
+            redis.createClient({ sentinels: [{ port: 26379 }], name: 'mymaster', role: 'replica' });
+        }, /role option/);
+    });
+
+    it('connects to the master returned by the first reachable sentinel', function (done) {
+        servers.push(fakeServer({
+            role: ['master', 0, []],
+            info: '',
+            get: 'bar'
+        }, function (masterPort) {
+            servers.push(fakeServer({
+                sentinel: function (args) {
+                    assert.deepEqual(args, ['get-master-addr-by-name', 'mymaster']);
+                    return ['127.0.0.1', '' + masterPort];
+                },
+                subscribe: ['subscribe', '+switch-master', 1],
+                info: ''
+            }, function (sentinelPort) {
+                client = redis.createClient({
+                    sentinels: [{ host: '127.0.0.1', port: 65535 }, { host: '127.0.0.1', port: sentinelPort }],
+                    name: 'mymaster'
+                });
+                client.get('foo', function (err, res) {
+                    assert.strictEqual(err, null);
+                    assert.strictEqual(res, 'bar');
+                    assert.strictEqual(client.address, '127.0.0.1:' + masterPort);
+                    // The sentinel that replied is asked first the next time
+                    assert.strictEqual(client.sentinel.sentinels[0].port, sentinelPort);
+                    done();
+                });
+            }));
+        }));
+    });
+
+    it('connects to a available replica with the slave role', function (done) {
+        servers.push(fakeServer({
+            role: ['slave', '127.0.0.1', 6379, 'connected', 0],
+            info: '',
+            get: 'replica'
+        }, function (replicaPort) {
+            servers.push(fakeServer({
+                sentinel: function (args) {
+                    assert.deepEqual(args, ['slaves', 'mymaster']);
+                    return [
+                        ['ip', '127.0.0.1', 'port', '1', 'flags', 'slave,s_down'],
+                        ['ip', '127.0.0.1', 'port', '' + replicaPort, 'flags', 'slave']
+                    ];
+                },
+                subscribe: ['subscribe', '+switch-master', 1],
+                info: ''
+            }, function (sentinelPort) {
+                client = redis.createClient({
+                    sentinels: [{ port: sentinelPort }],
+                    name: 'mymaster',
+                    role: 'slave'
+                });
+                client.get('foo', function (err, res) {
+                    assert.strictEqual(res, 'replica');
+                    assert.strictEqual(client.address, '127.0.0.1:' + replicaPort);
+                    done();
+                });
+            }));
+        }));
+    });
+
+    it('repoints the connection on +switch-master', function (done) {
+        servers.push(fakeServer({
+            role: ['master', 0, []],
+            info: ''
+        }, function (masterPort) {
+            servers.push(fakeServer({
+                sentinel: ['127.0.0.1', '' + masterPort],
+                subscribe: function (args, socket) {
+                    setTimeout(function () {
+                        socket.write(encode(['message', '+switch-master', 'mymaster 127.0.0.1 ' + masterPort + ' 127.0.0.1 65535']));
+                    }, 20);
+                    return ['subscribe', '+switch-master', 1];
+                },
+                info: ''
+            }, function (sentinelPort) {
+                client = redis.createClient({
+                    sentinels: [{ port: sentinelPort }],
+                    name: 'mymaster',
+                    retry_strategy: function () {
+                        return 10000;
+                    }
+                });
+                client.once('failover', function (master) {
+                    assert.deepEqual(master, { name: 'mymaster', host: '127.0.0.1', port: 65535 });
+                    assert.strictEqual(client.connection_options.port, 65535);
+                    client.once('end', function () {
+                        done();
+                    });
+                });
+            }));
+        }));
+    });
+
+    it('emits an error if no sentinel knows the master', function (done) {
+        servers.push(fakeServer({
+            sentinel: null
+        }, function (sentinelPort) {
+            client = redis.createClient({
+                sentinels: [{ port: sentinelPort }],
+                name: 'unknown'
+            });
+            client.once('error', function (err) {
+                assert.strictEqual(err.code, 'NR_SENTINEL');
+                done();
+            });
+        }));
+    });
+});
@@ -0,0 +1,315 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The stream consumer', function () {
+    var server;
+    var client;
+    var consumer;
+    var port;
+    var streams;
+    var groups;
+    var seq;
+    // The amount of XGROUP calls that fail
+    var group_failures;
+
+    function seqOf (id) {
+        return parseInt(id, 10);
+    }
+
+    function entry (stream, id) {
+        var found = streams[stream].filter(function (entry) {
+            return entry[0] === id;
+        })[0];
+        return [id, found ? found[1] : null];
+    }
+
+    // A minimal in memory implementation of the stream commands used by the consumer
+    before(function (done) {
+        server = fakeRedis.start({
+            info: '',
+            xadd: function (args) {
+                var id = ++seq + '-0';
+                streams[args[0]] = streams[args[0]] || [];
+                streams[args[0]].push([id, args.slice(2)]);
+                return id;
+            },
+            xgroup: function (args) {
+                if (group_failures > 0) {
+                    group_failures--;
+                    return new Error('LOADING Redis is loading the dataset in memory');
+                }
+                var key = args[1] + ':' + args[2];
+                if (groups[key]) {
+                    return new Error('BUSYGROUP Consumer Group name already exists');
+                }
+                streams[args[1]] = streams[args[1]] || [];
+                groups[key] = { last: args[3] === '$' ? seq : seqOf(args[3]), pending: {} };
+                return 'OK';
+            },
+            xreadgroup: function (args, socket) {
+                var stream = args[args.length - 2];
+                var group = groups[stream + ':' + args[1]];
+                var from = args[args.length - 1];
+                var count = +args[4];
+                if (!group) {
+                    return new Error('NOGROUP No such key or consumer group');
+                }
+                var entries;
+                if (from === '>') {
+                    entries = streams[stream].filter(function (entry) {
+                        return seqOf(entry[0]) > group.last;
+                    }).slice(0, count);
+                    entries.forEach(function (entry) {
+                        group.last = seqOf(entry[0]);
+                        group.pending[entry[0]] = { consumer: args[2], delivered: Date.now(), count: 1 };
+                    });
+                } else {
+                    entries = Object.keys(group.pending).filter(function (id) {
+                        return group.pending[id].consumer === args[2] && seqOf(id) > seqOf(from);
+                    }).slice(0, count).map(function (id) {
+                        return entry(stream, id);
+                    });
+                }
+                if (entries.length !== 0) {
+                    return [[stream, entries]];
+                }
+                if (args[5] !== 'BLOCK') {
+                    return [[stream, []]];
+                }
+                setTimeout(function () {
+                    if (!socket.destroyed) {
+                        socket.write(fakeRedis.encode(null));
+                    }
+                }, +args[6]);
+            },
+            xack: function (args) {
+                var group = groups[args[0] + ':' + args[1]];
+                var acked = 0;
+                args.slice(2).forEach(function (id) {
+                    if (group.pending[id]) {
+                        delete group.pending[id];
+                        acked++;
+                    }
+                });
+                return acked;
+            },
+            xpending: function (args) {
+                var group = groups[args[0] + ':' + args[1]];
+                return Object.keys(group.pending).slice(0, +args[4]).map(function (id) {
+                    var pending = group.pending[id];
+                    return [id, pending.consumer, Date.now() - pending.delivered, pending.count];
+                });
+            },
+            xclaim: function (args) {
+                var group = groups[args[0] + ':' + args[1]];
+                return args.slice(4).filter(function (id) {
+                    return group.pending[id];
+                }).map(function (id) {
+                    var pending = group.pending[id];
+                    pending.consumer = args[2];
+                    pending.delivered = Date.now();
+                    pending.count++;
+                    return entry(args[0], id);
+                });
+            }
+        }, function (_port) {
+            port = _port;
+            done();
+        });
+    });
+
+    after(function () {
+        fakeRedis.stop(server);
+    });
+
+    beforeEach(function (done) {
+        streams = {};
+        groups = {};
+        seq = 0;
+        group_failures = 0;
+        consumer = null;
+        client = redis.createClient({ port: port });
+        client.once('ready', done);
+    });
+
+    afterEach(function () {
+        var stopped = consumer ? consumer.stop() : Promise.resolve();
+        return stopped.then(function () {
+            client.end(true);
+        });
+    });
+
+    function createConsumer (options, handler) {
+        consumer = client.streamConsumer(Object.assign({
+            stream: 'jobs',
+            group: 'workers',
+            consumer: 'worker-1',
+            block: 20
+        }, options), handler);
+        return consumer;
+    }
+
+    it('validates the options', function () {
+        assert.throws(function () {
+            client.streamConsumer({ stream: 'jobs', group: 'workers' }, function () {});
+        }, TypeError);
+        assert.throws(function () {
+            client.streamConsumer({ stream: 'jobs', group: 'workers', consumer: 'worker-1' });
+        }, TypeError);
+        assert.throws(function () {
+            client.stream_consumer({ stream: 'jobs', group: 'workers', consumer: 'worker-1', count: 0 }, function () {});
+        }, RangeError);
+    });
+
+    it('delivers the entries as objects and acknowledges them', function (done) {
+        var handled = [];
+        client.xadd('jobs', '*', 'task', 'skipped');
+        // An existing group is reused
+        client.xgroup('CREATE', 'jobs', 'workers', '$', 'MKSTREAM', function () {
+            client.xadd('jobs', '*', 'task', 'one', 'attempt', '1');
+            createConsumer({}, function (entry) {
+                handled.push(entry);
+                if (handled.length === 1) {
+                    // The handler may be async
+                    return new Promise(function (resolve) {
+                        setTimeout(resolve, 10);
+                    });
+                }
+                assert.deepStrictEqual(handled, [
+                    { id: '2-0', fields: { task: 'one', attempt: '1' } },
+                    { id: '3-0', fields: { task: 'two' } }
+                ]);
+                setTimeout(function () {
+                    assert.deepStrictEqual(groups['jobs:workers'].pending, {});
+                    done();
+                }, 10);
+            });
+            client.xadd('jobs', '*', 'task', 'two');
+        });
+    });
+
+    it('reads its own pending entries first', function (done) {
+        createConsumer({ start_id: 0 }, function (entry) {
+            assert.deepStrictEqual(entry, { id: '1-0', fields: { task: 'one' } });
+            assert.strictEqual(groups['jobs:workers'].pending['1-0'].count, 1);
+            done();
+        });
+        client.xadd('jobs', '*', 'task', 'one');
+        groups['jobs:workers'] = { last: 1, pending: { '1-0': { consumer: 'worker-1', delivered: Date.now(), count: 1 } } };
+    });
+
+    it('reclaims failed entries and moves them to the dead letter stream', function (done) {
+        var failed = [];
+        client.xadd('jobs', '*', 'task', 'broken');
+        createConsumer({ start_id: 0, min_idle_time: 0, claim_interval: 30, max_deliveries: 2 }, function () {
+            throw new Error('Handler failed');
+        });
+        consumer.on('failed', function (err, entry, delivery) {
+            assert.strictEqual(err.message, 'Handler failed');
+            assert.strictEqual(entry.id, '1-0');
+            failed.push(delivery);
+        });
+        consumer.on('dead_letter', function (entry, deliveries) {
+            assert.deepStrictEqual(failed, [1, 2]);
+            assert.deepStrictEqual(entry, { id: '1-0', fields: { task: 'broken' } });
+            assert.strictEqual(deliveries, 2);
+            assert.deepStrictEqual(streams['jobs:dead'], [['2-0', ['task', 'broken']]]);
+            assert.deepStrictEqual(groups['jobs:workers'].pending, {});
+            done();
+        });
+    });
+
+    it('retries with a backoff if the group can not be created', function (done) {
+        var errors = [];
+        group_failures = 2;
+        client.xadd('jobs', '*', 'task', 'one');
+        createConsumer({ start_id: 0 }, function (entry) {
+            assert.deepStrictEqual(entry.fields, { task: 'one' });
+            assert.deepStrictEqual(errors, ['LOADING', 'LOADING']);
+            done();
+        });
+        consumer.on('error', function (err) {
+            errors.push(err.code);
+        });
+    });
+
+    it('creates the group again if it is gone', function (done) {
+        var errors = [];
+        // The group is created again at the start of the stream
+        createConsumer({ start_id: 0 }, function (entry) {
+            assert.deepStrictEqual(entry.fields, { task: 'two' });
+            assert.deepStrictEqual(errors, ['NOGROUP']);
+            done();
+        });
+        consumer.on('error', function (err) {
+            errors.push(err.code);
+            client.xadd('jobs', '*', 'task', 'two');
+        });
+        setTimeout(function () {
+            groups = {};
+        }, 30);
+    });
+
+    it('does not time out the blocking reads or inherit the circuit breaker', function (done) {
+        var errors = [];
+        client.end(true);
+        client = redis.createClient({ port: port, command_timeout: 20, circuit_breaker: {} });
+        createConsumer({ block: 60 }, function (entry) {
+            assert.deepStrictEqual(entry.fields, { task: 'one' });
+            assert.deepStrictEqual(errors, []);
+            assert.strictEqual(consumer.reader.circuit_breaker, null);
+            done();
+        });
+        consumer.on('error', function (err) {
+            errors.push(err.code);
+        });
+        setTimeout(function () {
+            client.xadd('jobs', '*', 'task', 'one');
+        }, 30);
+    });
+
+    it('stops during the backoff', function () {
+        group_failures = 1;
+        createConsumer({}, assert.fail);
+        var errors = 0;
+        consumer.on('error', function () {
+            errors++;
+        });
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 20);
+        }).then(function () {
+            return consumer.stop();
+        }).then(function () {
+            assert.strictEqual(errors, 1);
+            assert.strictEqual(consumer.retry_timer, null);
+        });
+    });
+
+    it('stops after the current entry is handled', function () {
+        var resolve;
+        var handled = new Promise(function (_resolve) {
+            resolve = _resolve;
+        });
+        var finished = false;
+        client.xadd('jobs', '*', 'task', 'one');
+        createConsumer({ start_id: 0 }, function () {
+            resolve();
+            return new Promise(function (resolve) {
+                setTimeout(function () {
+                    finished = true;
+                    resolve();
+                }, 20);
+            });
+        });
+        return handled.then(function () {
+            return consumer.stop();
+        }).then(function () {
+            assert(finished);
+            assert.strictEqual(consumer.reader.closing, true);
+            assert.deepStrictEqual(groups['jobs:workers'].pending, {});
+        });
+    });
+});
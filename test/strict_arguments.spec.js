@@ -0,0 +1,146 @@
+'use strict';
+
+var assert = require('assert');
+var redis = require('../index');
+var fakeRedis = require('./lib/fake-redis');
+
+describe('The strict_arguments option', function () {
+    var client;
+    var received;
+
+    function record (args) {
+        received.push(args);
+        return 'OK';
+    }
+
+    var fake = fakeRedis.setup({
+        info: '',
+        set: record,
+        rpush: record,
+        multi: 'OK',
+        exec: ['OK']
+    });
+
+    beforeEach(function () {
+        received = [];
+    });
+
+    function createClient (options, done) {
+        client = fake.createClient(options, done);
+    }
+
+    function rejected (index, message) {
+        return function (err) {
+            assert(err instanceof TypeError);
+            assert.strictEqual(err.message, message);
+            assert.strictEqual(err.command, 'RPUSH');
+            assert.strictEqual(err.index, index);
+        };
+    }
+
+    it('rejects null, undefined, objects and non finite numbers without sending anything', function (done) {
+        createClient({ strict_arguments: true }, function () {
+            var warnings = 0;
+            client.on('warning', function () {
+                warnings++;
+            });
+            Promise.all([
+                client.rpush('list', null).then(assert.fail, rejected(1, "RPUSH can't be processed. The argument at index 1 is null.")),
+                client.rpush('list', 'a', undefined, 'b').then(assert.fail, rejected(2, "RPUSH can't be processed. The argument at index 2 is undefined.")),
+                client.rpush('list', { a: 1 }).then(assert.fail, rejected(1, "RPUSH can't be processed. The argument at index 1 is of type Object.")),
+                client.rpush('list', NaN).then(assert.fail, rejected(1, "RPUSH can't be processed. The argument at index 1 is NaN.")),
+                client.rpush('list', -Infinity).then(assert.fail, rejected(1, "RPUSH can't be processed. The argument at index 1 is -Infinity.")),
+                client.rpush('list', 'a', 1.5, Buffer.from('b'), BigInt('18446744073709551616'), new Date(0), true)
+            ]).then(function (res) {
+                assert.strictEqual(res[5], 'OK');
+                assert.deepStrictEqual(received, [['list', 'a', '1.5', 'b', '18446744073709551616', new Date(0).toString(), 'true']]);
+                setImmediate(function () {
+                    assert.strictEqual(warnings, 0);
+                    done();
+                });
+            }).catch(done);
+        });
+    });
+
+    it('rejects commands in the offline queue right away', function (done) {
+        client = fake.createClient({ strictArguments: true });
+        client.set('key', undefined, function (err) {
+            assert(err instanceof TypeError);
+            assert.strictEqual(client.offline_queue.length, 0);
+            client.once('ready', function () {
+                assert.deepStrictEqual(received, []);
+                done();
+            });
+        });
+    });
+
+    it('discards a transaction with an invalid argument', function (done) {
+        createClient({ strict_arguments: true }, function () {
+            var failed = false;
+            client.multi().set('a', 'b').set('key', null, function (err) {
+                assert.strictEqual(err.index, 1);
+                failed = true;
+            }).exec(function (err) {
+                assert(failed);
+                assert.strictEqual(err.code, 'EXECABORT');
+                assert.strictEqual(err.errors.length, 1);
+                assert.strictEqual(err.errors[0].position, 1);
+                assert.deepStrictEqual(received, []);
+                done();
+            });
+        });
+    });
+
+    it('keeps stringifying the arguments by default', function (done) {
+        createClient({}, function () {
+            var warnings = [];
+            client.on('warning', function (msg) {
+                warnings.push(msg);
+            });
+            client.set('key', null, function (err) {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(received, [['key', 'null']]);
+                assert.strictEqual(warnings.length, 1);
+                done();
+            });
+        });
+    });
+
+    it('serializes dates, numbers and bigints with the argument_serializers', function (done) {
+        assert.throws(function () {
+            redis.createClient({ port: fake.port, argument_serializers: { symbol: String } });
+        }, TypeError);
+        createClient({
+            strict_arguments: true,
+            argument_serializers: {
+                date: function (date) {
+                    return date.toISOString();
+                },
+                number: function (number) {
+                    if (number === Infinity) {
+                        return '+inf';
+                    }
+                    if (Number.isNaN(number)) {
+                        throw new RangeError('NaN is no valid score');
+                    }
+                    return number.toFixed(2);
+                },
+                bigint: function (bigint) {
+                    return bigint.toString(16);
+                }
+            }
+        }, function () {
+            var input = ['list', new Date(0), 1, Infinity, BigInt(255)];
+            client.rpush('list', NaN, function (err) {
+                assert.strictEqual(err.message, 'NaN is no valid score');
+            });
+            client.rpush(input, function (err) {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(received, [['list', '1970-01-01T00:00:00.000Z', '1.00', '+inf', 'ff']]);
+                // The passed arguments are not manipulated
+                assert(input[1] instanceof Date);
+                done();
+            });
+        });
+    });
+});
@@ -162,6 +162,18 @@ describe('utils.js', function () {
             }
         });
 
+        it('passes its own error and reply instead of the ones of the preceding command', function (done) {
+            var own_err = new Error('own');
+            clientMock.command_queue.push(create_command_obj());
+            utils.reply_in_order(clientMock, function (err, res) {
+                assert.strictEqual(err, own_err);
+                assert.strictEqual(res, undefined);
+                assert.strictEqual(res_count, 1);
+                done();
+            }, own_err);
+            clientMock.command_queue.shift().callback(null, 'foo');
+        });
+
         it('elements in the offline queue and the command_queue. Reply all other commands got handled respect the command_obj', function (done) {
             clientMock.command_queue.push(create_command_obj());
             clientMock.command_queue.push(create_command_obj());